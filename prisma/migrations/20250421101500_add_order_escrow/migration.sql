@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "EscrowStatus" AS ENUM ('UNFUNDED', 'FUNDED', 'RELEASED', 'REFUNDED', 'SPLIT');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "escrowStatus" "EscrowStatus" NOT NULL DEFAULT 'UNFUNDED';
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "stripePaymentIntentId" TEXT,
+ADD COLUMN     "stripeRefundId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Transaction_stripeRefundId_key" ON "Transaction"("stripeRefundId");
@@ -0,0 +1,85 @@
+-- CreateEnum
+CREATE TYPE "LedgerAccountType" AS ENUM ('USER_WALLET', 'ESCROW', 'PLATFORM_REVENUE', 'PROMO_EXPENSE', 'EXTERNAL');
+
+-- CreateEnum
+CREATE TYPE "JournalEntryKind" AS ENUM ('PAYMENT', 'PLATFORM_FEE', 'REFUND', 'ESCROW_RELEASE', 'PAYOUT', 'PROMO_DISCOUNT', 'REFERRAL_REWARD');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "LedgerAccount" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "LedgerAccountType" NOT NULL,
+    "user_id" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "JournalEntry" (
+    "id" SERIAL NOT NULL,
+    "kind" "JournalEntryKind" NOT NULL,
+    "description" TEXT,
+    "order_id" INTEGER,
+    "transaction_id" INTEGER,
+    "idempotencyKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JournalEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LedgerLine" (
+    "id" SERIAL NOT NULL,
+    "entry_id" INTEGER NOT NULL,
+    "account_id" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "LedgerLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerAccount_code_key" ON "LedgerAccount"("code");
+
+-- CreateIndex
+CREATE INDEX "LedgerAccount_user_id_idx" ON "LedgerAccount"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JournalEntry_idempotencyKey_key" ON "JournalEntry"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_order_id_idx" ON "JournalEntry"("order_id");
+
+-- CreateIndex
+CREATE INDEX "JournalEntry_transaction_id_idx" ON "JournalEntry"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "LedgerLine_account_id_idx" ON "LedgerLine"("account_id");
+
+-- CreateIndex
+CREATE INDEX "LedgerLine_entry_id_idx" ON "LedgerLine"("entry_id");
+
+-- AddForeignKey
+ALTER TABLE "LedgerAccount" ADD CONSTRAINT "LedgerAccount_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerLine" ADD CONSTRAINT "LedgerLine_entry_id_fkey" FOREIGN KEY ("entry_id") REFERENCES "JournalEntry"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerLine" ADD CONSTRAINT "LedgerLine_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "LedgerAccount"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Journal entries and their lines are append-only
+CREATE FUNCTION "ledger_prevent_mutation"() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Ledger rows are immutable; post a reversing entry instead';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "JournalEntry_immutable" BEFORE UPDATE OR DELETE ON "JournalEntry"
+  FOR EACH ROW EXECUTE FUNCTION "ledger_prevent_mutation"();
+
+CREATE TRIGGER "LedgerLine_immutable" BEFORE UPDATE OR DELETE ON "LedgerLine"
+  FOR EACH ROW EXECUTE FUNCTION "ledger_prevent_mutation"();
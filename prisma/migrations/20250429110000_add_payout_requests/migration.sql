@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "PayoutStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- DropForeignKey
+ALTER TABLE "Transaction" DROP CONSTRAINT "Transaction_order_id_fkey";
+
+-- AlterTable
+ALTER TABLE "Transaction" ALTER COLUMN "order_id" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "PaymentSetting" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "isDefault" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "PayoutRequest" (
+    "id" SERIAL NOT NULL,
+    "freelancer_id" INTEGER NOT NULL,
+    "payment_setting_id" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "status" "PayoutStatus" NOT NULL DEFAULT 'PENDING',
+    "note" TEXT,
+    "rejectionReason" TEXT,
+    "reviewed_by" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "transaction_id" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PayoutRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PayoutRequest_transaction_id_key" ON "PayoutRequest"("transaction_id");
+
+-- CreateIndex
+CREATE INDEX "PayoutRequest_status_idx" ON "PayoutRequest"("status");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PayoutRequest" ADD CONSTRAINT "PayoutRequest_freelancer_id_fkey" FOREIGN KEY ("freelancer_id") REFERENCES "FreelancerProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PayoutRequest" ADD CONSTRAINT "PayoutRequest_payment_setting_id_fkey" FOREIGN KEY ("payment_setting_id") REFERENCES "PaymentSetting"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PayoutRequest" ADD CONSTRAINT "PayoutRequest_reviewed_by_fkey" FOREIGN KEY ("reviewed_by") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PayoutRequest" ADD CONSTRAINT "PayoutRequest_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
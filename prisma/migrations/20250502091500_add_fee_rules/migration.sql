@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "FeeSide" AS ENUM ('CLIENT', 'FREELANCER');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "commissionFee" DOUBLE PRECISION,
+ADD COLUMN     "commission_rule_id" INTEGER,
+ADD COLUMN     "serviceFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "service_fee_rule_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "PlatformFee" ADD COLUMN     "rule_id" INTEGER,
+ADD COLUMN     "side" "FeeSide" NOT NULL DEFAULT 'FREELANCER';
+
+-- CreateTable
+CREATE TABLE "FeeRule" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "side" "FeeSide" NOT NULL,
+    "percentage" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "fixedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "category" TEXT,
+    "minOrderAmount" DOUBLE PRECISION,
+    "maxOrderAmount" DOUBLE PRECISION,
+    "isUrgent" BOOLEAN,
+    "minClientVolume" DOUBLE PRECISION,
+    "maxClientVolume" DOUBLE PRECISION,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeeRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FeeRule_side_isActive_idx" ON "FeeRule"("side", "isActive");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_service_fee_rule_id_fkey" FOREIGN KEY ("service_fee_rule_id") REFERENCES "FeeRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_commission_rule_id_fkey" FOREIGN KEY ("commission_rule_id") REFERENCES "FeeRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlatformFee" ADD CONSTRAINT "PlatformFee_rule_id_fkey" FOREIGN KEY ("rule_id") REFERENCES "FeeRule"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "OrderDelivery" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "version" INTEGER NOT NULL,
+    "message" TEXT NOT NULL,
+    "submitted_by" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderDeliveryFile" (
+    "id" SERIAL NOT NULL,
+    "delivery_id" INTEGER NOT NULL,
+    "fileUrl" TEXT NOT NULL,
+    "fileType" TEXT NOT NULL,
+    "fileName" TEXT,
+    "fileSize" INTEGER,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderDeliveryFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderDelivery_order_id_version_key" ON "OrderDelivery"("order_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "OrderDelivery" ADD CONSTRAINT "OrderDelivery_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderDelivery" ADD CONSTRAINT "OrderDelivery_submitted_by_fkey" FOREIGN KEY ("submitted_by") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderDeliveryFile" ADD CONSTRAINT "OrderDeliveryFile_delivery_id_fkey" FOREIGN KEY ("delivery_id") REFERENCES "OrderDelivery"("id") ON DELETE CASCADE ON UPDATE CASCADE;
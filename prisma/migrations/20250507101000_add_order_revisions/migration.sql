@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "RevisionStatus" AS ENUM ('OPEN', 'COMPLETED');
+
+-- AlterTable
+ALTER TABLE "Gig" ADD COLUMN     "extraRevisionPrice" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "extraRevisions" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "revisionsIncluded" INTEGER NOT NULL DEFAULT 0;
+
+-- Existing orders get the revisions their gig currently includes
+UPDATE "Order" o SET "revisionsIncluded" = COALESCE(g."revisionCount", 0) FROM "Gig" g WHERE g."id" = o."gig_id";
+
+-- AlterTable
+ALTER TABLE "OrderStatusHistory" ADD COLUMN     "note" TEXT;
+
+-- CreateTable
+CREATE TABLE "OrderRevision" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "delivery_id" INTEGER,
+    "number" INTEGER NOT NULL,
+    "status" "RevisionStatus" NOT NULL DEFAULT 'OPEN',
+    "isExtra" BOOLEAN NOT NULL DEFAULT false,
+    "requested_by" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "OrderRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RevisionItem" (
+    "id" SERIAL NOT NULL,
+    "revision_id" INTEGER NOT NULL,
+    "note" TEXT NOT NULL,
+
+    CONSTRAINT "RevisionItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderRevision_order_id_number_key" ON "OrderRevision"("order_id", "number");
+
+-- AddForeignKey
+ALTER TABLE "OrderRevision" ADD CONSTRAINT "OrderRevision_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderRevision" ADD CONSTRAINT "OrderRevision_delivery_id_fkey" FOREIGN KEY ("delivery_id") REFERENCES "OrderDelivery"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderRevision" ADD CONSTRAINT "OrderRevision_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RevisionItem" ADD CONSTRAINT "RevisionItem_revision_id_fkey" FOREIGN KEY ("revision_id") REFERENCES "OrderRevision"("id") ON DELETE CASCADE ON UPDATE CASCADE;
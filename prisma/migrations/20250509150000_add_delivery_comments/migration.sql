@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "CommentStatus" AS ENUM ('OPEN', 'RESOLVED');
+
+-- AlterTable
+ALTER TABLE "RevisionItem" ADD COLUMN     "comment_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "DeliveryComment" (
+    "id" SERIAL NOT NULL,
+    "delivery_id" INTEGER NOT NULL,
+    "file_id" INTEGER,
+    "parent_id" INTEGER,
+    "author_id" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "timecode" DOUBLE PRECISION,
+    "frameStart" INTEGER,
+    "frameEnd" INTEGER,
+    "region" JSONB,
+    "status" "CommentStatus" NOT NULL DEFAULT 'OPEN',
+    "resolved_by" INTEGER,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DeliveryComment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DeliveryComment_delivery_id_status_idx" ON "DeliveryComment"("delivery_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RevisionItem_comment_id_key" ON "RevisionItem"("comment_id");
+
+-- AddForeignKey
+ALTER TABLE "RevisionItem" ADD CONSTRAINT "RevisionItem_comment_id_fkey" FOREIGN KEY ("comment_id") REFERENCES "DeliveryComment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeliveryComment" ADD CONSTRAINT "DeliveryComment_delivery_id_fkey" FOREIGN KEY ("delivery_id") REFERENCES "OrderDelivery"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeliveryComment" ADD CONSTRAINT "DeliveryComment_file_id_fkey" FOREIGN KEY ("file_id") REFERENCES "OrderDeliveryFile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeliveryComment" ADD CONSTRAINT "DeliveryComment_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "DeliveryComment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeliveryComment" ADD CONSTRAINT "DeliveryComment_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DeliveryComment" ADD CONSTRAINT "DeliveryComment_resolved_by_fkey" FOREIGN KEY ("resolved_by") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "HistoryActor" AS ENUM ('USER', 'SYSTEM');
+
+-- CreateEnum
+CREATE TYPE "ReminderKind" AS ENUM ('ACCEPTANCE', 'DELIVERY', 'REVIEW');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "isLate" BOOLEAN NOT NULL DEFAULT false;
+
+-- Orders awaiting review start their window from their last DELIVERED transition
+UPDATE "Order" o SET "deliveredAt" = h."changedAt"
+FROM (
+    SELECT "order_id", MAX("changedAt") AS "changedAt" FROM "OrderStatusHistory" WHERE "status" = 'DELIVERED' GROUP BY "order_id"
+) h
+WHERE h."order_id" = o."id" AND o."status" = 'DELIVERED';
+
+-- AlterTable
+ALTER TABLE "OrderStatusHistory" ADD COLUMN     "actorType" "HistoryActor" NOT NULL DEFAULT 'USER';
+
+-- CreateTable
+CREATE TABLE "OrderReminder" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "kind" "ReminderKind" NOT NULL,
+    "deadline" TIMESTAMP(3) NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderReminder_order_id_kind_deadline_key" ON "OrderReminder"("order_id", "kind", "deadline");
+
+-- AddForeignKey
+ALTER TABLE "OrderReminder" ADD CONSTRAINT "OrderReminder_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "ExtensionStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "ExtensionRequest" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "requested_by" INTEGER NOT NULL,
+    "days" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" "ExtensionStatus" NOT NULL DEFAULT 'PENDING',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ExtensionRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExtensionRequest_status_expiresAt_idx" ON "ExtensionRequest"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "ExtensionRequest" ADD CONSTRAINT "ExtensionRequest_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ExtensionRequest" ADD CONSTRAINT "ExtensionRequest_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
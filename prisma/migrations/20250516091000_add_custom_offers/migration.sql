@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "MessageType" AS ENUM ('TEXT', 'CUSTOM_OFFER');
+
+-- CreateEnum
+CREATE TYPE "OfferStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "type" "MessageType" NOT NULL DEFAULT 'TEXT';
+
+-- CreateTable
+CREATE TABLE "CustomOffer" (
+    "id" SERIAL NOT NULL,
+    "message_id" INTEGER NOT NULL,
+    "gig_id" INTEGER NOT NULL,
+    "description" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "deliveryDays" INTEGER NOT NULL,
+    "revisions" INTEGER NOT NULL DEFAULT 0,
+    "status" "OfferStatus" NOT NULL DEFAULT 'PENDING',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "declineReason" TEXT,
+    "order_id" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomOffer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomOffer_message_id_key" ON "CustomOffer"("message_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomOffer_order_id_key" ON "CustomOffer"("order_id");
+
+-- CreateIndex
+CREATE INDEX "CustomOffer_status_expiresAt_idx" ON "CustomOffer"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "CustomOffer" ADD CONSTRAINT "CustomOffer_message_id_fkey" FOREIGN KEY ("message_id") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomOffer" ADD CONSTRAINT "CustomOffer_gig_id_fkey" FOREIGN KEY ("gig_id") REFERENCES "Gig"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomOffer" ADD CONSTRAINT "CustomOffer_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "MilestoneStatus" AS ENUM ('PENDING', 'FUNDED', 'DELIVERED', 'APPROVED');
+
+-- CreateTable
+CREATE TABLE "OrderMilestone" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "status" "MilestoneStatus" NOT NULL DEFAULT 'PENDING',
+    "fundedAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "approvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderMilestone_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "OrderDelivery" ADD COLUMN "milestone_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "milestone_id" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderMilestone_order_id_sequence_key" ON "OrderMilestone"("order_id", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "OrderMilestone" ADD CONSTRAINT "OrderMilestone_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderDelivery" ADD CONSTRAINT "OrderDelivery_milestone_id_fkey" FOREIGN KEY ("milestone_id") REFERENCES "OrderMilestone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_milestone_id_fkey" FOREIGN KEY ("milestone_id") REFERENCES "OrderMilestone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "GigExtraType" AS ENUM ('EXTRA_REVISION', 'RESOLUTION_4K', 'SUBTITLES', 'COLOR_GRADING', 'SOURCE_FILES', 'FAST_DELIVERY', 'CUSTOM');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "extrasPrice" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "GigExtra" (
+    "id" SERIAL NOT NULL,
+    "gig_id" INTEGER NOT NULL,
+    "type" "GigExtraType" NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DOUBLE PRECISION NOT NULL,
+    "deliveryDays" INTEGER NOT NULL DEFAULT 0,
+    "revisions" INTEGER NOT NULL DEFAULT 0,
+    "packages" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "maxQuantity" INTEGER NOT NULL DEFAULT 1,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GigExtra_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderExtra" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "gig_extra_id" INTEGER,
+    "type" "GigExtraType" NOT NULL,
+    "title" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "deliveryDays" INTEGER NOT NULL DEFAULT 0,
+    "revisions" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "OrderExtra_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "GigExtra" ADD CONSTRAINT "GigExtra_gig_id_fkey" FOREIGN KEY ("gig_id") REFERENCES "Gig"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderExtra" ADD CONSTRAINT "OrderExtra_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderExtra" ADD CONSTRAINT "OrderExtra_gig_extra_id_fkey" FOREIGN KEY ("gig_extra_id") REFERENCES "GigExtra"("id") ON DELETE SET NULL ON UPDATE CASCADE;
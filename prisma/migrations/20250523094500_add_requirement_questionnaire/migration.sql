@@ -0,0 +1,69 @@
+-- CreateEnum
+CREATE TYPE "RequirementQuestionType" AS ENUM ('TEXT', 'MULTIPLE_CHOICE', 'FILE');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "deliveryDays" INTEGER,
+ADD COLUMN "requirementsCompletedAt" TIMESTAMP(3);
+
+-- Existing orders predate the questionnaire; their clock is already running
+UPDATE "Order" SET "requirementsCompletedAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "GigRequirementQuestion" (
+    "id" SERIAL NOT NULL,
+    "gig_id" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "type" "RequirementQuestionType" NOT NULL,
+    "question" TEXT NOT NULL,
+    "description" TEXT,
+    "options" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "allowMultiple" BOOLEAN NOT NULL DEFAULT false,
+    "isRequired" BOOLEAN NOT NULL DEFAULT true,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GigRequirementQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderRequirementAnswer" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "question" TEXT NOT NULL,
+    "answerText" TEXT,
+    "selectedOptions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "answeredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderRequirementAnswer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderRequirementFile" (
+    "id" SERIAL NOT NULL,
+    "answer_id" INTEGER NOT NULL,
+    "fileUrl" TEXT NOT NULL,
+    "fileType" TEXT NOT NULL,
+    "fileName" TEXT,
+    "fileSize" INTEGER,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderRequirementFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderRequirementAnswer_order_id_question_id_key" ON "OrderRequirementAnswer"("order_id", "question_id");
+
+-- AddForeignKey
+ALTER TABLE "GigRequirementQuestion" ADD CONSTRAINT "GigRequirementQuestion_gig_id_fkey" FOREIGN KEY ("gig_id") REFERENCES "Gig"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderRequirementAnswer" ADD CONSTRAINT "OrderRequirementAnswer_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderRequirementAnswer" ADD CONSTRAINT "OrderRequirementAnswer_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "GigRequirementQuestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderRequirementFile" ADD CONSTRAINT "OrderRequirementFile_answer_id_fkey" FOREIGN KEY ("answer_id") REFERENCES "OrderRequirementAnswer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
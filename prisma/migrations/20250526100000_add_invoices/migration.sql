@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "InvoiceKind" AS ENUM ('INVOICE', 'REFUND_RECEIPT');
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "description" TEXT;
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" SERIAL NOT NULL,
+    "number" TEXT NOT NULL,
+    "kind" "InvoiceKind" NOT NULL,
+    "year" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "transaction_id" INTEGER NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "original_invoice_id" INTEGER,
+    "billFrom" JSONB NOT NULL,
+    "billTo" JSONB NOT NULL,
+    "lineItems" JSONB NOT NULL,
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "serviceFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "total" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InvoiceSequence" (
+    "kind" "InvoiceKind" NOT NULL,
+    "year" INTEGER NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "InvoiceSequence_pkey" PRIMARY KEY ("kind","year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_number_key" ON "Invoice"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_transaction_id_key" ON "Invoice"("transaction_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_kind_year_sequence_key" ON "Invoice"("kind", "year", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "Transaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_original_invoice_id_fkey" FOREIGN KEY ("original_invoice_id") REFERENCES "Invoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "RefundApprover" AS ENUM ('FREELANCER', 'ADMIN');
+
+-- CreateEnum
+CREATE TYPE "RefundRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'DECLINED');
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "refund_request_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RefundRequest" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "requested_by" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "approver" "RefundApprover" NOT NULL,
+    "status" "RefundRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewed_by" INTEGER,
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RefundRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RefundRequest_status_approver_idx" ON "RefundRequest"("status", "approver");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_refund_request_id_fkey" FOREIGN KEY ("refund_request_id") REFERENCES "RefundRequest"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundRequest" ADD CONSTRAINT "RefundRequest_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundRequest" ADD CONSTRAINT "RefundRequest_requested_by_fkey" FOREIGN KEY ("requested_by") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefundRequest" ADD CONSTRAINT "RefundRequest_reviewed_by_fkey" FOREIGN KEY ("reviewed_by") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "preferredCurrency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "Gig" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "CustomOffer" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN "listingPrice" DOUBLE PRECISION,
+ADD COLUMN "listingFxRate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN "clientCurrency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN "clientFxRate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN "fxSource" TEXT,
+ADD COLUMN "fxRatesAsOf" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN "currencyAmount" DOUBLE PRECISION,
+ADD COLUMN "fxRate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+ADD COLUMN "fxRatesAsOf" TIMESTAMP(3);
+
+-- Everything so far was priced and paid in USD
+UPDATE "Order" SET "listingPrice" = "totalPrice";
+UPDATE "Transaction" SET "currencyAmount" = "amount";
@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "BillingType" AS ENUM ('FIXED', 'HOURLY');
+
+-- CreateEnum
+CREATE TYPE "TimesheetStatus" AS ENUM ('SUBMITTED', 'APPROVED', 'DISPUTED');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "billingType" "BillingType" NOT NULL DEFAULT 'FIXED',
+ADD COLUMN     "hourlyRate" DOUBLE PRECISION,
+ADD COLUMN     "weeklyHourLimit" INTEGER;
+
+-- AlterTable
+ALTER TABLE "CustomOffer" ADD COLUMN     "billingType" "BillingType" NOT NULL DEFAULT 'FIXED',
+ADD COLUMN     "weeklyHourLimit" INTEGER,
+ALTER COLUMN "deliveryDays" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "TimeEntry" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "timesheet_id" INTEGER,
+    "workDate" TIMESTAMP(3) NOT NULL,
+    "minutes" INTEGER NOT NULL,
+    "memo" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TimeEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Timesheet" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "weekStart" TIMESTAMP(3) NOT NULL,
+    "minutes" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "status" "TimesheetStatus" NOT NULL DEFAULT 'SUBMITTED',
+    "submittedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewed_by" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "disputeReason" TEXT,
+    "transaction_id" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Timesheet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TimeEntry_order_id_workDate_idx" ON "TimeEntry"("order_id", "workDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Timesheet_transaction_id_key" ON "Timesheet"("transaction_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Timesheet_order_id_weekStart_key" ON "Timesheet"("order_id", "weekStart");
+
+-- AddForeignKey
+ALTER TABLE "TimeEntry" ADD CONSTRAINT "TimeEntry_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TimeEntry" ADD CONSTRAINT "TimeEntry_timesheet_id_fkey" FOREIGN KEY ("timesheet_id") REFERENCES "Timesheet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Timesheet" ADD CONSTRAINT "Timesheet_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Timesheet" ADD CONSTRAINT "Timesheet_reviewed_by_fkey" FOREIGN KEY ("reviewed_by") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Timesheet" ADD CONSTRAINT "Timesheet_transaction_id_fkey" FOREIGN KEY ("transaction_id") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "TransactionType" ADD VALUE 'TIP';
+
+-- AlterEnum
+ALTER TYPE "JournalEntryKind" ADD VALUE 'TIP';
@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "SubscriptionInterval" AS ENUM ('WEEKLY', 'MONTHLY');
+
+-- CreateEnum
+CREATE TYPE "SubscriptionStatus" AS ENUM ('ACTIVE', 'PAUSED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "stripeCustomerId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "subscription_id" INTEGER,
+ADD COLUMN     "subscriptionCycle" INTEGER;
+
+-- CreateTable
+CREATE TABLE "OrderSubscription" (
+    "id" SERIAL NOT NULL,
+    "client_id" INTEGER NOT NULL,
+    "gig_id" INTEGER NOT NULL,
+    "freelancer_id" INTEGER NOT NULL,
+    "package" TEXT NOT NULL,
+    "extras" JSONB NOT NULL DEFAULT '[]',
+    "requirements" TEXT,
+    "interval" "SubscriptionInterval" NOT NULL,
+    "committedCycles" INTEGER,
+    "discountPercentage" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "clientCurrency" TEXT NOT NULL DEFAULT 'USD',
+    "paymentMethodId" TEXT NOT NULL,
+    "status" "SubscriptionStatus" NOT NULL DEFAULT 'ACTIVE',
+    "nextCycleAt" TIMESTAMP(3) NOT NULL,
+    "cyclesBilled" INTEGER NOT NULL DEFAULT 0,
+    "cyclesSkipped" INTEGER NOT NULL DEFAULT 0,
+    "pausedAt" TIMESTAMP(3),
+    "pauseReason" TEXT,
+    "cancelledAt" TIMESTAMP(3),
+    "cancellationReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderSubscription_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_stripeCustomerId_key" ON "User"("stripeCustomerId");
+
+-- CreateIndex
+CREATE INDEX "Order_subscription_id_idx" ON "Order"("subscription_id");
+
+-- CreateIndex
+CREATE INDEX "OrderSubscription_status_nextCycleAt_idx" ON "OrderSubscription"("status", "nextCycleAt");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_subscription_id_fkey" FOREIGN KEY ("subscription_id") REFERENCES "OrderSubscription"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderSubscription" ADD CONSTRAINT "OrderSubscription_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderSubscription" ADD CONSTRAINT "OrderSubscription_gig_id_fkey" FOREIGN KEY ("gig_id") REFERENCES "Gig"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderSubscription" ADD CONSTRAINT "OrderSubscription_freelancer_id_fkey" FOREIGN KEY ("freelancer_id") REFERENCES "FreelancerProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
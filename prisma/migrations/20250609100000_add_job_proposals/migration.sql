@@ -0,0 +1,68 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'JOB';
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "appliedJobsId";
+
+-- AlterTable
+ALTER TABLE "Application" RENAME COLUMN "aboutFreelancer" TO "coverLetter";
+ALTER TABLE "Application" ADD COLUMN     "bidAmount" DOUBLE PRECISION,
+ADD COLUMN     "estimatedDays" INTEGER,
+ADD COLUMN     "viewedAt" TIMESTAMP(3),
+ADD COLUMN     "withdrawnAt" TIMESTAMP(3),
+ADD COLUMN     "withdrawalReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "ApplicationVideo" (
+    "application_id" INTEGER NOT NULL,
+    "portfolio_video_id" INTEGER NOT NULL,
+
+    CONSTRAINT "ApplicationVideo_pkey" PRIMARY KEY ("application_id","portfolio_video_id")
+);
+
+-- CreateTable
+CREATE TABLE "JobScreeningQuestion" (
+    "id" SERIAL NOT NULL,
+    "job_id" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "question" TEXT NOT NULL,
+    "isRequired" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JobScreeningQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ApplicationAnswer" (
+    "id" SERIAL NOT NULL,
+    "application_id" INTEGER NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "answer" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ApplicationAnswer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Application_jobId_freelancerId_key" ON "Application"("jobId", "freelancerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApplicationAnswer_application_id_question_id_key" ON "ApplicationAnswer"("application_id", "question_id");
+
+-- AddForeignKey
+ALTER TABLE "ApplicationVideo" ADD CONSTRAINT "ApplicationVideo_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApplicationVideo" ADD CONSTRAINT "ApplicationVideo_portfolio_video_id_fkey" FOREIGN KEY ("portfolio_video_id") REFERENCES "PortfolioVideo"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JobScreeningQuestion" ADD CONSTRAINT "JobScreeningQuestion_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApplicationAnswer" ADD CONSTRAINT "ApplicationAnswer_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApplicationAnswer" ADD CONSTRAINT "ApplicationAnswer_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "JobScreeningQuestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Job.proposals used to count freelancer page views; recount it from the proposals themselves
+UPDATE "Job" SET "proposals" = (SELECT COUNT(*) FROM "Application" WHERE "Application"."jobId" = "Job"."id");
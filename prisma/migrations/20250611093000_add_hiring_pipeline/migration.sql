@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "ApplicationStatus" AS ENUM ('NEW', 'VIEWED', 'SHORTLISTED', 'INTERVIEWING', 'REJECTED', 'HIRED');
+
+-- AlterTable
+ALTER TABLE "Application" ADD COLUMN     "status" "ApplicationStatus" NOT NULL DEFAULT 'NEW',
+ADD COLUMN     "statusUpdatedAt" TIMESTAMP(3),
+ADD COLUMN     "rejectionReason" TEXT,
+ADD COLUMN     "hiredAt" TIMESTAMP(3);
+
+-- Proposals the client already opened start out as viewed
+UPDATE "Application" SET "status" = 'VIEWED', "statusUpdatedAt" = "viewedAt" WHERE "viewedAt" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "filledAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Order" ALTER COLUMN "gig_id" DROP NOT NULL,
+ADD COLUMN     "job_id" INTEGER,
+ADD COLUMN     "application_id" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_application_id_key" ON "Order"("application_id");
+
+-- CreateIndex
+CREATE INDEX "Order_job_id_idx" ON "Order"("job_id");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "Job"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "Application"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- AlterEnum
+ALTER TYPE "MessageType" ADD VALUE 'JOB_INVITATION';
+
+-- CreateEnum
+CREATE TYPE "InvitationStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED');
+
+-- CreateTable
+CREATE TABLE "JobInvitation" (
+    "id" SERIAL NOT NULL,
+    "job_id" INTEGER NOT NULL,
+    "freelancer_id" INTEGER NOT NULL,
+    "message_id" INTEGER NOT NULL,
+    "note" TEXT NOT NULL,
+    "status" "InvitationStatus" NOT NULL DEFAULT 'PENDING',
+    "respondedAt" TIMESTAMP(3),
+    "declineReason" TEXT,
+    "application_id" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JobInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JobInvitation_message_id_key" ON "JobInvitation"("message_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JobInvitation_application_id_key" ON "JobInvitation"("application_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "JobInvitation_job_id_freelancer_id_key" ON "JobInvitation"("job_id", "freelancer_id");
+
+-- AddForeignKey
+ALTER TABLE "JobInvitation" ADD CONSTRAINT "JobInvitation_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "Job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JobInvitation" ADD CONSTRAINT "JobInvitation_freelancer_id_fkey" FOREIGN KEY ("freelancer_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JobInvitation" ADD CONSTRAINT "JobInvitation_message_id_fkey" FOREIGN KEY ("message_id") REFERENCES "Message"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JobInvitation" ADD CONSTRAINT "JobInvitation_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "Application"("id") ON DELETE SET NULL ON UPDATE CASCADE;
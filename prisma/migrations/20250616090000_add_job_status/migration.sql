@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('DRAFT', 'OPEN', 'PAUSED', 'FILLED', 'EXPIRED', 'CLOSED');
+
+-- AlterTable
+ALTER TABLE "Job" ADD COLUMN     "status" "JobStatus" NOT NULL DEFAULT 'OPEN',
+ADD COLUMN     "statusUpdatedAt" TIMESTAMP(3),
+ADD COLUMN     "closeReason" TEXT,
+ADD COLUMN     "repostedAt" TIMESTAMP(3);
+
+-- Jobs closed on a hire are filled, and the rest past their deadline have expired
+UPDATE "Job" SET "status" = 'FILLED', "statusUpdatedAt" = "filledAt" WHERE "filledAt" IS NOT NULL;
+UPDATE "Job" SET "status" = 'EXPIRED', "statusUpdatedAt" = "deadline" WHERE "status" = 'OPEN' AND "deadline" <= CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "Job_status_deadline_idx" ON "Job"("status", "deadline");
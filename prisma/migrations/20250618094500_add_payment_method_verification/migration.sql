@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PaymentSetting" ADD COLUMN     "verifiedAt" TIMESTAMP(3);
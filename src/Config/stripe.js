@@ -0,0 +1,6 @@
+// src/config/stripe.js
+import Stripe from "stripe";
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2023-10-16" });
+
+export default stripe;
@@ -2,6 +2,8 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
+import { updateDispute } from "../Services/disputeService.js";
+import { getAccountBalance, getSystemAccount } from "../Services/ledgerService.js";
 
 const getPlatformStats = async (req, res, next) => {
   try {
@@ -9,18 +11,19 @@ const getPlatformStats = async (req, res, next) => {
       return next(new ApiError(403, "Forbidden: Admin access required"));
     }
 
-    const [userCount, freelancerCount, gigCount, jobCount, orderCount, transactionStats, disputeCount] = await Promise.all([
+    const revenueAccount = await getSystemAccount("PLATFORM_REVENUE");
+    const [userCount, freelancerCount, gigCount, jobCount, orderCount, transactionStats, disputeCount, totalRevenue] = await Promise.all([
       prisma.user.count(),
       prisma.freelancerProfile.count(),
       prisma.gig.count({ where: { status: "ACTIVE" } }),
       prisma.job.count({ where: { isVerified: true } }),
       prisma.order.count(),
       prisma.transaction.aggregate({
-        _sum: { amount: true },
         _count: { id: true },
         where: { status: "COMPLETED" },
       }),
       prisma.dispute.count({ where: { status: { in: ["OPEN", "IN_REVIEW"] } } }),
+      getAccountBalance(revenueAccount.id),
     ]);
 
     const stats = {
@@ -30,7 +33,7 @@ const getPlatformStats = async (req, res, next) => {
       activeJobs: jobCount,
       totalOrders: orderCount,
       totalTransactions: transactionStats._count.id,
-      totalRevenue: transactionStats._sum.amount || 0,
+      totalRevenue,
       activeDisputes: disputeCount,
     };
 
@@ -188,7 +191,7 @@ const resolveDisputes = async (req, res, next) => {
     }
     const adminId = req.user.id;
     const { disputeId } = req.params;
-    const { status, resolution } = req.body;
+    const { status, resolution, refundAmount } = req.body;
 
     const dispute = await prisma.dispute.findUnique({
       where: { id: parseInt(disputeId) },
@@ -205,17 +208,7 @@ const resolveDisputes = async (req, res, next) => {
     if ((status === "RESOLVED" || status === "CLOSED") && !resolution) {
       return next(new ApiError(400, "Resolution is required for RESOLVED or CLOSED status"));
     }
-
-    const updatedDispute = await prisma.dispute.update({
-      where: { id: parseInt(disputeId) },
-      data: {
-        status,
-        resolution: resolution || dispute.resolution,
-        resolvedAt: status === "RESOLVED" || status === "CLOSED" ? new Date() : dispute.resolvedAt,
-        resolvedBy: status === "RESOLVED" || status === "CLOSED" ? adminId : dispute.resolvedBy,
-      },
-      include: { order: { select: { orderNumber: true } }, raisedBy: { select: { firstname: true, lastname: true } } },
-    });
+    const updatedDispute = await updateDispute(dispute, { status, resolution, refundAmount: refundAmount || 0 }, adminId);
 
     // Notify parties
     await prisma.notification.createMany({
@@ -225,17 +218,10 @@ const resolveDisputes = async (req, res, next) => {
       ],
     });
 
-    // Update order status if resolved (example logic; adjust as needed)
-    if (status === "RESOLVED" || status === "CLOSED") {
-      await prisma.order.update({
-        where: { id: dispute.orderId },
-        data: { status: "COMPLETED", statusHistory: { create: { status: "COMPLETED", changedBy: adminId } } },
-      });
-    }
-
     return res.status(200).json(new ApiResponse(200, updatedDispute, "Dispute resolved successfully"));
   } catch (error) {
     console.error("Error resolving dispute:", error);
+    if (error instanceof ApiError) return next(error);
     return next(new ApiError(500, "Failed to resolve dispute", error.message));
   }
 };
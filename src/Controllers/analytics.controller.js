@@ -2,6 +2,7 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
+import { getAccountBalance, getSystemAccount, getWalletAccount } from "../Services/ledgerService.js";
 
 const getUserAnalytics = async (req, res, next) => {
   try {
@@ -21,7 +22,8 @@ const getUserAnalytics = async (req, res, next) => {
       if (endDate) whereClause.createdAt.lte = new Date(endDate);
     }
 
-    const [freelancerProfile, transactions, ordersAsClient, ordersAsFreelancer] = await Promise.all([
+    const wallet = await getWalletAccount(userId);
+    const [freelancerProfile, transactions, ordersAsClient, ordersAsFreelancer, tipEarnings, tipsGiven] = await Promise.all([
       prisma.freelancerProfile.findUnique({
         where: { userId },
         select: { totalEarnings: true, rating: true },
@@ -40,15 +42,26 @@ const getUserAnalytics = async (req, res, next) => {
         where: { freelancer: { userId }, status: "COMPLETED" },
         _count: { id: true },
       }),
+      // Tips are part of totalEarnings, and broken out here
+      getAccountBalance(wallet.id, {
+        amount: { gt: 0 },
+        entry: { kind: "TIP", ...(whereClause.createdAt && { createdAt: whereClause.createdAt }) },
+      }),
+      prisma.transaction.aggregate({
+        where: { ...whereClause, type: "TIP", status: "COMPLETED" },
+        _sum: { amount: true },
+      }),
     ]);
 
     const analytics = {
       role: req.user.role,
       totalEarnings: freelancerProfile ? freelancerProfile.totalEarnings : 0,
+      tipEarnings,
       averageRating: freelancerProfile ? freelancerProfile.rating : null,
       completedOrdersAsFreelancer: ordersAsFreelancer._count.id,
       completedOrdersAsClient: ordersAsClient._count.id,
       totalSpentAsClient: ordersAsClient._sum.totalPrice || 0,
+      totalTipsGiven: tipsGiven._sum.amount || 0,
       totalTransactions: transactions._count.id,
       transactionVolume: transactions._sum.amount || 0,
     };
@@ -75,7 +88,8 @@ const getPlatformAnalytics = async (req, res, next) => {
       if (endDate) whereClause.createdAt.lte = new Date(endDate);
     }
 
-    const [userStats, gigStats, jobStats, orderStats, transactionStats, disputeStats] = await Promise.all([
+    const revenueAccount = await getSystemAccount("PLATFORM_REVENUE");
+    const [userStats, gigStats, jobStats, orderStats, transactionStats, disputeStats, totalRevenue, tipStats] = await Promise.all([
       prisma.user.aggregate({
         _count: { id: true },
         where: { ...whereClause, isActive: true },
@@ -102,6 +116,12 @@ const getPlatformAnalytics = async (req, res, next) => {
         _count: { id: true },
         where: { ...whereClause, status: { in: ["OPEN", "IN_REVIEW"] } },
       }),
+      getAccountBalance(revenueAccount.id, whereClause.createdAt ? { entry: { createdAt: whereClause.createdAt } } : {}),
+      prisma.transaction.aggregate({
+        _sum: { amount: true },
+        _count: { id: true },
+        where: { ...whereClause, type: "TIP", status: "COMPLETED" },
+      }),
     ]);
 
     const analytics = {
@@ -111,7 +131,9 @@ const getPlatformAnalytics = async (req, res, next) => {
       totalCompletedOrders: orderStats._count.id,
       totalOrderValue: orderStats._sum.totalPrice || 0,
       totalTransactions: transactionStats._count.id,
-      totalRevenue: transactionStats._sum.amount || 0,
+      totalRevenue,
+      totalTips: tipStats._sum.amount || 0,
+      totalTipCount: tipStats._count.id,
       activeDisputes: disputeStats._count.id,
     };
 
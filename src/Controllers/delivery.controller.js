@@ -0,0 +1,372 @@
+// src/controllers/deliveryController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { toCsv, toEdl } from "../Utils/markerExport.js";
+
+const commentInclude = {
+  author: { select: { id: true, firstname: true, lastname: true, profilePicture: true } },
+  replies: {
+    include: { author: { select: { id: true, firstname: true, lastname: true, profilePicture: true } } },
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+// Loads a delivery of an order the user is a party to
+const findParticipantDelivery = async (orderId, deliveryId, userId) => {
+  const delivery = await prisma.orderDelivery.findUnique({
+    where: { id: parseInt(deliveryId) },
+    include: { order: { include: { freelancer: true } }, files: true },
+  });
+  if (!delivery || delivery.orderId !== parseInt(orderId)) {
+    throw new ApiError(404, "Delivery not found");
+  }
+  const { order } = delivery;
+  if (order.clientId !== userId && order.freelancer.userId !== userId) {
+    throw new ApiError(403, "Forbidden: You can only view your own orders");
+  }
+  return delivery;
+};
+
+const createDelivery = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { message, milestoneId } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true, milestones: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: Only the order's freelancer can deliver it"));
+    }
+    if (order.billingType === "HOURLY") {
+      return next(new ApiError(400, "Hourly orders are billed through timesheets rather than delivered"));
+    }
+
+    // Milestone orders stay IN_PROGRESS and are delivered one funded milestone at a time
+    let milestone = null;
+    if (order.milestones.length > 0) {
+      milestone = order.milestones.find(m => m.id === milestoneId);
+      if (!milestone) {
+        return next(new ApiError(400, "Choose which milestone of this order you are delivering"));
+      }
+      if (order.status !== "IN_PROGRESS") {
+        return next(new ApiError(400, `Cannot deliver an order in ${order.status} status`));
+      }
+      if (!["FUNDED", "DELIVERED"].includes(milestone.status)) {
+        return next(new ApiError(400, milestone.status === "PENDING" ? "Milestone has not been funded yet" : "Milestone is already approved"));
+      }
+    } else if (milestoneId) {
+      return next(new ApiError(400, "This order has no milestones"));
+    } else if (!["IN_PROGRESS", "DELIVERED"].includes(order.status)) {
+      // A DELIVERED order can be re-delivered with a new version until the client accepts it
+      return next(new ApiError(400, `Cannot deliver an order in ${order.status} status`));
+    }
+
+    // Files come from the upload middleware; keep each file's own type and size
+    const files = (req.files || []).map(file => ({
+      fileUrl: file.location,
+      fileType: file.mimetype,
+      fileName: file.originalname,
+      fileSize: file.size,
+    }));
+
+    const delivery = await prisma.$transaction(async (tx) => {
+      const lastDelivery = await tx.orderDelivery.findFirst({
+        where: { orderId: order.id },
+        orderBy: { version: "desc" },
+        select: { version: true },
+      });
+
+      const created = await tx.orderDelivery.create({
+        data: {
+          orderId: order.id,
+          version: lastDelivery ? lastDelivery.version + 1 : 1,
+          message,
+          submittedBy: userId,
+          milestoneId: milestone?.id,
+          files: { create: files },
+        },
+        include: { files: true },
+      });
+
+      if (milestone) {
+        const { count } = await tx.orderMilestone.updateMany({
+          where: { id: milestone.id, status: { in: ["FUNDED", "DELIVERED"] } },
+          data: { status: "DELIVERED", deliveredAt: new Date() },
+        });
+        if (count === 0) {
+          throw new ApiError(409, "The milestone changed while submitting the delivery, please retry");
+        }
+        await tx.orderStatusHistory.create({
+          data: {
+            orderId: order.id,
+            status: order.status,
+            changedBy: userId,
+            note: `Delivery version ${created.version} for milestone ${milestone.sequence} "${milestone.title}"`,
+          },
+        });
+        return created;
+      }
+
+      // A delivery answers the revision the client has open, if any
+      const { count: revisionsCompleted } = await tx.orderRevision.updateMany({
+        where: { orderId: order.id, status: "OPEN" },
+        data: { status: "COMPLETED", completedAt: new Date() },
+      });
+
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: { in: ["IN_PROGRESS", "DELIVERED"] } },
+        data: {
+          status: "DELIVERED",
+          progress: 100,
+          deliveredAt: new Date(),
+          revisionsCompleted: { increment: revisionsCompleted },
+        },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "The order changed while submitting the delivery, please retry");
+      }
+      await tx.orderStatusHistory.create({
+        data: { orderId: order.id, status: "DELIVERED", changedBy: userId, note: `Delivery version ${created.version}` },
+      });
+
+      return created;
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: order.clientId,
+        type: "ORDER_UPDATE",
+        content: milestone
+          ? `Milestone "${milestone.title}" of order ${order.orderNumber} has been delivered and is ready for review`
+          : delivery.version === 1
+            ? `Order ${order.orderNumber} has been delivered`
+            : `Order ${order.orderNumber} has a new delivery (version ${delivery.version})`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, delivery, "Delivery submitted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    if (error.code === "P2002") {
+      return next(new ApiError(409, "Another delivery was submitted at the same time, please retry"));
+    }
+    console.error("Error submitting delivery:", error);
+    return next(new ApiError(500, "Failed to submit delivery", error.message));
+  }
+};
+
+const getDeliveries = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const deliveries = await prisma.orderDelivery.findMany({
+      where: { orderId: order.id },
+      include: { files: true },
+      orderBy: { version: "desc" },
+    });
+
+    return res.status(200).json(new ApiResponse(200, deliveries, "Deliveries retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving deliveries:", error);
+    return next(new ApiError(500, "Failed to retrieve deliveries", error.message));
+  }
+};
+
+const addDeliveryComment = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, deliveryId } = req.params;
+    const { content, parentId, fileId, timecode, frameStart, frameEnd, region } = req.body;
+
+    const delivery = await findParticipantDelivery(orderId, deliveryId, userId);
+    const { order } = delivery;
+
+    const data = { deliveryId: delivery.id, authorId: userId, content };
+    if (parentId) {
+      const parent = await prisma.deliveryComment.findUnique({ where: { id: parentId } });
+      if (!parent || parent.deliveryId !== delivery.id) {
+        return next(new ApiError(404, "Parent comment not found"));
+      }
+      // Threads are one level deep; replying to a reply joins its thread
+      data.parentId = parent.parentId || parent.id;
+    } else {
+      if (timecode === undefined && frameStart === undefined) {
+        return next(new ApiError(400, "A timecode or frame is required on a new comment"));
+      }
+      const videos = delivery.files.filter(file => file.fileType.startsWith("video/"));
+      if (fileId) {
+        if (!videos.some(file => file.id === fileId)) {
+          return next(new ApiError(400, "Comments can only be anchored to a video in this delivery"));
+        }
+      } else if (videos.length > 1) {
+        return next(new ApiError(400, "This delivery has several videos; specify which one with fileId"));
+      }
+      Object.assign(data, {
+        fileId: fileId || videos[0]?.id,
+        timecode,
+        frameStart,
+        frameEnd,
+        region,
+      });
+    }
+
+    const comment = await prisma.deliveryComment.create({
+      data,
+      include: commentInclude,
+    });
+
+    const recipientId = order.clientId === userId ? order.freelancer.userId : order.clientId;
+    await prisma.notification.create({
+      data: {
+        userId: recipientId,
+        type: "ORDER_UPDATE",
+        content: `New ${data.parentId ? "reply" : "comment"} on delivery version ${delivery.version} of order ${order.orderNumber}`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, comment, "Comment added successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error adding delivery comment:", error);
+    return next(new ApiError(500, "Failed to add comment", error.message));
+  }
+};
+
+const getDeliveryComments = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { orderId, deliveryId } = req.params;
+    const { status, fileId } = req.query;
+
+    const delivery = await findParticipantDelivery(orderId, deliveryId, req.user.id);
+
+    const where = { deliveryId: delivery.id, parentId: null };
+    if (status) where.status = status;
+    if (fileId) where.fileId = fileId;
+
+    const comments = await prisma.deliveryComment.findMany({
+      where,
+      include: commentInclude,
+      orderBy: [{ timecode: "asc" }, { frameStart: "asc" }, { createdAt: "asc" }],
+    });
+
+    return res.status(200).json(new ApiResponse(200, comments, "Comments retrieved successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving delivery comments:", error);
+    return next(new ApiError(500, "Failed to retrieve comments", error.message));
+  }
+};
+
+const updateDeliveryCommentStatus = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, deliveryId, commentId } = req.params;
+    const { status } = req.body;
+
+    const delivery = await findParticipantDelivery(orderId, deliveryId, userId);
+
+    const comment = await prisma.deliveryComment.findUnique({ where: { id: parseInt(commentId) } });
+    if (!comment || comment.deliveryId !== delivery.id) {
+      return next(new ApiError(404, "Comment not found"));
+    }
+    if (comment.parentId) {
+      return next(new ApiError(400, "Only top-level comments can be resolved; replies follow their thread"));
+    }
+
+    const updatedComment = await prisma.deliveryComment.update({
+      where: { id: comment.id },
+      data: status === "RESOLVED"
+        ? { status, resolvedBy: userId, resolvedAt: new Date() }
+        : { status, resolvedBy: null, resolvedAt: null },
+      include: commentInclude,
+    });
+
+    return res.status(200).json(new ApiResponse(200, updatedComment, `Comment marked as ${status.toLowerCase()}`));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating delivery comment:", error);
+    return next(new ApiError(500, "Failed to update comment", error.message));
+  }
+};
+
+const exportDeliveryComments = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { orderId, deliveryId } = req.params;
+    const { format, fps, startTimecode, status, fileId } = req.query;
+
+    const delivery = await findParticipantDelivery(orderId, deliveryId, req.user.id);
+
+    const where = { deliveryId: delivery.id, parentId: null };
+    if (status) where.status = status;
+    if (fileId) where.fileId = fileId;
+
+    const comments = await prisma.deliveryComment.findMany({
+      where,
+      include: commentInclude,
+      orderBy: [{ timecode: "asc" }, { frameStart: "asc" }, { createdAt: "asc" }],
+    });
+
+    const fileName = `${delivery.order.orderNumber}-v${delivery.version}-comments.${format}`;
+    const body = format === "edl"
+      ? toEdl(comments, { title: `${delivery.order.orderNumber} v${delivery.version}`, fps, startTimecode })
+      : toCsv(comments, { fps, startTimecode });
+
+    res.setHeader("Content-Type", format === "edl" ? "text/plain; charset=utf-8" : "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.status(200).send(body);
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error exporting delivery comments:", error);
+    return next(new ApiError(500, "Failed to export comments", error.message));
+  }
+};
+
+export {
+  createDelivery,
+  getDeliveries,
+  addDeliveryComment,
+  getDeliveryComments,
+  updateDeliveryCommentStatus,
+  exportDeliveryComments,
+};
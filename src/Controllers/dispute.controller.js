@@ -2,6 +2,7 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
+import { updateDispute } from "../Services/disputeService.js";
 
 const createDispute = async (req, res, next) => {
   try {
@@ -68,7 +69,7 @@ const updateDisputeStatus = async (req, res, next) => {
     }
     const userId = req.user.id;
     const { disputeId } = req.params;
-    const { status, resolution } = req.body;
+    const { status, resolution, refundAmount } = req.body;
 
     const dispute = await prisma.dispute.findUnique({
       where: { id: parseInt(disputeId) },
@@ -88,17 +89,7 @@ const updateDisputeStatus = async (req, res, next) => {
     if ((status === "RESOLVED" || status === "CLOSED") && !resolution) {
       return next(new ApiError(400, "Resolution is required for RESOLVED or CLOSED status"));
     }
-
-    const updatedDispute = await prisma.dispute.update({
-      where: { id: parseInt(disputeId) },
-      data: {
-        status,
-        resolution: resolution || dispute.resolution,
-        resolvedAt: status === "RESOLVED" || status === "CLOSED" ? new Date() : dispute.resolvedAt,
-        resolvedBy: status === "RESOLVED" || status === "CLOSED" ? userId : dispute.resolvedBy,
-      },
-      include: { order: { select: { orderNumber: true } }, raisedBy: { select: { firstname: true, lastname: true } } },
-    });
+    const updatedDispute = await updateDispute(dispute, { status, resolution, refundAmount: refundAmount || 0 }, userId);
 
     // Notify parties
     await prisma.notification.createMany({
@@ -108,17 +99,10 @@ const updateDisputeStatus = async (req, res, next) => {
       ],
     });
 
-    // Update order status if resolved
-    if (status === "RESOLVED" || status === "CLOSED") {
-      await prisma.order.update({
-        where: { id: dispute.orderId },
-        data: { status: "COMPLETED", statusHistory: { create: { status: "COMPLETED", changedBy: userId } } }, // Adjust logic as needed
-      });
-    }
-
     return res.status(200).json(new ApiResponse(200, updatedDispute, "Dispute status updated successfully"));
   } catch (error) {
     console.error("Error updating dispute status:", error);
+    if (error instanceof ApiError) return next(error);
     return next(new ApiError(500, "Failed to update dispute status", error.message));
   }
 };
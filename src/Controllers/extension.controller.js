@@ -0,0 +1,186 @@
+// src/controllers/extensionController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+
+// How long the client has to answer before a request expires on its own
+const EXTENSION_RESPONSE_HOURS = parseInt(process.env.EXTENSION_RESPONSE_HOURS || "48");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requestExtension = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { days, reason } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: Only the freelancer can request an extension"));
+    }
+    if (!["ACCEPTED", "IN_PROGRESS"].includes(order.status) || !order.deliveryDeadline) {
+      return next(new ApiError(400, "Extensions can only be requested on orders that are in progress"));
+    }
+
+    const pending = await prisma.extensionRequest.findFirst({
+      where: { orderId: order.id, status: "PENDING" },
+    });
+    if (pending) {
+      return next(new ApiError(409, "There is already a pending extension request for this order"));
+    }
+
+    const extension = await prisma.extensionRequest.create({
+      data: {
+        orderId: order.id,
+        requestedBy: userId,
+        days,
+        reason,
+        expiresAt: new Date(Date.now() + EXTENSION_RESPONSE_HOURS * 60 * 60 * 1000),
+      },
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: order.clientId,
+        type: "ORDER_UPDATE",
+        content: `The freelancer asked for ${days} more day(s) on order ${order.orderNumber}: ${reason}`,
+        entityType: "ORDER",
+        entityId: order.id,
+        priority: "HIGH",
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, extension, "Extension requested successfully"));
+  } catch (error) {
+    console.error("Error requesting extension:", error);
+    return next(new ApiError(500, "Failed to request extension", error.message));
+  }
+};
+
+const respondToExtension = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, extensionId } = req.params;
+    const { action } = req.body;
+
+    const extension = await prisma.extensionRequest.findFirst({
+      where: { id: parseInt(extensionId), orderId: parseInt(orderId) },
+      include: { order: true },
+    });
+    if (!extension) {
+      return next(new ApiError(404, "Extension request not found"));
+    }
+    const { order } = extension;
+    if (order.clientId !== userId) {
+      return next(new ApiError(403, "Forbidden: Only the client can respond to an extension request"));
+    }
+    if (extension.status !== "PENDING") {
+      return next(new ApiError(400, `Extension request is already ${extension.status.toLowerCase()}`));
+    }
+
+    const now = new Date();
+    const accepted = action === "ACCEPT";
+    const updatedExtension = await prisma.$transaction(async (tx) => {
+      // Only one answer wins, and an expired request can't be accepted late
+      const { count } = await tx.extensionRequest.updateMany({
+        where: { id: extension.id, status: "PENDING", expiresAt: { gt: now } },
+        data: { status: accepted ? "ACCEPTED" : "DECLINED", respondedAt: now },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "Extension request is no longer pending");
+      }
+
+      if (accepted) {
+        // An overdue order stays late if the extra days still don't reach past now
+        const deliveryDeadline = new Date(order.deliveryDeadline.getTime() + extension.days * DAY_MS);
+        const { count: extended } = await tx.order.updateMany({
+          where: { id: order.id, status: { in: ["ACCEPTED", "IN_PROGRESS"] } },
+          data: {
+            deliveryDeadline,
+            deliveryExtensions: { increment: 1 },
+            extensionReason: extension.reason,
+            isLate: deliveryDeadline <= now,
+          },
+        });
+        if (extended === 0) {
+          throw new ApiError(400, "The order is no longer in progress");
+        }
+        await tx.orderStatusHistory.create({
+          data: {
+            orderId: order.id,
+            status: order.status,
+            changedBy: userId,
+            note: `Delivery deadline extended by ${extension.days} day(s)`,
+          },
+        });
+      }
+
+      return tx.extensionRequest.findUnique({ where: { id: extension.id } });
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: extension.requestedBy,
+        type: "ORDER_UPDATE",
+        content: accepted
+          ? `The client accepted your ${extension.days}-day extension on order ${order.orderNumber}`
+          : `The client declined your extension request on order ${order.orderNumber}`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, updatedExtension, `Extension request ${accepted ? "accepted" : "declined"} successfully`)
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error responding to extension request:", error);
+    return next(new ApiError(500, "Failed to respond to extension request", error.message));
+  }
+};
+
+const getExtensions = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const extensions = await prisma.extensionRequest.findMany({
+      where: { orderId: order.id },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return res.status(200).json(new ApiResponse(200, extensions, "Extension requests retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving extension requests:", error);
+    return next(new ApiError(500, "Failed to retrieve extension requests", error.message));
+  }
+};
+
+export { requestExtension, respondToExtension, getExtensions };
@@ -0,0 +1,120 @@
+// src/controllers/feeController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { quoteOrderFees } from "../Services/feeService.js";
+
+const getFeeRules = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { side, isActive } = req.query;
+
+    const where = {};
+    if (side) where.side = side;
+    if (isActive !== undefined) where.isActive = isActive;
+
+    const rules = await prisma.feeRule.findMany({
+      where,
+      include: { _count: { select: { platformFees: true } } },
+      orderBy: [{ side: "asc" }, { priority: "desc" }, { id: "asc" }],
+    });
+
+    return res.status(200).json(new ApiResponse(200, rules, "Fee rules retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving fee rules:", error);
+    return next(new ApiError(500, "Failed to retrieve fee rules", error.message));
+  }
+};
+
+const createFeeRule = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+
+    const rule = await prisma.feeRule.create({ data: req.body });
+
+    return res.status(201).json(new ApiResponse(201, rule, "Fee rule created successfully"));
+  } catch (error) {
+    console.error("Error creating fee rule:", error);
+    return next(new ApiError(500, "Failed to create fee rule", error.message));
+  }
+};
+
+const updateFeeRule = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { ruleId } = req.params;
+
+    const rule = await prisma.feeRule.findUnique({ where: { id: parseInt(ruleId) } });
+    if (!rule) {
+      return next(new ApiError(404, "Fee rule not found"));
+    }
+
+    // Orders keep the fees quoted when they were created; changes apply to new orders only
+    const updatedRule = await prisma.feeRule.update({
+      where: { id: rule.id },
+      data: req.body,
+    });
+
+    return res.status(200).json(new ApiResponse(200, updatedRule, "Fee rule updated successfully"));
+  } catch (error) {
+    console.error("Error updating fee rule:", error);
+    return next(new ApiError(500, "Failed to update fee rule", error.message));
+  }
+};
+
+const deleteFeeRule = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { ruleId } = req.params;
+
+    const rule = await prisma.feeRule.findUnique({
+      where: { id: parseInt(ruleId) },
+      include: { _count: { select: { platformFees: true } } },
+    });
+    if (!rule) {
+      return next(new ApiError(404, "Fee rule not found"));
+    }
+
+    // Rules that have already charged fees are kept for the audit trail
+    if (rule._count.platformFees > 0) {
+      const deactivatedRule = await prisma.feeRule.update({
+        where: { id: rule.id },
+        data: { isActive: false },
+      });
+      return res.status(200).json(new ApiResponse(200, deactivatedRule, "Fee rule has been applied before and was deactivated instead"));
+    }
+
+    await prisma.feeRule.delete({ where: { id: rule.id } });
+
+    return res.status(200).json(new ApiResponse(200, null, "Fee rule deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting fee rule:", error);
+    return next(new ApiError(500, "Failed to delete fee rule", error.message));
+  }
+};
+
+const previewFees = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { amount, category, isUrgent, clientId, freelancerId } = req.body;
+
+    const quote = await quoteOrderFees({ amount, category, isUrgent, clientId, freelancerId });
+
+    return res.status(200).json(new ApiResponse(200, quote, "Fee preview calculated successfully"));
+  } catch (error) {
+    console.error("Error previewing fees:", error);
+    return next(new ApiError(500, "Failed to preview fees", error.message));
+  }
+};
+
+export { getFeeRules, createFeeRule, updateFeeRule, deleteFeeRule, previewFees };
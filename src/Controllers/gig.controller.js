@@ -2,6 +2,7 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
+import { assertSupportedCurrency } from "../Services/fxService.js";
 import multer from "multer";
 import path from "path";
 
@@ -44,8 +45,8 @@ const createGig = async (req, res, next) => {
       const freelancerId = req.user.id;
 
       const {
-        title, description, category, pricing, deliveryTime, revisionCount,
-        tags, requirements, faqs, packageDetails,
+        title, description, category, pricing, deliveryTime, revisionCount, extraRevisionPrice,
+        tags, requirements, faqs, packageDetails, currency,
       } = req.body;
 
       // Validate required fields
@@ -70,6 +71,9 @@ const createGig = async (req, res, next) => {
         return next(new ApiError(400, "Delivery time must be a positive integer."));
       }
 
+      // Prices are in the gig's currency; clients are shown and charged their own
+      const gigCurrency = currency ? await assertSupportedCurrency(currency) : undefined;
+
       const freelancerProfile = await prisma.freelancerProfile.findUnique({
         where: { userId: freelancerId },
       });
@@ -105,8 +109,10 @@ const createGig = async (req, res, next) => {
           description,
           category,
           pricing: parsedPricing,
+          currency: gigCurrency,
           deliveryTime: parsedDeliveryTime,
           revisionCount: revisionCount ? parseInt(revisionCount) : null,
+          extraRevisionPrice: extraRevisionPrice ? parseFloat(extraRevisionPrice) : null,
           tags: parsedTags,
           requirements,
           faqs: parsedFaqs,
@@ -120,6 +126,7 @@ const createGig = async (req, res, next) => {
         new ApiResponse(201, gig, "Gig created successfully")
       );
     } catch (error) {
+      if (error instanceof ApiError) return next(error);
       console.error("Error creating gig:", error);
       return next(new ApiError(500, "Failed to create gig", error.message));
     }
@@ -140,8 +147,8 @@ const createGigDraft = async (req, res, next) => {
       const freelancerId = req.user.id;
 
       const {
-        title, description, category, pricing, deliveryTime, revisionCount,
-        tags, requirements, faqs, packageDetails,
+        title, description, category, pricing, deliveryTime, revisionCount, extraRevisionPrice,
+        tags, requirements, faqs, packageDetails, currency,
       } = req.body;
 
       // Minimal validation for drafts
@@ -161,6 +168,7 @@ const createGigDraft = async (req, res, next) => {
       const parsedFaqs = faqs ? JSON.parse(faqs) : [];
       const parsedPackageDetails = packageDetails ? JSON.parse(packageDetails) : [];
       const parsedDeliveryTime = deliveryTime ? parseInt(deliveryTime) : null;
+      const gigCurrency = currency ? await assertSupportedCurrency(currency) : undefined;
 
       const sampleMediaData = [];
       if (req.files?.thumbnail?.[0]) {
@@ -185,8 +193,10 @@ const createGigDraft = async (req, res, next) => {
           description: description || null,
           category: category || null,
           pricing: parsedPricing.length > 0 ? parsedPricing : [],
+          currency: gigCurrency,
           deliveryTime: parsedDeliveryTime,
           revisionCount: revisionCount ? parseInt(revisionCount) : null,
+          extraRevisionPrice: extraRevisionPrice ? parseFloat(extraRevisionPrice) : null,
           status: "DRAFT",
           tags: parsedTags,
           requirements: requirements || null,
@@ -201,6 +211,7 @@ const createGigDraft = async (req, res, next) => {
         new ApiResponse(201, gig, "Gig draft saved successfully")
       );
     } catch (error) {
+      if (error instanceof ApiError) return next(error);
       console.error("Error saving gig draft:", error);
       return next(new ApiError(500, "Failed to save gig draft", error.message));
     }
@@ -222,8 +233,8 @@ const updateGigDraft = async (req, res, next) => {
       const { gigId } = req.params;
 
       const {
-        title, description, category, pricing, deliveryTime, revisionCount,
-        tags, requirements, faqs, packageDetails,
+        title, description, category, pricing, deliveryTime, revisionCount, extraRevisionPrice,
+        tags, requirements, faqs, packageDetails, currency,
       } = req.body;
 
       const gig = await prisma.gig.findUnique({
@@ -250,6 +261,7 @@ const updateGigDraft = async (req, res, next) => {
       const parsedFaqs = faqs ? JSON.parse(faqs) : gig.faqs;
       const parsedPackageDetails = packageDetails ? JSON.parse(packageDetails) : gig.packageDetails;
       const parsedDeliveryTime = deliveryTime ? parseInt(deliveryTime) : gig.deliveryTime;
+      const gigCurrency = currency ? await assertSupportedCurrency(currency) : gig.currency;
 
       const sampleMediaData = [];
       if (req.files?.thumbnail?.[0]) {
@@ -274,8 +286,10 @@ const updateGigDraft = async (req, res, next) => {
           description: description !== undefined ? description : gig.description,
           category: category !== undefined ? category : gig.category,
           pricing: parsedPricing,
+          currency: gigCurrency,
           deliveryTime: parsedDeliveryTime,
           revisionCount: revisionCount ? parseInt(revisionCount) : gig.revisionCount,
+          extraRevisionPrice: extraRevisionPrice ? parseFloat(extraRevisionPrice) : gig.extraRevisionPrice,
           tags: parsedTags,
           requirements: requirements !== undefined ? requirements : gig.requirements,
           faqs: parsedFaqs,
@@ -292,6 +306,7 @@ const updateGigDraft = async (req, res, next) => {
         new ApiResponse(200, updatedGig, "Gig draft updated successfully")
       );
     } catch (error) {
+      if (error instanceof ApiError) return next(error);
       console.error("Error updating gig draft:", error);
       return next(new ApiError(500, "Failed to update gig draft", error.message));
     }
@@ -343,8 +358,8 @@ const updateGig = async (req, res, next) => {
     const { gigId } = req.params;
 
     const {
-      title, description, category, pricing, deliveryTime, revisionCount,
-      tags, requirements, faqs, packageDetails, sampleMedia,
+      title, description, category, pricing, deliveryTime, revisionCount, extraRevisionPrice,
+      tags, requirements, faqs, packageDetails, sampleMedia, currency,
     } = req.body;
 
     const gig = await prisma.gig.findUnique({
@@ -365,6 +380,8 @@ const updateGig = async (req, res, next) => {
     if (deliveryTime && (isNaN(parseInt(deliveryTime)) || parseInt(deliveryTime) <= 0)) {
       return next(new ApiError(400, "Delivery time must be a positive integer."));
     }
+    // Orders snapshot their exchange rates, so changing the currency only affects new orders
+    const gigCurrency = currency !== undefined ? await assertSupportedCurrency(currency) : gig.currency;
 
     const updatedGig = await prisma.gig.update({
       where: { id: parseInt(gigId) },
@@ -373,8 +390,10 @@ const updateGig = async (req, res, next) => {
         description: description !== undefined ? description : gig.description,
         category: category !== undefined ? category : gig.category,
         pricing: pricing !== undefined ? pricing : gig.pricing,
+        currency: gigCurrency,
         deliveryTime: deliveryTime ? parseInt(deliveryTime) : gig.deliveryTime,
         revisionCount: revisionCount !== undefined ? parseInt(revisionCount) : gig.revisionCount,
+        extraRevisionPrice: extraRevisionPrice !== undefined ? parseFloat(extraRevisionPrice) : gig.extraRevisionPrice,
         tags: tags !== undefined ? (Array.isArray(tags) ? tags : tags ? [tags] : []) : gig.tags,
         requirements: requirements !== undefined ? requirements : gig.requirements,
         faqs: faqs !== undefined ? faqs : gig.faqs,
@@ -396,6 +415,7 @@ const updateGig = async (req, res, next) => {
       new ApiResponse(200, updatedGig, "Gig updated successfully")
     );
   } catch (error) {
+    if (error instanceof ApiError) return next(error);
     console.error("Error updating gig:", error);
     return next(new ApiError(500, "Failed to update gig", error.message));
   }
@@ -445,6 +465,7 @@ const getGig = async (req, res, next) => {
       where: { id: parseInt(gigId) },
       include: {
         sampleMedia: true,
+        extras: { where: { isActive: true }, orderBy: { id: "asc" } },
         freelancer: {
           include: {
             user: { select: { firstname: true, lastname: true, email: true } },
@@ -488,7 +509,7 @@ const getFreelancerGigs = async (req, res, next) => {
 
     const gigs = await prisma.gig.findMany({
       where: { freelancerId: freelancerProfile.id },
-      include: { sampleMedia: true },
+      include: { sampleMedia: true, extras: true },
     });
     console.log("Fetched gigs:", gigs); // Debug
 
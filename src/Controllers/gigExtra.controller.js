@@ -0,0 +1,122 @@
+// src/controllers/gigExtraController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+
+// Catches extras whose type contradicts their delivery or revision impact
+const checkExtraType = ({ type, deliveryDays, revisions }) => {
+  if (type === "FAST_DELIVERY" && !(deliveryDays < 0)) {
+    return "Extra-fast delivery must reduce the delivery time (negative deliveryDays)";
+  }
+  if (type === "EXTRA_REVISION" && !(revisions > 0)) {
+    return "Extra revisions must add at least one revision";
+  }
+  return null;
+};
+
+// Packages an extra is limited to have to exist on the gig
+const checkPackages = (gig, packages = []) => {
+  const pricingData = typeof gig.pricing === "string" ? JSON.parse(gig.pricing) : gig.pricing;
+  const names = (pricingData || []).map(pkg => pkg.name);
+  const unknown = packages.filter(name => !names.includes(name));
+  return unknown.length > 0 ? `Unknown package(s): ${unknown.join(", ")}` : null;
+};
+
+const getGigExtras = async (req, res, next) => {
+  try {
+    const { gigId } = req.params;
+
+    const extras = await prisma.gigExtra.findMany({
+      where: { gigId: parseInt(gigId), isActive: true },
+      orderBy: { id: "asc" },
+    });
+
+    return res.status(200).json(new ApiResponse(200, extras, "Gig extras retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving gig extras:", error);
+    return next(new ApiError(500, "Failed to retrieve gig extras", error.message));
+  }
+};
+
+const createGigExtra = async (req, res, next) => {
+  try {
+    const gig = req.resource; // Set by checkOwnership
+
+    const problem = checkExtraType(req.body) || checkPackages(gig, req.body.packages);
+    if (problem) {
+      return next(new ApiError(400, problem));
+    }
+
+    const extra = await prisma.gigExtra.create({
+      data: { ...req.body, gigId: gig.id },
+    });
+
+    return res.status(201).json(new ApiResponse(201, extra, "Gig extra created successfully"));
+  } catch (error) {
+    console.error("Error creating gig extra:", error);
+    return next(new ApiError(500, "Failed to create gig extra", error.message));
+  }
+};
+
+const updateGigExtra = async (req, res, next) => {
+  try {
+    const gig = req.resource; // Set by checkOwnership
+    const { extraId } = req.params;
+
+    const extra = await prisma.gigExtra.findFirst({
+      where: { id: parseInt(extraId), gigId: gig.id },
+    });
+    if (!extra) {
+      return next(new ApiError(404, "Gig extra not found"));
+    }
+
+    const problem = checkExtraType({ ...extra, ...req.body }) || checkPackages(gig, req.body.packages);
+    if (problem) {
+      return next(new ApiError(400, problem));
+    }
+
+    // Orders keep a copy of the extra as it was priced, so edits only affect new orders
+    const updatedExtra = await prisma.gigExtra.update({
+      where: { id: extra.id },
+      data: req.body,
+    });
+
+    return res.status(200).json(new ApiResponse(200, updatedExtra, "Gig extra updated successfully"));
+  } catch (error) {
+    console.error("Error updating gig extra:", error);
+    return next(new ApiError(500, "Failed to update gig extra", error.message));
+  }
+};
+
+const deleteGigExtra = async (req, res, next) => {
+  try {
+    const gig = req.resource; // Set by checkOwnership
+    const { extraId } = req.params;
+
+    const extra = await prisma.gigExtra.findFirst({
+      where: { id: parseInt(extraId), gigId: gig.id },
+      include: { _count: { select: { orderExtras: true } } },
+    });
+    if (!extra) {
+      return next(new ApiError(404, "Gig extra not found"));
+    }
+
+    // Extras that were ordered are kept so past orders still link to them
+    if (extra._count.orderExtras > 0) {
+      const deactivatedExtra = await prisma.gigExtra.update({
+        where: { id: extra.id },
+        data: { isActive: false },
+      });
+      return res.status(200).json(new ApiResponse(200, deactivatedExtra, "Gig extra has been ordered before and was deactivated instead"));
+    }
+
+    await prisma.gigExtra.delete({ where: { id: extra.id } });
+
+    return res.status(200).json(new ApiResponse(200, null, "Gig extra deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting gig extra:", error);
+    return next(new ApiError(500, "Failed to delete gig extra", error.message));
+  }
+};
+
+export { getGigExtras, createGigExtra, updateGigExtra, deleteGigExtra };
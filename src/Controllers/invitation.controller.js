@@ -0,0 +1,291 @@
+// src/controllers/invitationController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { submitProposal, withBudgetFit } from "../Services/proposalService.js";
+
+// How many freelancers a client can invite to one job
+const JOB_INVITATION_LIMIT = parseInt(process.env.JOB_INVITATION_LIMIT || "20");
+
+const invitationInclude = {
+  job: { select: { id: true, title: true, budgetMin: true, budgetMax: true, currency: true, deadline: true, status: true } },
+  message: {
+    include: {
+      sender: { select: { id: true, firstname: true, lastname: true } },
+    },
+  },
+};
+
+// Loads an invitation sent to the signed-in freelancer, or throws
+const findFreelancerInvitation = async (invitationId, userId) => {
+  const invitation = await prisma.jobInvitation.findUnique({
+    where: { id: parseInt(invitationId) },
+    include: { job: { include: { screeningQuestions: true } } },
+  });
+  if (!invitation || invitation.freelancerId !== userId) {
+    throw new ApiError(404, "Invitation not found or it wasn’t sent to you");
+  }
+  if (invitation.status !== "PENDING") {
+    throw new ApiError(400, `Invitation is already ${invitation.status.toLowerCase()}`);
+  }
+  return invitation;
+};
+
+const inviteFreelancers = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const clientId = req.user.id;
+    const { jobId } = req.params;
+    const { freelancerIds, note } = req.body;
+
+    const job = await prisma.job.findUnique({ where: { id: parseInt(jobId) } });
+    if (!job || job.postedById !== clientId) {
+      return next(new ApiError(404, "Job not found or you don’t own it"));
+    }
+    if (job.status !== "OPEN") {
+      return next(new ApiError(400, `This job is ${job.status.toLowerCase()}; freelancers can only be invited to open jobs`));
+    }
+
+    const ids = [...new Set(freelancerIds)];
+    const { invitations, skipped } = await prisma.$transaction(async (tx) => {
+      // The job stays locked while its invitations are counted and sent, so concurrent
+      // requests can't go over the limit or invite the same freelancer twice
+      await tx.$queryRaw`SELECT "id" FROM "Job" WHERE "id" = ${job.id} FOR UPDATE`;
+      const sent = await tx.jobInvitation.count({ where: { jobId: job.id } });
+      if (sent + ids.length > JOB_INVITATION_LIMIT) {
+        throw new ApiError(
+          400,
+          `A job can have up to ${JOB_INVITATION_LIMIT} invitations; ${Math.max(JOB_INVITATION_LIMIT - sent, 0)} left for this one`,
+        );
+      }
+
+      const [freelancers, invited, applied] = await Promise.all([
+        tx.user.findMany({
+          where: { id: { in: ids }, isActive: true, freelancerProfile: { isNot: null } },
+          select: { id: true },
+        }),
+        tx.jobInvitation.findMany({ where: { jobId: job.id, freelancerId: { in: ids } }, select: { freelancerId: true } }),
+        tx.application.findMany({ where: { jobId: job.id, freelancerId: { in: ids } }, select: { freelancerId: true } }),
+      ]);
+      const found = new Set(freelancers.map(freelancer => freelancer.id));
+      const alreadyInvited = new Set(invited.map(invitation => invitation.freelancerId));
+      const alreadyApplied = new Set(applied.map(application => application.freelancerId));
+
+      const skipped = [];
+      const created = [];
+      for (const freelancerId of ids) {
+        if (freelancerId === clientId || !found.has(freelancerId)) {
+          skipped.push({ freelancerId, reason: "Freelancer not found" });
+        } else if (alreadyInvited.has(freelancerId)) {
+          skipped.push({ freelancerId, reason: "Already invited to this job" });
+        } else if (alreadyApplied.has(freelancerId)) {
+          skipped.push({ freelancerId, reason: "Already applied to this job" });
+        } else {
+          const message = await tx.message.create({
+            data: {
+              senderId: clientId,
+              receiverId: freelancerId,
+              type: "JOB_INVITATION",
+              subject: `Invitation: ${job.title}`,
+              content: note,
+              jobInvitation: { create: { jobId: job.id, freelancerId, note } },
+            },
+            include: { jobInvitation: true },
+          });
+          created.push(message.jobInvitation);
+        }
+      }
+      return { invitations: created, skipped };
+    });
+
+    if (invitations.length > 0) {
+      // The token only carries the user's ID, email and role
+      const client = await prisma.user.findUnique({ where: { id: clientId }, select: { firstname: true } });
+      await prisma.notification.createMany({
+        data: invitations.map(invitation => ({
+          userId: invitation.freelancerId,
+          type: "JOB",
+          content: `${client.firstname} invited you to send a proposal for "${job.title}"`,
+          entityType: "MESSAGE",
+          entityId: invitation.messageId,
+        })),
+      });
+    }
+
+    return res.status(201).json(new ApiResponse(201, { invitations, skipped }, "Invitations sent successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error inviting freelancers:", error);
+    return next(new ApiError(500, "Failed to invite freelancers", error.message));
+  }
+};
+
+const getJobInvitations = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { jobId } = req.params;
+    const { status } = req.query;
+
+    const job = await prisma.job.findUnique({ where: { id: parseInt(jobId) } });
+    if (!job || job.postedById !== req.user.id) {
+      return next(new ApiError(404, "Job not found or you don’t own it"));
+    }
+
+    const [invitations, counts] = await Promise.all([
+      prisma.jobInvitation.findMany({
+        where: { jobId: job.id, ...(status && { status }) },
+        include: {
+          freelancer: {
+            select: {
+              id: true,
+              firstname: true,
+              lastname: true,
+              profilePicture: true,
+              rating: true,
+              freelancerProfile: { select: { id: true, jobTitle: true, hourlyRate: true } },
+            },
+          },
+          application: { select: { id: true, status: true, bidAmount: true, withdrawnAt: true } },
+        },
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.jobInvitation.groupBy({
+        by: ["status"],
+        where: { jobId: job.id },
+        _count: { _all: true },
+      }),
+    ]);
+
+    const summary = { PENDING: 0, ACCEPTED: 0, DECLINED: 0 };
+    for (const { status: countedStatus, _count } of counts) {
+      summary[countedStatus] = _count._all;
+    }
+    const sent = summary.PENDING + summary.ACCEPTED + summary.DECLINED;
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        invitations,
+        summary,
+        remaining: Math.max(JOB_INVITATION_LIMIT - sent, 0),
+      }, "Job invitations retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving job invitations:", error);
+    return next(new ApiError(500, "Failed to retrieve job invitations", error.message));
+  }
+};
+
+const getMyInvitations = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { freelancerId: req.user.id };
+    if (status) where.status = status;
+
+    const [invitations, total] = await Promise.all([
+      prisma.jobInvitation.findMany({
+        where,
+        include: invitationInclude,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.jobInvitation.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        invitations,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Invitations retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving invitations:", error);
+    return next(new ApiError(500, "Failed to retrieve invitations", error.message));
+  }
+};
+
+const acceptInvitation = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { invitationId } = req.params;
+
+    const invitation = await findFreelancerInvitation(invitationId, userId);
+    const freelancer = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { freelancerProfile: true },
+    });
+    if (!freelancer || !freelancer.freelancerProfile) {
+      return next(new ApiError(404, "Freelancer profile not found"));
+    }
+
+    // Sending the proposal is what accepts the invitation
+    const { application, invitation: accepted } = await submitProposal(invitation.job, freelancer, req.body);
+
+    return res.status(201).json(
+      new ApiResponse(201, {
+        invitation: accepted || invitation,
+        proposal: withBudgetFit(application, invitation.job),
+      }, "Invitation accepted successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error accepting invitation:", error);
+    return next(new ApiError(500, "Failed to accept invitation", error.message));
+  }
+};
+
+const declineInvitation = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { invitationId } = req.params;
+    const { reason } = req.body;
+
+    const invitation = await findFreelancerInvitation(invitationId, req.user.id);
+
+    const { count } = await prisma.jobInvitation.updateMany({
+      where: { id: invitation.id, status: "PENDING" },
+      data: { status: "DECLINED", respondedAt: new Date(), declineReason: reason },
+    });
+    if (count === 0) {
+      return next(new ApiError(409, "The invitation was answered in the meantime"));
+    }
+
+    const freelancer = await prisma.user.findUnique({ where: { id: req.user.id }, select: { firstname: true } });
+    await prisma.notification.create({
+      data: {
+        userId: invitation.job.postedById,
+        type: "JOB",
+        content: `${freelancer.firstname} declined your invitation to "${invitation.job.title}": ${reason}`,
+        entityType: "JOB",
+        entityId: invitation.jobId,
+      },
+    });
+
+    const updated = await prisma.jobInvitation.findUnique({ where: { id: invitation.id } });
+
+    return res.status(200).json(new ApiResponse(200, updated, "Invitation declined successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error declining invitation:", error);
+    return next(new ApiError(500, "Failed to decline invitation", error.message));
+  }
+};
+
+export { inviteFreelancers, getJobInvitations, getMyInvitations, acceptInvitation, declineInvitation };
@@ -1,74 +1,16 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
+import { assertSupportedCurrency } from "../Services/fxService.js";
+import { changeJobStatus } from "../Services/jobService.js";
 
-const applyJob = async (req, res, next) => {
-  try {
-    if (!req.user || !req.user.id) {
-      return next(new ApiError(401, "Unauthorized: User not authenticated"));
-    }
-
-    const freelancerId = req.user.id;
-    const jobId = Number(req.params.jobId);
-    const { aboutFreelancer } = req.body;
+// Screening questions are asked in the order the client listed them
+const toScreeningQuestions = (questions) => questions.map(({ question, isRequired }, position) => ({
+  question,
+  isRequired,
+  position,
+}));
 
-    // Validate role
-    if (req.user.role !== "FREELANCER") {
-      return next(new ApiError(403, "Only freelancers can apply for jobs"));
-    }
-
-    // Check if job exists
-    const job = await prisma.job.findUnique({
-      where: { id: jobId },
-    });
-    if (!job) {
-      return next(new ApiError(404, "Job not found"));
-    }
-
-    // Check if user exists and is a freelancer
-    const freelancer = await prisma.user.findUnique({
-      where: { id: freelancerId },
-      include: { freelancerProfile: true },
-    });
-    if (!freelancer || !freelancer.freelancerProfile) {
-      return next(new ApiError(404, "Freelancer profile not found"));
-    }
-
-    // Check if already applied
-    const existingApplication = await prisma.application.findFirst({
-      where: { freelancerId, jobId },
-    });
-    if (existingApplication) {
-      return next(new ApiError(400, "You have already applied to this job"));
-    }
-
-    // Create the application
-    const appliedJob = await prisma.application.create({
-      data: {
-        aboutFreelancer,
-        freelancer: { connect: { id: freelancerId } },
-        job: { connect: { id: jobId } },
-      },
-    });
-
-    // Update the user's appliedJobsId array
-    await prisma.user.update({
-      where: { id: freelancerId },
-      data: {
-        appliedJobsId: { push: jobId },
-      },
-    });
-
-    return res.status(200).json(
-      new ApiResponse(200, { appliedJob }, "Applied to job successfully")
-    );
-  } catch (error) {
-    console.error("Error applying for job:", error);
-    return next(new ApiError(500, "Failed to apply for job: " + error.message));
-  }
-};
-
-// Other functions (unchanged)
 const createJob = async (req, res, next) => {
   try {
     if (!req.user || !req.user.id) {
@@ -79,9 +21,14 @@ const createJob = async (req, res, next) => {
     const {
       title, description, category, budgetMin, budgetMax, deadline, jobDifficulty,
       projectLength, keyResponsibilities, requiredSkills, tools, scope, name,
-      email, company, note, videoFileUrl,
+      email, company, note, videoFileUrl, currency, screeningQuestions, status,
     } = req.body;
 
+    // The budget is in the client's preferred currency unless the job says otherwise
+    const budgetCurrency = currency
+      ? await assertSupportedCurrency(currency)
+      : (await prisma.user.findUnique({ where: { id: postedById }, select: { preferredCurrency: true } })).preferredCurrency;
+
     let finalVideoFileUrl = videoFileUrl;
     if (req.files && req.files.videoFile) {
       const file = req.files.videoFile;
@@ -98,6 +45,7 @@ const createJob = async (req, res, next) => {
         category,
         budgetMin,
         budgetMax,
+        currency: budgetCurrency,
         deadline: new Date(deadline),
         jobDifficulty,
         projectLength,
@@ -111,12 +59,16 @@ const createJob = async (req, res, next) => {
         company,
         note,
         videoFileUrl: finalVideoFileUrl,
+        status,
+        statusUpdatedAt: new Date(),
+        ...(screeningQuestions?.length > 0 && { screeningQuestions: { create: toScreeningQuestions(screeningQuestions) } }),
       },
-      include: { postedBy: { select: { firstname: true, lastname: true } } },
+      include: { postedBy: { select: { firstname: true, lastname: true } }, screeningQuestions: true },
     });
 
-    return res.status(201).json(new ApiResponse(201, job, "Job posted successfully"));
+    return res.status(201).json(new ApiResponse(201, job, status === "DRAFT" ? "Job saved as a draft" : "Job posted successfully"));
   } catch (error) {
+    if (error instanceof ApiError) return next(error);
     console.error("Error creating job:", error);
     return next(new ApiError(500, "Failed to post job", error.message));
   }
@@ -132,7 +84,7 @@ const updateJob = async (req, res, next) => {
     const {
       title, description, category, budgetMin, budgetMax, deadline, jobDifficulty,
       projectLength, keyResponsibilities, requiredSkills, tools, scope, name,
-      email, company, note, videoFileUrl,
+      email, company, note, videoFileUrl, currency, screeningQuestions,
     } = req.body;
 
     const job = await prisma.job.findUnique({
@@ -160,6 +112,7 @@ const updateJob = async (req, res, next) => {
       }
       updateData.budgetMax = maxBudget;
     }
+    if (currency) updateData.currency = await assertSupportedCurrency(currency);
     if (deadline) {
       const parsedDeadline = new Date(deadline);
       if (isNaN(parsedDeadline.getTime()) || parsedDeadline < new Date()) {
@@ -184,15 +137,24 @@ const updateJob = async (req, res, next) => {
     if (company !== undefined) updateData.company = company;
     if (note !== undefined) updateData.note = note;
     if (videoFileUrl !== undefined) updateData.videoFileUrl = videoFileUrl;
+    if (screeningQuestions !== undefined) {
+      // Questions can't change under proposals that already answered them
+      const applications = await prisma.application.count({ where: { jobId: job.id } });
+      if (applications > 0) {
+        return next(new ApiError(400, "Screening questions can't be changed once proposals have been sent"));
+      }
+      updateData.screeningQuestions = { deleteMany: {}, create: toScreeningQuestions(screeningQuestions) };
+    }
 
     const updatedJob = await prisma.job.update({
       where: { id: parseInt(jobId) },
       data: updateData,
-      include: { postedBy: { select: { firstname: true, lastname: true } } },
+      include: { postedBy: { select: { firstname: true, lastname: true } }, screeningQuestions: true },
     });
 
     return res.status(200).json(new ApiResponse(200, updatedJob, "Job updated successfully"));
   } catch (error) {
+    if (error instanceof ApiError) return next(error);
     console.error("Error updating job:", error);
     return next(new ApiError(500, "Failed to update job", error.message));
   }
@@ -224,23 +186,45 @@ const deleteJob = async (req, res, next) => {
   }
 };
 
-const getJob = async (req, res, next) => {
+const updateJobStatus = async (req, res, next) => {
   try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
     const { jobId } = req.params;
+    const { action, deadline, reason } = req.body;
 
     const job = await prisma.job.findUnique({
       where: { id: parseInt(jobId) },
-      include: { postedBy: { select: { firstname: true, lastname: true, email: true } } },
     });
-    if (!job) {
-      return next(new ApiError(404, "Job not found"));
+    if (!job || job.postedById !== req.user.id) {
+      return next(new ApiError(404, "Job not found or you don’t own it"));
     }
 
-    if (req.user && req.user.role === "FREELANCER" && req.user.id !== job.postedById) {
-      await prisma.job.update({
-        where: { id: parseInt(jobId) },
-        data: { proposals: { increment: 1 } },
-      });
+    const updatedJob = await changeJobStatus(job, action, { deadline, reason });
+
+    return res.status(200).json(new ApiResponse(200, updatedJob, "Job status updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating job status:", error);
+    return next(new ApiError(500, "Failed to update job status", error.message));
+  }
+};
+
+const getJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await prisma.job.findUnique({
+      where: { id: parseInt(jobId) },
+      include: {
+        postedBy: { select: { firstname: true, lastname: true, email: true } },
+        screeningQuestions: { orderBy: [{ position: "asc" }, { id: "asc" }] },
+      },
+    });
+    // Drafts are only seen by their client, through their own job list
+    if (!job || job.status === "DRAFT") {
+      return next(new ApiError(404, "Job not found"));
     }
 
     return res.status(200).json(new ApiResponse(200, job, "Job retrieved successfully"));
@@ -256,10 +240,11 @@ const getClientJobs = async (req, res, next) => {
       return next(new ApiError(401, "Unauthorized: User not authenticated"));
     }
     const postedById = req.user.id;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = { postedById };
+    if (status) where.status = status;
 
     const [jobs, total] = await Promise.all([
       prisma.job.findMany({
@@ -292,8 +277,12 @@ const getAllJobs = async (req, res, next) => {
     const { category, search, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
+    // Jobs are only listed while they take proposals; the deadline check covers the
+    // time until the scheduler expires them
     const where = {
       isVerified: true,
+      status: "OPEN",
+      deadline: { gt: new Date() },
     };
     if (category) {
       where.category = { has: category };
@@ -312,7 +301,7 @@ const getAllJobs = async (req, res, next) => {
         include: { postedBy: { select: { firstname: true, lastname: true } } },
         skip,
         take: parseInt(limit),
-        orderBy: { createdAt: "desc" },
+        orderBy: { postedTime: "desc" },
       }),
       prisma.job.count({ where }),
     ]);
@@ -331,25 +320,5 @@ const getAllJobs = async (req, res, next) => {
     return next(new ApiError(500, "Failed to retrieve all jobs", error.message));
   }
 };
-const checkApplicationStatus = async (req, res, next) => {
-  try {
-    const jobId = parseInt(req.params.jobId);
-    const userId = req.user.id;
-    
-    const application = await prisma.application.findFirst({
-      where: {
-        jobId,
-        freelancerId: userId,
-      },
-    });
-    
-    return res.status(200).json(
-      new ApiResponse(200, { hasApplied: !!application }, "Application status retrieved")
-    );
-  } catch (error) {
-    console.error("Error in checkApplicationStatus:", error);
-    return next(new ApiError(500, "Failed to check application status"));
-  }
-};
 
-export { createJob, updateJob, deleteJob, getJob, getClientJobs, getAllJobs, applyJob, checkApplicationStatus };
\ No newline at end of file
+export { createJob, updateJob, deleteJob, updateJobStatus, getJob, getClientJobs, getAllJobs };
\ No newline at end of file
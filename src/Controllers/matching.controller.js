@@ -0,0 +1,79 @@
+// src/controllers/matchingController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { MATCH_PROFILE_INCLUDE, recommendJobs, suggestFreelancers } from "../Services/matchingService.js";
+
+const getRecommendedJobs = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { page = 1, limit = 10, minScore = 0 } = req.query;
+
+    const profile = await prisma.freelancerProfile.findUnique({
+      where: { userId: req.user.id },
+      include: MATCH_PROFILE_INCLUDE,
+    });
+    if (!profile) {
+      return next(new ApiError(404, "Freelancer profile not found"));
+    }
+
+    const { matches, total } = await recommendJobs(profile, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      minScore: parseInt(minScore),
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        jobs: matches,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Recommended jobs retrieved successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving recommended jobs:", error);
+    return next(new ApiError(500, "Failed to retrieve recommended jobs", error.message));
+  }
+};
+
+const getSuggestedFreelancers = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { jobId } = req.params;
+    const { page = 1, limit = 10, minScore = 0 } = req.query;
+
+    const job = await prisma.job.findUnique({ where: { id: parseInt(jobId) } });
+    if (!job || job.postedById !== req.user.id) {
+      return next(new ApiError(404, "Job not found or you don’t own it"));
+    }
+
+    const { matches, total } = await suggestFreelancers(job, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      minScore: parseInt(minScore),
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        freelancers: matches,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Suggested freelancers retrieved successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving suggested freelancers:", error);
+    return next(new ApiError(500, "Failed to retrieve suggested freelancers", error.message));
+  }
+};
+
+export { getRecommendedJobs, getSuggestedFreelancers };
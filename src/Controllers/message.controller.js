@@ -125,6 +125,7 @@ const getMessages = async (req, res, next) => {
           receiver: { select: { firstname: true, lastname: true } },
           order: { select: { orderNumber: true } },
           attachments: true,
+          customOffer: true,
           replies: { include: { sender: { select: { firstname: true, lastname: true } }, attachments: true } },
         },
         skip,
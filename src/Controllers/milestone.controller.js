@@ -0,0 +1,182 @@
+// src/controllers/milestoneController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { getAmountDue, getEscrowSummary } from "../Services/escrowService.js";
+import { approveMilestone, buildMilestones } from "../Services/milestoneService.js";
+
+const setMilestones = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { milestones } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+    });
+    if (!order || order.clientId !== userId) {
+      return next(new ApiError(404, "Order not found or you don’t own it"));
+    }
+    if (order.billingType === "HOURLY") {
+      return next(new ApiError(400, "Hourly orders are billed through timesheets rather than milestones"));
+    }
+    if (order.status !== "PENDING") {
+      return next(new ApiError(400, "Milestones can only be planned before the order is accepted"));
+    }
+    // Payments already made aren't tied to a milestone, so the plan is fixed once money comes in
+    const { paid } = await getEscrowSummary(order.id);
+    if (paid > 0) {
+      return next(new ApiError(400, "Milestones can't be changed after the order has been paid"));
+    }
+
+    const plan = buildMilestones(order.totalPrice, milestones);
+    const created = await prisma.$transaction(async (tx) => {
+      await tx.orderMilestone.deleteMany({ where: { orderId: order.id } });
+      await tx.orderMilestone.createMany({
+        data: plan.map(milestone => ({ ...milestone, orderId: order.id })),
+      });
+      // The order is due when its last milestone is
+      await tx.order.update({
+        where: { id: order.id },
+        data: { deliveryDeadline: plan[plan.length - 1].dueDate, deliveryDays: null },
+      });
+      return tx.orderMilestone.findMany({
+        where: { orderId: order.id },
+        orderBy: { sequence: "asc" },
+      });
+    });
+
+    return res.status(200).json(new ApiResponse(200, created, "Milestones saved successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error saving milestones:", error);
+    return next(new ApiError(500, "Failed to save milestones", error.message));
+  }
+};
+
+const getMilestones = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const milestones = await prisma.orderMilestone.findMany({
+      where: { orderId: order.id },
+      include: { deliveries: { include: { files: true }, orderBy: { version: "desc" } } },
+      orderBy: { sequence: "asc" },
+    });
+
+    const items = await Promise.all(milestones.map(async (milestone) => {
+      const [escrow, amountDue] = await Promise.all([
+        getEscrowSummary(order.id, prisma, { milestoneId: milestone.id }),
+        getAmountDue(order, prisma, milestone),
+      ]);
+      return { ...milestone, escrow, amountDue: amountDue.total };
+    }));
+
+    return res.status(200).json(
+      new ApiResponse(200, { milestones: items, progress: order.progress }, "Milestones retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving milestones:", error);
+    return next(new ApiError(500, "Failed to retrieve milestones", error.message));
+  }
+};
+
+const reviewMilestone = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, milestoneId } = req.params;
+    const { action, note } = req.body;
+
+    const milestone = await prisma.orderMilestone.findFirst({
+      where: { id: parseInt(milestoneId), orderId: parseInt(orderId) },
+      include: { order: { include: { freelancer: true } } },
+    });
+    if (!milestone) {
+      return next(new ApiError(404, "Milestone not found"));
+    }
+    const { order } = milestone;
+    if (order.clientId !== userId) {
+      return next(new ApiError(403, "Forbidden: Only the client can review a milestone"));
+    }
+    if (milestone.status !== "DELIVERED") {
+      return next(new ApiError(400, "Only delivered milestones can be reviewed"));
+    }
+    if (order.status !== "IN_PROGRESS") {
+      return next(new ApiError(400, `Milestones can't be reviewed on ${order.status.toLowerCase()} orders`));
+    }
+
+    if (action === "APPROVE") {
+      const approved = await approveMilestone(milestone, { changedBy: userId });
+      if (!approved) {
+        return next(new ApiError(409, "Milestone is no longer awaiting review"));
+      }
+    } else {
+      // Sent back to the freelancer; the funds stay in escrow
+      const updated = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.orderMilestone.updateMany({
+          where: { id: milestone.id, status: "DELIVERED" },
+          data: { status: "FUNDED", deliveredAt: null },
+        });
+        if (count === 0) return false;
+        await tx.orderStatusHistory.create({
+          data: {
+            orderId: order.id,
+            status: order.status,
+            changedBy: userId,
+            note: `Changes requested on milestone ${milestone.sequence} "${milestone.title}": ${note}`,
+          },
+        });
+        return true;
+      });
+      if (!updated) {
+        return next(new ApiError(409, "Milestone is no longer awaiting review"));
+      }
+
+      await prisma.notification.create({
+        data: {
+          userId: order.freelancer.userId,
+          type: "ORDER_UPDATE",
+          content: `The client requested changes to milestone "${milestone.title}" of order ${order.orderNumber}: ${note}`,
+          entityType: "ORDER",
+          entityId: order.id,
+        },
+      });
+    }
+
+    const updatedMilestone = await prisma.orderMilestone.findUnique({
+      where: { id: milestone.id },
+      include: { order: { select: { id: true, status: true, progress: true, escrowStatus: true } } },
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, updatedMilestone, action === "APPROVE" ? "Milestone approved successfully" : "Changes requested successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error reviewing milestone:", error);
+    return next(new ApiError(500, "Failed to review milestone", error.message));
+  }
+};
+
+export { setMilestones, getMilestones, reviewMilestone };
@@ -0,0 +1,288 @@
+// src/controllers/offerController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { quoteOrderFees, toOrderFeeFields } from "../Services/feeService.js";
+import { assertSupportedCurrency, convertAmount, getOrderFxFields } from "../Services/fxService.js";
+import { getDeadlineFields } from "../Services/requirementService.js";
+import { generateOrderNumber } from "../Utils/orderUtils.js";
+
+const CUSTOM_OFFER_EXPIRY_DAYS = parseInt(process.env.CUSTOM_OFFER_EXPIRY_DAYS || "7");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const offerInclude = {
+  gig: { select: { id: true, title: true, category: true, freelancerId: true } },
+  message: {
+    include: {
+      sender: { select: { id: true, firstname: true, lastname: true } },
+      receiver: { select: { id: true, firstname: true, lastname: true } },
+    },
+  },
+};
+
+const createCustomOffer = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const senderId = req.user.id;
+    const { receiverId, gigId, description, billingType, price, deliveryDays, weeklyHourLimit, revisions, expiresInDays, parentId } = req.body;
+
+    if (receiverId === senderId) {
+      return next(new ApiError(400, "You cannot send an offer to yourself"));
+    }
+
+    const gig = await prisma.gig.findUnique({
+      where: { id: gigId },
+      include: { freelancer: true },
+    });
+    if (!gig || gig.freelancer.userId !== senderId) {
+      return next(new ApiError(404, "Gig not found or you don’t own it"));
+    }
+    if (gig.status !== "ACTIVE") {
+      return next(new ApiError(400, "Custom offers can only be sent for active gigs"));
+    }
+
+    // Offers are made in reply to an existing conversation, not as cold outreach
+    const conversation = await prisma.message.findFirst({
+      where: {
+        deletedAt: null,
+        OR: [
+          { senderId, receiverId },
+          { senderId: receiverId, receiverId: senderId },
+        ],
+      },
+      select: { id: true },
+    });
+    if (!conversation) {
+      return next(new ApiError(400, "Custom offers can only be sent in an existing conversation"));
+    }
+
+    if (parentId) {
+      const parentMessage = await prisma.message.findUnique({ where: { id: parentId } });
+      if (!parentMessage || (parentMessage.senderId !== senderId && parentMessage.receiverId !== senderId)) {
+        return next(new ApiError(404, "Parent message not found or you don’t have access"));
+      }
+    }
+
+    const expiresAt = new Date(Date.now() + (expiresInDays || CUSTOM_OFFER_EXPIRY_DAYS) * DAY_MS);
+    const message = await prisma.message.create({
+      data: {
+        senderId,
+        receiverId,
+        parentId: parentId || null,
+        type: "CUSTOM_OFFER",
+        subject: `Custom offer: ${gig.title}`,
+        content: description,
+        customOffer: {
+          create: {
+            gigId: gig.id,
+            description,
+            billingType,
+            price,
+            currency: gig.currency,
+            deliveryDays,
+            weeklyHourLimit,
+            revisions,
+            expiresAt,
+          },
+        },
+      },
+      include: {
+        sender: { select: { firstname: true, lastname: true } },
+        receiver: { select: { firstname: true, lastname: true } },
+        customOffer: true,
+      },
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: receiverId,
+        type: "MESSAGE",
+        content: billingType === "HOURLY"
+          ? `${req.user.firstname} sent you an hourly offer for "${gig.title}" (${gig.currency} ${price}/h, up to ${weeklyHourLimit} h a week)`
+          : `${req.user.firstname} sent you a custom offer for "${gig.title}" (${gig.currency} ${price}, ${deliveryDays} day(s))`,
+        entityType: "MESSAGE",
+        entityId: message.id,
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, message, "Custom offer sent successfully"));
+  } catch (error) {
+    console.error("Error sending custom offer:", error);
+    return next(new ApiError(500, "Failed to send custom offer", error.message));
+  }
+};
+
+const getCustomOffer = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { offerId } = req.params;
+
+    const offer = await prisma.customOffer.findUnique({
+      where: { id: parseInt(offerId) },
+      include: { ...offerInclude, order: { select: { id: true, orderNumber: true, status: true } } },
+    });
+    if (!offer || (offer.message.senderId !== userId && offer.message.receiverId !== userId)) {
+      return next(new ApiError(404, "Custom offer not found or you don’t have access"));
+    }
+
+    return res.status(200).json(new ApiResponse(200, offer, "Custom offer retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving custom offer:", error);
+    return next(new ApiError(500, "Failed to retrieve custom offer", error.message));
+  }
+};
+
+const acceptCustomOffer = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const clientId = req.user.id;
+    const { offerId } = req.params;
+    const { requirements, currency } = req.body;
+
+    const offer = await prisma.customOffer.findUnique({
+      where: { id: parseInt(offerId) },
+      include: offerInclude,
+    });
+    if (!offer || offer.message.receiverId !== clientId) {
+      return next(new ApiError(404, "Custom offer not found or it wasn’t sent to you"));
+    }
+    const now = new Date();
+    if (offer.status !== "PENDING" || offer.expiresAt <= now) {
+      return next(new ApiError(400, `Custom offer is ${offer.status === "PENDING" ? "expired" : offer.status.toLowerCase()}`));
+    }
+
+    // The offer is in the gig's currency; the order is kept in the platform currency
+    const client = await prisma.user.findUnique({ where: { id: clientId }, select: { preferredCurrency: true } });
+    const clientCurrency = await assertSupportedCurrency(currency || client.preferredCurrency);
+    const fxFields = await getOrderFxFields(offer.currency, clientCurrency);
+    // Hourly orders start at nothing and grow with every approved timesheet
+    const isHourly = offer.billingType === "HOURLY";
+    const offerPrice = convertAmount(offer.price, fxFields.listingFxRate);
+    const totalPrice = isHourly ? 0 : offerPrice;
+
+    const feeQuote = await quoteOrderFees({
+      amount: totalPrice,
+      category: offer.gig.category,
+      clientId,
+      freelancerId: offer.gig.freelancerId,
+    });
+
+    const deadlineFields = await getDeadlineFields(offer.gigId, offer.deliveryDays);
+
+    const order = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.customOffer.updateMany({
+        where: { id: offer.id, status: "PENDING", expiresAt: { gt: now } },
+        data: { status: "ACCEPTED", respondedAt: now },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "Custom offer is no longer available");
+      }
+
+      const created = await tx.order.create({
+        data: {
+          gigId: offer.gigId,
+          clientId,
+          freelancerId: offer.gig.freelancerId,
+          package: isHourly ? "Hourly offer" : "Custom offer",
+          billingType: offer.billingType,
+          totalPrice,
+          ...(isHourly
+            ? { hourlyRate: offerPrice, weeklyHourLimit: offer.weeklyHourLimit }
+            : { listingPrice: offer.price }),
+          ...fxFields,
+          requirements,
+          revisionsIncluded: offer.revisions,
+          customDetails: {
+            customOfferId: offer.id,
+            description: offer.description,
+            deliveryDays: offer.deliveryDays,
+            revisions: offer.revisions,
+            ...(isHourly && { hourlyRate: offer.price, weeklyHourLimit: offer.weeklyHourLimit }),
+          },
+          orderNumber: generateOrderNumber(),
+          ...deadlineFields,
+          ...toOrderFeeFields(feeQuote),
+          statusHistory: { create: { status: "PENDING", changedBy: clientId, note: `Created from custom offer #${offer.id}` } },
+        },
+        include: { gig: true, freelancer: { include: { user: true } }, statusHistory: true },
+      });
+
+      await tx.customOffer.update({
+        where: { id: offer.id },
+        data: { orderId: created.id },
+      });
+
+      return created;
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: offer.message.senderId,
+        type: "ORDER_UPDATE",
+        content: `${req.user.firstname} accepted your custom offer for "${offer.gig.title}" (order ${order.orderNumber})`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, order, "Custom offer accepted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error accepting custom offer:", error);
+    return next(new ApiError(500, "Failed to accept custom offer", error.message));
+  }
+};
+
+const declineCustomOffer = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const clientId = req.user.id;
+    const { offerId } = req.params;
+    const { reason } = req.body;
+
+    const offer = await prisma.customOffer.findUnique({
+      where: { id: parseInt(offerId) },
+      include: offerInclude,
+    });
+    if (!offer || offer.message.receiverId !== clientId) {
+      return next(new ApiError(404, "Custom offer not found or it wasn’t sent to you"));
+    }
+
+    const { count } = await prisma.customOffer.updateMany({
+      where: { id: offer.id, status: "PENDING" },
+      data: { status: "DECLINED", respondedAt: new Date(), declineReason: reason },
+    });
+    if (count === 0) {
+      return next(new ApiError(400, `Custom offer is already ${offer.status.toLowerCase()}`));
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: offer.message.senderId,
+        type: "MESSAGE",
+        content: `${req.user.firstname} declined your custom offer for "${offer.gig.title}"${reason ? `: ${reason}` : ""}`,
+        entityType: "MESSAGE",
+        entityId: offer.messageId,
+      },
+    });
+
+    const updatedOffer = await prisma.customOffer.findUnique({ where: { id: offer.id } });
+
+    return res.status(200).json(new ApiResponse(200, updatedOffer, "Custom offer declined successfully"));
+  } catch (error) {
+    console.error("Error declining custom offer:", error);
+    return next(new ApiError(500, "Failed to decline custom offer", error.message));
+  }
+};
+
+export { createCustomOffer, getCustomOffer, acceptCustomOffer, declineCustomOffer };
@@ -2,6 +2,16 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
+import { getAmountDue, settleOrderEscrow } from "../Services/escrowService.js";
+import { quoteOrderFees, toOrderFeeFields } from "../Services/feeService.js";
+import { assertSupportedCurrency, convertAmount, getOrderFxFields } from "../Services/fxService.js";
+import { buildMilestones } from "../Services/milestoneService.js";
+import { priceGigOrder } from "../Services/orderPricingService.js";
+import { getDeadlineFields } from "../Services/requirementService.js";
+import { generateOrderNumber } from "../Utils/orderUtils.js";
+
+// Once the freelancer has accepted, the client can only get money back with their (or an admin's) approval
+const CLIENT_CANCEL_MESSAGE = "Accepted orders can't be cancelled by the client; request a refund with POST /orders/:orderId/refunds instead";
 
 const createOrder = async (req, res, next) => {
     try {
@@ -9,7 +19,7 @@ const createOrder = async (req, res, next) => {
         return next(new ApiError(401, "Unauthorized: User not authenticated"));
       }
       const clientId = req.user.id;
-      const { gigId, selectedPackage, requirements, isUrgent, customDetails } = req.body;
+      const { gigId, selectedPackage, requirements, isUrgent, customDetails, milestones, extras, currency } = req.body;
 
 
       if (!gigId || !selectedPackage) {
@@ -18,23 +28,41 @@ const createOrder = async (req, res, next) => {
   
       const gig = await prisma.gig.findUnique({
         where: { id: parseInt(gigId) },
-        include: { freelancer: true },
+        include: { freelancer: true, extras: true },
       });
       if (!gig || gig.status !== "ACTIVE") {
         return next(new ApiError(404, "Gig not found or not active"));
       }
   
-      // Parse the pricing JSON if it's a string
-      const pricingData = typeof gig.pricing === 'string' ? JSON.parse(gig.pricing) : gig.pricing;
-      
-      // Find the selected package in the pricing array
-      const selectedPackageData = pricingData.find(pkg => pkg.name === selectedPackage);
-      if (!selectedPackageData) {
-        return next(new ApiError(400, "Invalid package selected"));
-      }
-  
-      const totalPrice = isUrgent ? selectedPackageData.price * 1.5 : selectedPackageData.price;
-      const orderNumber = `ORD-${new Date().getFullYear()}${String(new Date().getMonth() + 1).padStart(2, "0")}${String(new Date().getDate()).padStart(2, "0")}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`; // Fixed string interpolation
+      // The client pays in their preferred currency unless they pick another one at checkout
+      const client = await prisma.user.findUnique({ where: { id: clientId }, select: { preferredCurrency: true } });
+      const clientCurrency = await assertSupportedCurrency(currency || client.preferredCurrency);
+      const fxFields = await getOrderFxFields(gig.currency, clientCurrency);
+
+      // Price, deadline and revisions are recomputed from the gig; client-side totals are ignored
+      const pricing = priceGigOrder(gig, {
+        selectedPackage,
+        isUrgent: Boolean(isUrgent),
+        extras,
+        fxRate: fxFields.listingFxRate,
+      });
+      const { totalPrice } = pricing;
+      // Large projects can be split into milestones that are funded and released one at a time
+      const milestonePlan = milestones ? buildMilestones(totalPrice, milestones) : null;
+      const feeQuote = await quoteOrderFees({
+        amount: totalPrice,
+        category: gig.category,
+        isUrgent: Boolean(isUrgent),
+        clientId,
+        freelancerId: gig.freelancerId,
+      });
+      const orderNumber = generateOrderNumber();
+      // The deadline only starts once the client has answered the gig's required questions
+      const deadlineFields = await getDeadlineFields(
+        gig.id,
+        pricing.deliveryDays,
+        milestonePlan ? milestonePlan[milestonePlan.length - 1].dueDate : null,
+      );
   
       const order = await prisma.order.create({
         data: {
@@ -45,17 +73,25 @@ const createOrder = async (req, res, next) => {
           totalPrice,
           requirements,
           isUrgent: isUrgent || false,
-          priorityFee: isUrgent ? selectedPackageData.price * 0.5 : null,
+          priorityFee: pricing.priorityFee,
+          extrasPrice: pricing.extrasPrice,
+          listingPrice: pricing.listingPrice,
+          ...fxFields,
+          revisionsIncluded: pricing.revisionsIncluded,
           customDetails,
           orderNumber,
-          deliveryDeadline: new Date(Date.now() + gig.deliveryTime * 24 * 60 * 60 * 1000), // Days to milliseconds
+          ...deadlineFields,
+          ...(milestonePlan && { milestones: { create: milestonePlan } }),
+          ...(pricing.extras.length > 0 && { extras: { create: pricing.extras } }),
+          ...toOrderFeeFields(feeQuote), // Shown to both parties before checkout
           statusHistory: { create: { status: "PENDING" } },
         },
-        include: { gig: true, freelancer: { include: { user: true } }, statusHistory: true },
+        include: { gig: true, freelancer: { include: { user: true } }, statusHistory: true, extras: true, milestones: { orderBy: { sequence: "asc" } } },
       });
   
       return res.status(201).json(new ApiResponse(201, order, "Order created successfully"));
     } catch (error) {
+      if (error instanceof ApiError) return next(error);
       console.error("Error creating order:", error);
       return next(new ApiError(500, "Failed to create order", error.message));
     }
@@ -68,7 +104,7 @@ const createOrder = async (req, res, next) => {
       }
       const userId = req.user.id;
       const { orderId } = req.params;
-      const { status, extensionReason } = req.body;
+      const { status } = req.body;
   
       const order = await prisma.order.findUnique({
         where: { id: parseInt(orderId) },
@@ -89,11 +125,46 @@ const createOrder = async (req, res, next) => {
         ACCEPTED: ["IN_PROGRESS", "CANCELLED"],
         IN_PROGRESS: ["DELIVERED", "CANCELLED"],
         DELIVERED: ["COMPLETED", "DISPUTED"],
-        DISPUTED: ["COMPLETED", "CANCELLED"],
       };
-      if (!status || (order.status !== "COMPLETED" && !validTransitions[order.status]?.includes(status))) {
+      // Hourly orders aren't delivered: they are billed week by week and completed when the contract ends
+      const isHourly = order.billingType === "HOURLY";
+      if (isHourly) {
+        validTransitions.IN_PROGRESS = ["COMPLETED", "CANCELLED"];
+      }
+      // Disputed orders are settled by an admin, and completed or cancelled ones are final
+      if (order.status === "DISPUTED") {
+        return next(new ApiError(400, "Disputed orders are settled through the dispute"));
+      }
+      if (!status || !validTransitions[order.status]?.includes(status)) {
         return next(new ApiError(400, `Invalid status transition from ${order.status} to ${status}`)); // Fixed template literal syntax
       }
+      // The freelancer takes the order on and starts it; completing releases the escrow, which only the client can approve
+      if (["ACCEPTED", "IN_PROGRESS"].includes(status) && !isFreelancer) {
+        return next(new ApiError(403, `Only the freelancer can mark the order as ${status.toLowerCase().replace("_", " ")}`));
+      }
+      if (status === "COMPLETED" && !isClient) {
+        return next(new ApiError(403, "Only the client can complete the order"));
+      }
+      if (status === "CANCELLED" && isClient && order.status !== "PENDING") {
+        return next(new ApiError(400, CLIENT_CANCEL_MESSAGE));
+      }
+      if (status === "DELIVERED") {
+        return next(new ApiError(400, "Submit a delivery with POST /orders/:orderId/deliveries to mark the order as delivered"));
+      }
+      if (status === "ACCEPTED" && !isHourly && order.escrowStatus !== "FUNDED") {
+        return next(new ApiError(400, "Order must be funded before it can be accepted"));
+      }
+      if (status === "ACCEPTED" && !order.requirementsCompletedAt) {
+        return next(new ApiError(400, "The client has not answered all required questions yet"));
+      }
+      if (isHourly && ["COMPLETED", "CANCELLED"].includes(status)) {
+        const unbilled = await prisma.timeEntry.count({
+          where: { orderId: order.id, OR: [{ timesheetId: null }, { timesheet: { status: { not: "APPROVED" } } }] },
+        });
+        if (unbilled > 0) {
+          return next(new ApiError(400, `${unbilled} time entr${unbilled === 1 ? "y has" : "ies have"} not been billed yet; submit and settle the open timesheets first`));
+        }
+      }
   
       const updateData = { status };
       if (status === "CANCELLED") {
@@ -101,24 +172,37 @@ const createOrder = async (req, res, next) => {
         updateData.cancellationDate = new Date();
       } else if (status === "COMPLETED") {
         updateData.completedAt = new Date();
-      } else if (extensionReason) {
-        updateData.deliveryExtensions = { increment: 1 };
-        updateData.extensionReason = extensionReason;
-        updateData.deliveryDeadline = new Date(order.deliveryDeadline.getTime() + 7 * 24 * 60 * 60 * 1000);
       }
-  
-      const updatedOrder = await prisma.order.update({
-        where: { id: parseInt(orderId) },
-        data: {
-          ...updateData,
-          statusHistory: { create: { status, changedBy: userId } },
-        },
+
+      // Claim the status change first, so only the request that made it moves the escrowed funds
+      const claimed = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.order.updateMany({
+          where: { id: order.id, status: order.status },
+          data: updateData,
+        });
+        if (count === 0) {
+          return false;
+        }
+        await tx.orderStatusHistory.create({ data: { orderId: order.id, status, changedBy: userId } });
+        return true;
+      });
+      if (!claimed) {
+        return next(new ApiError(409, "The order was changed in the meantime; please try again"));
+      }
+
+      if (status === "CANCELLED" || status === "COMPLETED") {
+        await settleOrderEscrow(order, status, { changedBy: userId }, { reason: updateData.cancellationReason });
+      }
+
+      const updatedOrder = await prisma.order.findUnique({
+        where: { id: order.id },
         include: { statusHistory: true },
       });
   
       return res.status(200).json(new ApiResponse(200, updatedOrder, "Order status updated successfully"));
     } catch (error) {
       console.error("Error updating order status:", error);
+      if (error instanceof ApiError) return next(error);
       return next(new ApiError(500, "Failed to update order status", error.message));
     }
   };
@@ -138,6 +222,7 @@ const createOrder = async (req, res, next) => {
         where: { id: parseInt(orderId) },
         include: {
           gig: true,
+          job: { select: { id: true, title: true } }, // On orders hired from a job instead of a gig
           client: { select: { firstname: true, lastname: true, email: true } },
           freelancer: { include: { user: { select: { firstname: true, lastname: true, email: true } } } },
           transactions: true,
@@ -145,6 +230,14 @@ const createOrder = async (req, res, next) => {
           messages: true,
           dispute: true,
           statusHistory: true,
+          deliveries: { include: { files: true }, orderBy: { version: "desc" } },
+          revisions: { include: { items: true }, orderBy: { number: "desc" } },
+          extensionRequests: { orderBy: { createdAt: "desc" } },
+          refundRequests: { orderBy: { createdAt: "desc" } },
+          milestones: { orderBy: { sequence: "asc" } },
+          timesheets: { orderBy: { weekStart: "desc" } },
+          extras: true,
+          requirementAnswers: { include: { files: true } },
         },
       });
       if (!order) {
@@ -153,8 +246,22 @@ const createOrder = async (req, res, next) => {
       if (order.clientId !== userId && order.freelancer.userId !== userId) {
         return next(new ApiError(403, "Forbidden: You can only view your own orders"));
       }
+
+      const amountDue = await getAmountDue(order);
+      const commissionFee = order.commissionFee ?? 0;
+      const fees = {
+        serviceFee: order.serviceFee,
+        commissionFee,
+        clientTotal: Math.round((order.totalPrice - order.discountAmount + order.serviceFee) * 100) / 100,
+        freelancerEarnings: Math.round((order.totalPrice - commissionFee) * 100) / 100,
+        amountDue: amountDue.total,
+        // What the client sees and is charged, at the rate locked in when the order was placed
+        clientCurrency: order.clientCurrency,
+        clientTotalInCurrency: convertAmount(order.totalPrice - order.discountAmount + order.serviceFee, order.clientFxRate, order.clientCurrency),
+        amountDueInCurrency: convertAmount(amountDue.total, order.clientFxRate, order.clientCurrency),
+      };
   
-      return res.status(200).json(new ApiResponse(200, order, "Order retrieved successfully"));
+      return res.status(200).json(new ApiResponse(200, { ...order, fees }, "Order retrieved successfully"));
     } catch (error) {
       console.error("Error retrieving order:", error);
       return next(new ApiError(500, "Failed to retrieve order", error.message));
@@ -259,21 +366,41 @@ const cancelOrder = async (req, res, next) => {
     if (!["PENDING", "ACCEPTED", "IN_PROGRESS"].includes(order.status)) {
       return next(new ApiError(400, "Order cannot be cancelled in its current status"));
     }
+    if (order.clientId === userId && order.status !== "PENDING") {
+      return next(new ApiError(400, CLIENT_CANCEL_MESSAGE));
+    }
 
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(orderId) },
-      data: {
-        status: "CANCELLED",
-        cancellationReason: cancellationReason || "Not specified",
-        cancellationDate: new Date(),
-        statusHistory: { create: { status: "CANCELLED", changedBy: userId } },
-      },
+    // Claim the cancellation first, so only the request that made it refunds the escrow
+    const claimed = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: {
+          status: "CANCELLED",
+          cancellationReason: cancellationReason || "Not specified",
+          cancellationDate: new Date(),
+        },
+      });
+      if (count === 0) {
+        return false;
+      }
+      await tx.orderStatusHistory.create({ data: { orderId: order.id, status: "CANCELLED", changedBy: userId } });
+      return true;
+    });
+    if (!claimed) {
+      return next(new ApiError(409, "The order was changed in the meantime; please try again"));
+    }
+
+    await settleOrderEscrow(order, "CANCELLED", { changedBy: userId }, { reason: cancellationReason });
+
+    const updatedOrder = await prisma.order.findUnique({
+      where: { id: order.id },
       include: { statusHistory: true },
     });
 
     return res.status(200).json(new ApiResponse(200, updatedOrder, "Order cancelled successfully"));
   } catch (error) {
     console.error("Error cancelling order:", error);
+    if (error instanceof ApiError) return next(error);
     return next(new ApiError(500, "Failed to cancel order", error.message));
   }
 };
@@ -0,0 +1,495 @@
+// src/controllers/payoutController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { PAYOUT_MINIMUM_AMOUNT, approvePayout, getPayoutBalance, lockPayoutBalance } from "../Services/payoutService.js";
+
+const getFreelancerProfile = async (userId) => {
+  const freelancerProfile = await prisma.freelancerProfile.findUnique({ where: { userId } });
+  if (!freelancerProfile) {
+    throw new ApiError(404, "Freelancer profile not found");
+  }
+  return freelancerProfile;
+};
+
+const getPaymentMethods = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    const paymentMethods = await prisma.paymentSetting.findMany({
+      where: { freelancerId: freelancerProfile.id },
+      orderBy: [{ isDefault: "desc" }, { createdAt: "asc" }],
+    });
+
+    return res.status(200).json(new ApiResponse(200, paymentMethods, "Payment methods retrieved successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving payment methods:", error);
+    return next(new ApiError(500, "Failed to retrieve payment methods", error.message));
+  }
+};
+
+const addPaymentMethod = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { method, details, isDefault = false } = req.body;
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    // The first method a freelancer adds becomes their default
+    const existingCount = await prisma.paymentSetting.count({ where: { freelancerId: freelancerProfile.id } });
+    const makeDefault = isDefault || existingCount === 0;
+
+    const paymentMethod = await prisma.$transaction(async (tx) => {
+      if (makeDefault) {
+        await tx.paymentSetting.updateMany({
+          where: { freelancerId: freelancerProfile.id },
+          data: { isDefault: false },
+        });
+      }
+      return tx.paymentSetting.create({
+        data: {
+          freelancerId: freelancerProfile.id,
+          method,
+          details,
+          isDefault: makeDefault,
+        },
+      });
+    });
+
+    return res.status(201).json(new ApiResponse(201, paymentMethod, "Payment method added successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error adding payment method:", error);
+    return next(new ApiError(500, "Failed to add payment method", error.message));
+  }
+};
+
+const updatePaymentMethod = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { methodId } = req.params;
+    const { method, details, isDefault } = req.body;
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    const paymentMethod = await prisma.paymentSetting.findUnique({ where: { id: parseInt(methodId) } });
+    if (!paymentMethod || paymentMethod.freelancerId !== freelancerProfile.id) {
+      return next(new ApiError(404, "Payment method not found"));
+    }
+
+    const updateData = {};
+    if (method !== undefined) updateData.method = method;
+    if (details !== undefined) {
+      updateData.details = details;
+      // Changed details have to be verified again before anything is paid to them
+      updateData.isVerified = false;
+      updateData.verifiedAt = null;
+    }
+    if (isDefault !== undefined) updateData.isDefault = isDefault;
+
+    const updatedMethod = await prisma.$transaction(async (tx) => {
+      if (isDefault) {
+        await tx.paymentSetting.updateMany({
+          where: { freelancerId: freelancerProfile.id, id: { not: paymentMethod.id } },
+          data: { isDefault: false },
+        });
+      }
+      return tx.paymentSetting.update({
+        where: { id: paymentMethod.id },
+        data: updateData,
+      });
+    });
+
+    return res.status(200).json(new ApiResponse(200, updatedMethod, "Payment method updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating payment method:", error);
+    return next(new ApiError(500, "Failed to update payment method", error.message));
+  }
+};
+
+const deletePaymentMethod = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { methodId } = req.params;
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    const paymentMethod = await prisma.paymentSetting.findUnique({
+      where: { id: parseInt(methodId) },
+      include: { _count: { select: { payoutRequests: true } } },
+    });
+    if (!paymentMethod || paymentMethod.freelancerId !== freelancerProfile.id) {
+      return next(new ApiError(404, "Payment method not found"));
+    }
+
+    const pendingCount = await prisma.payoutRequest.count({
+      where: { paymentSettingId: paymentMethod.id, status: "PENDING" },
+    });
+    if (pendingCount > 0) {
+      return next(new ApiError(400, "Cannot delete a payment method with pending payout requests"));
+    }
+    // Past payouts keep pointing at the method they were paid to
+    if (paymentMethod._count.payoutRequests > 0) {
+      return next(new ApiError(400, "Cannot delete a payment method that has received payouts"));
+    }
+
+    await prisma.paymentSetting.delete({ where: { id: paymentMethod.id } });
+
+    return res.status(200).json(new ApiResponse(200, null, "Payment method deleted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error deleting payment method:", error);
+    return next(new ApiError(500, "Failed to delete payment method", error.message));
+  }
+};
+
+const getPayoutBalanceSummary = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    const balance = await getPayoutBalance(req.user.id, freelancerProfile.id);
+
+    return res.status(200).json(new ApiResponse(200, balance, "Payout balance retrieved successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving payout balance:", error);
+    return next(new ApiError(500, "Failed to retrieve payout balance", error.message));
+  }
+};
+
+const requestPayout = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { amount, paymentSettingId, note } = req.body;
+    const freelancerProfile = await getFreelancerProfile(userId);
+
+    const paymentMethod = paymentSettingId
+      ? await prisma.paymentSetting.findUnique({ where: { id: paymentSettingId } })
+      : await prisma.paymentSetting.findFirst({ where: { freelancerId: freelancerProfile.id, isDefault: true } });
+    if (!paymentMethod || paymentMethod.freelancerId !== freelancerProfile.id) {
+      return next(new ApiError(404, "Payment method not found"));
+    }
+    if (!paymentMethod.isVerified) {
+      return next(new ApiError(400, "This payment method hasn't been verified yet"));
+    }
+
+    if (amount < PAYOUT_MINIMUM_AMOUNT) {
+      return next(new ApiError(400, `Minimum payout amount is $${PAYOUT_MINIMUM_AMOUNT.toFixed(2)}`));
+    }
+    // The balance is checked and reserved under a lock, so two requests can't spend it twice
+    const payoutRequest = await prisma.$transaction(async (tx) => {
+      await lockPayoutBalance(tx, freelancerProfile.id);
+      const { available } = await getPayoutBalance(userId, freelancerProfile.id, tx);
+      if (amount > available) {
+        throw new ApiError(400, `Requested amount exceeds your available balance of $${available.toFixed(2)}`);
+      }
+      return tx.payoutRequest.create({
+        data: {
+          freelancerId: freelancerProfile.id,
+          paymentSettingId: paymentMethod.id,
+          amount,
+          note,
+        },
+        include: { paymentSetting: true },
+      });
+    });
+
+    return res.status(201).json(new ApiResponse(201, payoutRequest, "Payout requested successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error requesting payout:", error);
+    return next(new ApiError(500, "Failed to request payout", error.message));
+  }
+};
+
+const getMyPayouts = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    const where = { freelancerId: freelancerProfile.id };
+    if (status) where.status = status;
+
+    const [payouts, total] = await Promise.all([
+      prisma.payoutRequest.findMany({
+        where,
+        include: {
+          paymentSetting: { select: { id: true, method: true } },
+          transaction: { select: { id: true, amount: true, status: true, createdAt: true } },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.payoutRequest.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        payouts,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Payouts retrieved successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving payouts:", error);
+    return next(new ApiError(500, "Failed to retrieve payouts", error.message));
+  }
+};
+
+const cancelPayout = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { payoutId } = req.params;
+    const freelancerProfile = await getFreelancerProfile(req.user.id);
+
+    const payoutRequest = await prisma.payoutRequest.findUnique({ where: { id: parseInt(payoutId) } });
+    if (!payoutRequest || payoutRequest.freelancerId !== freelancerProfile.id) {
+      return next(new ApiError(404, "Payout request not found"));
+    }
+    if (payoutRequest.status !== "PENDING") {
+      return next(new ApiError(400, "Only pending payout requests can be cancelled"));
+    }
+
+    const updatedPayout = await prisma.payoutRequest.update({
+      where: { id: payoutRequest.id },
+      data: { status: "CANCELLED" },
+    });
+
+    return res.status(200).json(new ApiResponse(200, updatedPayout, "Payout request cancelled successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error cancelling payout:", error);
+    return next(new ApiError(500, "Failed to cancel payout", error.message));
+  }
+};
+
+const getPayoutQueue = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { page = 1, limit = 20, status = "PENDING" } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { status };
+
+    const [payouts, total] = await Promise.all([
+      prisma.payoutRequest.findMany({
+        where,
+        include: {
+          freelancer: { include: { user: { select: { id: true, username: true, email: true } } } },
+          paymentSetting: true,
+          transaction: { select: { id: true, amount: true, createdAt: true } },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.payoutRequest.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        payouts,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Payout queue retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving payout queue:", error);
+    return next(new ApiError(500, "Failed to retrieve payout queue", error.message));
+  }
+};
+
+const getPaymentMethodQueue = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { page = 1, limit = 20, isVerified = false } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { isVerified };
+
+    const [paymentMethods, total] = await Promise.all([
+      prisma.paymentSetting.findMany({
+        where,
+        include: {
+          freelancer: { include: { user: { select: { id: true, username: true, email: true } } } },
+          _count: { select: { payoutRequests: { where: { status: "PENDING" } } } },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.paymentSetting.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        paymentMethods,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Payment methods retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving payment method queue:", error);
+    return next(new ApiError(500, "Failed to retrieve payment methods", error.message));
+  }
+};
+
+const reviewPaymentMethod = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { methodId } = req.params;
+    const { action, rejectionReason } = req.body;
+
+    const paymentMethod = await prisma.paymentSetting.findUnique({
+      where: { id: parseInt(methodId) },
+      include: { freelancer: true },
+    });
+    if (!paymentMethod) {
+      return next(new ApiError(404, "Payment method not found"));
+    }
+    if (paymentMethod.isVerified) {
+      return next(new ApiError(400, "Payment method is already verified"));
+    }
+
+    if (action === "VERIFY") {
+      // Only the details the admin looked at are verified; an edit in the meantime resets them
+      const { count } = await prisma.paymentSetting.updateMany({
+        where: { id: paymentMethod.id, isVerified: false, details: { equals: paymentMethod.details } },
+        data: { isVerified: true, verifiedAt: new Date() },
+      });
+      if (count === 0) {
+        return next(new ApiError(409, "The payment method was changed in the meantime; please review it again"));
+      }
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: paymentMethod.freelancer.userId,
+        type: "PAYMENT",
+        content: action === "VERIFY"
+          ? `Your ${paymentMethod.method} payout method has been verified`
+          : `Your ${paymentMethod.method} payout method could not be verified: ${rejectionReason}`,
+        entityType: "PAYMENT_METHOD",
+        entityId: paymentMethod.id,
+        priority: action === "VERIFY" ? "NORMAL" : "HIGH",
+      },
+    });
+
+    const reviewedMethod = await prisma.paymentSetting.findUnique({ where: { id: paymentMethod.id } });
+
+    return res.status(200).json(
+      new ApiResponse(200, reviewedMethod, action === "VERIFY" ? "Payment method verified successfully" : "Payment method rejected")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error reviewing payment method:", error);
+    return next(new ApiError(500, "Failed to review payment method", error.message));
+  }
+};
+
+const reviewPayout = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const adminId = req.user.id;
+    const payoutId = parseInt(req.params.payoutId);
+    const { action, rejectionReason } = req.body;
+
+    if (action === "APPROVE") {
+      const approvedPayout = await approvePayout(payoutId, adminId);
+      return res.status(200).json(new ApiResponse(200, approvedPayout, "Payout approved successfully"));
+    }
+
+    const payoutRequest = await prisma.payoutRequest.findUnique({
+      where: { id: payoutId },
+      include: { freelancer: true },
+    });
+    if (!payoutRequest) {
+      return next(new ApiError(404, "Payout request not found"));
+    }
+    if (payoutRequest.status !== "PENDING") {
+      return next(new ApiError(400, `Payout request is already ${payoutRequest.status.toLowerCase()}`));
+    }
+
+    const { count } = await prisma.payoutRequest.updateMany({
+      where: { id: payoutId, status: "PENDING" },
+      data: {
+        status: "REJECTED",
+        rejectionReason,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+      },
+    });
+    if (count === 0) {
+      return next(new ApiError(409, "The payout request was reviewed in the meantime"));
+    }
+    const rejectedPayout = await prisma.payoutRequest.findUnique({ where: { id: payoutId } });
+
+    await prisma.notification.create({
+      data: {
+        userId: payoutRequest.freelancer.userId,
+        type: "PAYMENT",
+        content: `Your withdrawal of $${payoutRequest.amount.toFixed(2)} was rejected: ${rejectionReason}`,
+        entityType: "PAYOUT",
+        entityId: payoutId,
+        priority: "HIGH",
+      },
+    });
+
+    return res.status(200).json(new ApiResponse(200, rejectedPayout, "Payout rejected successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error reviewing payout:", error);
+    return next(new ApiError(500, "Failed to review payout", error.message));
+  }
+};
+
+export {
+  getPaymentMethods,
+  addPaymentMethod,
+  updatePaymentMethod,
+  deletePaymentMethod,
+  getPayoutBalanceSummary,
+  requestPayout,
+  getMyPayouts,
+  cancelPayout,
+  getPayoutQueue,
+  reviewPayout,
+  getPaymentMethodQueue,
+  reviewPaymentMethod,
+};
@@ -3,6 +3,7 @@ import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
 import crypto from "crypto";
+import { fundEscrow, getEscrowSummary } from "../Services/escrowService.js";
 
 const generatePromoCode = () => {
   return `VID${crypto.randomBytes(4).toString("hex").toUpperCase()}`; // e.g., "VIDABCD1234"
@@ -76,27 +77,65 @@ const redeemPromoCode = async (req, res, next) => {
 
     const order = await prisma.order.findUnique({
       where: { id: parseInt(orderId) },
+      include: { _count: { select: { milestones: true } } },
     });
     if (!order || order.clientId !== userId) {
       return next(new ApiError(404, "Order not found or you don’t own it"));
     }
+    // Promo credit isn't tied to a milestone, so it couldn't be released with one
+    if (order._count.milestones > 0) {
+      return next(new ApiError(400, "Promo codes can't be applied to milestone orders"));
+    }
     if (order.status !== "PENDING") {
       return next(new ApiError(400, "Promo code can only be applied to pending orders"));
     }
+    if (order.discountAmount > 0) {
+      return next(new ApiError(400, "A promo code has already been applied to this order"));
+    }
 
-    const discount = promotion.discountType === "PERCENTAGE"
-      ? order.totalPrice * (promotion.discountAmount / 100)
-      : Math.min(promotion.discountAmount, order.totalPrice);
-
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(orderId) },
-      data: { totalPrice: Math.max(order.totalPrice - discount, 0) },
-    });
+    const { held } = await getEscrowSummary(order.id);
+    const amountDue = order.totalPrice - held;
+    const discount = Math.round(Math.min(
+      promotion.discountType === "PERCENTAGE"
+        ? order.totalPrice * (promotion.discountAmount / 100)
+        : promotion.discountAmount,
+      amountDue,
+    ) * 100) / 100;
+    if (discount <= 0) {
+      return next(new ApiError(400, "Nothing is left to discount on this order"));
+    }
 
-    await prisma.promotion.update({
-      where: { code },
-      data: { uses: { increment: 1 } },
+    // The platform funds the discount: it is held in escrow like a payment, so the
+    // freelancer is still paid the full price and the client is charged less. The
+    // discount is claimed first, so two redemptions can't both fund it.
+    const claimed = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: "PENDING", discountAmount: 0 },
+        data: { discountAmount: discount },
+      });
+      if (count === 0) {
+        return false;
+      }
+      await tx.transaction.create({
+        data: {
+          orderId: order.id,
+          userId,
+          amount: discount,
+          type: "PAYMENT",
+          paymentMethod: "promo",
+          status: "COMPLETED",
+        },
+      });
+      await tx.promotion.update({
+        where: { code },
+        data: { uses: { increment: 1 } },
+      });
+      return true;
     });
+    if (!claimed) {
+      return next(new ApiError(409, "The order was changed in the meantime; please try again"));
+    }
+    const updatedOrder = await fundEscrow(order.id);
 
     await prisma.notification.create({
       data: {
@@ -0,0 +1,389 @@
+// src/controllers/proposalController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { assertSupportedCurrency } from "../Services/fxService.js";
+import { hireApplicant, markProposalViewed, moveApplicant } from "../Services/hiringService.js";
+import {
+  PROPOSAL_INCLUDE,
+  buildProposalVideos,
+  buildScreeningAnswers,
+  submitProposal,
+  syncProposalCount,
+  withBudgetFit,
+} from "../Services/proposalService.js";
+
+// The freelancer as the client sees them next to their proposal
+const FREELANCER_SELECT = {
+  id: true,
+  firstname: true,
+  lastname: true,
+  profilePicture: true,
+  rating: true,
+  successRate: true,
+  freelancerProfile: { select: { id: true, jobTitle: true, hourlyRate: true, experienceLevel: true } },
+};
+
+// Loads a proposal for one of the signed-in client's jobs, or throws
+const findClientProposal = async (jobId, applicationId, userId) => {
+  const application = await prisma.application.findFirst({
+    where: { id: parseInt(applicationId), jobId: parseInt(jobId) },
+    include: { job: true },
+  });
+  if (!application || application.job.postedById !== userId || application.withdrawnAt) {
+    throw new ApiError(404, "Proposal not found");
+  }
+  return application;
+};
+
+// Loads a proposal the signed-in freelancer sent that they can still change, or throws
+const findEditableProposal = async (applicationId, userId) => {
+  const application = await prisma.application.findUnique({
+    where: { id: parseInt(applicationId) },
+    include: { job: { include: { screeningQuestions: true } } },
+  });
+  if (!application || application.freelancerId !== userId) {
+    throw new ApiError(404, "Proposal not found or you don’t own it");
+  }
+  if (application.withdrawnAt) {
+    throw new ApiError(400, "This proposal was withdrawn");
+  }
+  if (application.viewedAt) {
+    throw new ApiError(400, "The client has already viewed this proposal, so it can no longer be changed");
+  }
+  return application;
+};
+
+const applyJob = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+
+    const freelancerId = req.user.id;
+    const jobId = Number(req.params.jobId);
+
+    // Validate role
+    if (req.user.role !== "FREELANCER") {
+      return next(new ApiError(403, "Only freelancers can apply for jobs"));
+    }
+
+    // Check if job exists
+    const job = await prisma.job.findUnique({
+      where: { id: jobId },
+      include: { screeningQuestions: true },
+    });
+    if (!job) {
+      return next(new ApiError(404, "Job not found"));
+    }
+
+    // Check if user exists and is a freelancer
+    const freelancer = await prisma.user.findUnique({
+      where: { id: freelancerId },
+      include: { freelancerProfile: true },
+    });
+    if (!freelancer || !freelancer.freelancerProfile) {
+      return next(new ApiError(404, "Freelancer profile not found"));
+    }
+
+    const { application: appliedJob } = await submitProposal(job, freelancer, req.body);
+
+    return res.status(201).json(
+      new ApiResponse(201, { appliedJob: withBudgetFit(appliedJob, job) }, "Applied to job successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error applying for job:", error);
+    return next(new ApiError(500, "Failed to apply for job", error.message));
+  }
+};
+
+const updateProposal = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { applicationId } = req.params;
+    const { coverLetter, bidAmount, estimatedDays, portfolioVideoIds, answers } = req.body;
+
+    const application = await findEditableProposal(applicationId, userId);
+    const answerData = answers !== undefined ? buildScreeningAnswers(application.job.screeningQuestions, answers) : null;
+    let videoData = null;
+    if (portfolioVideoIds !== undefined) {
+      const profile = await prisma.freelancerProfile.findUnique({ where: { userId }, select: { id: true } });
+      videoData = await buildProposalVideos(profile.id, portfolioVideoIds);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // The client may open the proposal while it is being edited
+      const { count } = await tx.application.updateMany({
+        where: { id: application.id, viewedAt: null, withdrawnAt: null },
+        data: {
+          ...(coverLetter !== undefined && { coverLetter }),
+          ...(bidAmount !== undefined && { bidAmount }),
+          ...(estimatedDays !== undefined && { estimatedDays }),
+        },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "The client has already viewed this proposal, so it can no longer be changed");
+      }
+      if (videoData) {
+        await tx.applicationVideo.deleteMany({ where: { applicationId: application.id } });
+        await tx.applicationVideo.createMany({
+          data: videoData.map(video => ({ ...video, applicationId: application.id })),
+        });
+      }
+      if (answerData) {
+        await tx.applicationAnswer.deleteMany({ where: { applicationId: application.id } });
+        await tx.applicationAnswer.createMany({
+          data: answerData.map(answer => ({ ...answer, applicationId: application.id })),
+        });
+      }
+      return tx.application.findUnique({ where: { id: application.id }, include: PROPOSAL_INCLUDE });
+    });
+
+    return res.status(200).json(new ApiResponse(200, withBudgetFit(updated, application.job), "Proposal updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating proposal:", error);
+    return next(new ApiError(500, "Failed to update proposal", error.message));
+  }
+};
+
+const withdrawProposal = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { applicationId } = req.params;
+    const { reason } = req.body;
+
+    const application = await findEditableProposal(applicationId, userId);
+
+    const withdrawn = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.application.updateMany({
+        where: { id: application.id, viewedAt: null, withdrawnAt: null },
+        data: { withdrawnAt: new Date(), withdrawalReason: reason || null },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "The client has already viewed this proposal, so it can no longer be withdrawn");
+      }
+      await syncProposalCount(application.jobId, tx);
+      return tx.application.findUnique({ where: { id: application.id } });
+    });
+
+    return res.status(200).json(new ApiResponse(200, withdrawn, "Proposal withdrawn successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error withdrawing proposal:", error);
+    return next(new ApiError(500, "Failed to withdraw proposal", error.message));
+  }
+};
+
+const getMyProposals = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { page = 1, limit = 10, status, includeWithdrawn } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { freelancerId: req.user.id };
+    if (!includeWithdrawn) where.withdrawnAt = null;
+    if (status) where.status = status;
+
+    const [applications, total] = await Promise.all([
+      prisma.application.findMany({
+        where,
+        include: {
+          ...PROPOSAL_INCLUDE,
+          job: { select: { id: true, title: true, budgetMin: true, budgetMax: true, currency: true, deadline: true } },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.application.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        proposals: applications.map(application => withBudgetFit(application, application.job)),
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Proposals retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving proposals:", error);
+    return next(new ApiError(500, "Failed to retrieve proposals", error.message));
+  }
+};
+
+const getJobProposals = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { jobId } = req.params;
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const job = await prisma.job.findUnique({ where: { id: parseInt(jobId) } });
+    if (!job || job.postedById !== req.user.id) {
+      return next(new ApiError(404, "Job not found or you don’t own it"));
+    }
+
+    const where = { jobId: job.id, withdrawnAt: null };
+    if (status) where.status = status;
+    const [applications, total] = await Promise.all([
+      prisma.application.findMany({
+        where,
+        include: {
+          ...PROPOSAL_INCLUDE,
+          freelancer: { select: FREELANCER_SELECT },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.application.count({ where }),
+    ]);
+
+    // The list shows each proposal in full, so listing it counts as the client opening it
+    for (const application of applications) {
+      if (application.status === "NEW") {
+        Object.assign(application, await markProposalViewed(application, job));
+      }
+    }
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        proposals: applications.map(application => withBudgetFit(application, job)),
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Job proposals retrieved successfully")
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error retrieving job proposals:", error);
+    return next(new ApiError(500, "Failed to retrieve job proposals", error.message));
+  }
+};
+
+const getProposal = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { jobId, applicationId } = req.params;
+
+    const application = await prisma.application.findFirst({
+      where: { id: parseInt(applicationId), jobId: parseInt(jobId) },
+      include: {
+        ...PROPOSAL_INCLUDE,
+        job: true,
+        freelancer: { select: FREELANCER_SELECT },
+      },
+    });
+    const isClient = application?.job.postedById === userId;
+    if (!application || (!isClient && application.freelancerId !== userId) || (isClient && application.withdrawnAt)) {
+      return next(new ApiError(404, "Proposal not found"));
+    }
+
+    // Once the client has opened it, the freelancer can no longer edit or withdraw it
+    if (isClient && application.status === "NEW") {
+      Object.assign(application, await markProposalViewed(application, application.job));
+    }
+
+    return res.status(200).json(new ApiResponse(200, withBudgetFit(application, application.job), "Proposal retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving proposal:", error);
+    return next(new ApiError(500, "Failed to retrieve proposal", error.message));
+  }
+};
+
+const updateApplicantStatus = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const { jobId, applicationId } = req.params;
+    const { status, note } = req.body;
+
+    const application = await findClientProposal(jobId, applicationId, req.user.id);
+    const updated = await moveApplicant(application, application.job, status, note);
+
+    return res.status(200).json(new ApiResponse(200, updated, "Applicant status updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating applicant status:", error);
+    return next(new ApiError(500, "Failed to update applicant status", error.message));
+  }
+};
+
+const hireProposal = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const clientId = req.user.id;
+    const { jobId, applicationId } = req.params;
+    const { milestones, requirements, closeJob, currency } = req.body;
+
+    const application = await findClientProposal(jobId, applicationId, clientId);
+    const client = await prisma.user.findUnique({ where: { id: clientId }, select: { preferredCurrency: true } });
+    const clientCurrency = await assertSupportedCurrency(currency || client.preferredCurrency);
+
+    const result = await hireApplicant(application, application.job, {
+      clientId,
+      clientCurrency,
+      milestones,
+      requirements,
+      closeJob,
+    });
+
+    return res.status(201).json(new ApiResponse(201, result, "Freelancer hired successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error hiring freelancer:", error);
+    return next(new ApiError(500, "Failed to hire freelancer", error.message));
+  }
+};
+
+const checkApplicationStatus = async (req, res, next) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+    const userId = req.user.id;
+
+    const application = await prisma.application.findUnique({
+      where: { jobId_freelancerId: { jobId, freelancerId: userId } },
+      select: { id: true, status: true, viewedAt: true, withdrawnAt: true, createdAt: true },
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, { hasApplied: !!application && !application.withdrawnAt, application }, "Application status retrieved")
+    );
+  } catch (error) {
+    console.error("Error in checkApplicationStatus:", error);
+    return next(new ApiError(500, "Failed to check application status"));
+  }
+};
+
+export {
+  applyJob,
+  updateProposal,
+  withdrawProposal,
+  getMyProposals,
+  getJobProposals,
+  getProposal,
+  updateApplicantStatus,
+  hireProposal,
+  checkApplicationStatus,
+};
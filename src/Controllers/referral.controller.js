@@ -3,6 +3,7 @@ import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
 import crypto from "crypto";
+import { postReferralReward } from "../Services/ledgerService.js";
 
 const generateReferralCode = (userId) => {
   const prefix = "VID";
@@ -86,11 +87,10 @@ const redeemReferral = async (req, res, next) => {
       include: { referrer: { select: { firstname: true, lastname: true } }, referee: { select: { firstname: true, lastname: true } } },
     });
 
-    // Award referrer (e.g., credit to totalEarnings)
-    await prisma.freelancerProfile.update({
-      where: { userId: referral.referrerId },
-      data: { totalEarnings: { increment: referral.rewardAmount } },
-    });
+    // Award referrer: credited to their wallet from the promo budget
+    if (updatedReferral.rewardAmount) {
+      await postReferralReward(updatedReferral);
+    }
 
     // Notify both parties
     await prisma.notification.createMany({
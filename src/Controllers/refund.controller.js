@@ -0,0 +1,173 @@
+// src/controllers/refundController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { getEscrowSummary } from "../Services/escrowService.js";
+import { approveRefundRequest, requestRefund } from "../Services/refundService.js";
+
+const createRefundRequest = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { amount, reason } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order || order.clientId !== userId) {
+      return next(new ApiError(404, "Order not found or you don’t own it"));
+    }
+
+    const request = await requestRefund(order, { requestedBy: userId, amount, reason });
+
+    return res.status(201).json(new ApiResponse(201, request, "Refund request submitted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error requesting refund:", error);
+    return next(new ApiError(500, "Failed to request refund", error.message));
+  }
+};
+
+const getRefundRequests = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId && req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const [requests, { held }] = await Promise.all([
+      prisma.refundRequest.findMany({
+        where: { orderId: order.id },
+        include: { refunds: { select: { id: true, amount: true, status: true, createdAt: true } } },
+        orderBy: { createdAt: "desc" },
+      }),
+      getEscrowSummary(order.id),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, { requests, refundable: held }, "Refund requests retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving refund requests:", error);
+    return next(new ApiError(500, "Failed to retrieve refund requests", error.message));
+  }
+};
+
+const respondToRefundRequest = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, refundRequestId } = req.params;
+    const { action, note } = req.body;
+
+    const request = await prisma.refundRequest.findFirst({
+      where: { id: parseInt(refundRequestId), orderId: parseInt(orderId) },
+      include: { order: { include: { freelancer: true } } },
+    });
+    if (!request) {
+      return next(new ApiError(404, "Refund request not found"));
+    }
+    const { order } = request;
+    // Admins can step in on any request; freelancers only decide the ones routed to them
+    const isAdmin = req.user.role === "ADMIN";
+    if (!isAdmin && !(request.approver === "FREELANCER" && order.freelancer.userId === userId)) {
+      return next(new ApiError(403, "Forbidden: This refund request is not yours to decide"));
+    }
+    if (request.status !== "PENDING") {
+      return next(new ApiError(400, `Refund request is already ${request.status.toLowerCase()}`));
+    }
+    if (["COMPLETED", "CANCELLED", "DISPUTED"].includes(order.status)) {
+      return next(new ApiError(400, `Refund requests can't be decided on ${order.status.toLowerCase()} orders`));
+    }
+
+    if (action === "APPROVE") {
+      const result = await approveRefundRequest(request, { reviewerId: userId, note });
+      return res.status(200).json(new ApiResponse(200, result, "Refund request approved successfully"));
+    }
+
+    const { count } = await prisma.refundRequest.updateMany({
+      where: { id: request.id, status: "PENDING" },
+      data: { status: "DECLINED", reviewedBy: userId, reviewNote: note, reviewedAt: new Date() },
+    });
+    if (count === 0) {
+      return next(new ApiError(409, "Refund request is no longer pending"));
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: request.requestedBy,
+        type: "PAYMENT",
+        content: `Your refund request of $${request.amount.toFixed(2)} for order ${order.orderNumber} was declined: ${note}`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+
+    const declinedRequest = await prisma.refundRequest.findUnique({ where: { id: request.id } });
+
+    return res.status(200).json(new ApiResponse(200, declinedRequest, "Refund request declined successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error responding to refund request:", error);
+    return next(new ApiError(500, "Failed to respond to refund request", error.message));
+  }
+};
+
+const getRefundQueue = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id || req.user.role !== "ADMIN") {
+      return next(new ApiError(403, "Forbidden: Admin access required"));
+    }
+    const { page = 1, limit = 20, status = "PENDING", approver = "ADMIN" } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { status, approver };
+
+    const [requests, total] = await Promise.all([
+      prisma.refundRequest.findMany({
+        where,
+        include: {
+          order: { select: { id: true, orderNumber: true, status: true, totalPrice: true } },
+          requester: { select: { id: true, username: true, email: true } },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.refundRequest.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        requests,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Refund queue retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving refund queue:", error);
+    return next(new ApiError(500, "Failed to retrieve refund queue", error.message));
+  }
+};
+
+export { createRefundRequest, getRefundRequests, respondToRefundRequest, getRefundQueue };
@@ -0,0 +1,269 @@
+// src/controllers/requirementController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { completeRequirementsIfReady, completeWaitingRequirements, getMissingRequirements } from "../Services/requirementService.js";
+
+// Multiple-choice questions need choices to pick from
+const checkOptions = ({ type, options }) => {
+  if (type === "MULTIPLE_CHOICE" && (!options || options.length < 2)) {
+    return "Multiple-choice questions need at least two options";
+  }
+  return null;
+};
+
+const getGigQuestions = async (req, res, next) => {
+  try {
+    const { gigId } = req.params;
+
+    const questions = await prisma.gigRequirementQuestion.findMany({
+      where: { gigId: parseInt(gigId), isActive: true },
+      orderBy: [{ position: "asc" }, { id: "asc" }],
+    });
+
+    return res.status(200).json(new ApiResponse(200, questions, "Requirement questions retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving requirement questions:", error);
+    return next(new ApiError(500, "Failed to retrieve requirement questions", error.message));
+  }
+};
+
+const createGigQuestion = async (req, res, next) => {
+  try {
+    const gig = req.resource; // Set by checkOwnership
+
+    const problem = checkOptions(req.body);
+    if (problem) {
+      return next(new ApiError(400, problem));
+    }
+
+    const question = await prisma.gigRequirementQuestion.create({
+      data: { ...req.body, gigId: gig.id },
+    });
+
+    return res.status(201).json(new ApiResponse(201, question, "Requirement question created successfully"));
+  } catch (error) {
+    console.error("Error creating requirement question:", error);
+    return next(new ApiError(500, "Failed to create requirement question", error.message));
+  }
+};
+
+const updateGigQuestion = async (req, res, next) => {
+  try {
+    const gig = req.resource; // Set by checkOwnership
+    const { questionId } = req.params;
+
+    const question = await prisma.gigRequirementQuestion.findFirst({
+      where: { id: parseInt(questionId), gigId: gig.id },
+    });
+    if (!question) {
+      return next(new ApiError(404, "Requirement question not found"));
+    }
+
+    const problem = checkOptions({ ...question, ...req.body });
+    if (problem) {
+      return next(new ApiError(400, problem));
+    }
+
+    // Answers keep the question text they were given for
+    const updatedQuestion = await prisma.gigRequirementQuestion.update({
+      where: { id: question.id },
+      data: req.body,
+    });
+    // Orders waiting only on this question can start once it's no longer required
+    if (question.isActive && question.isRequired && !(updatedQuestion.isActive && updatedQuestion.isRequired)) {
+      await completeWaitingRequirements(gig.id, req.user.id);
+    }
+
+    return res.status(200).json(new ApiResponse(200, updatedQuestion, "Requirement question updated successfully"));
+  } catch (error) {
+    console.error("Error updating requirement question:", error);
+    return next(new ApiError(500, "Failed to update requirement question", error.message));
+  }
+};
+
+const deleteGigQuestion = async (req, res, next) => {
+  try {
+    const gig = req.resource; // Set by checkOwnership
+    const { questionId } = req.params;
+
+    const question = await prisma.gigRequirementQuestion.findFirst({
+      where: { id: parseInt(questionId), gigId: gig.id },
+      include: { _count: { select: { answers: true } } },
+    });
+    if (!question) {
+      return next(new ApiError(404, "Requirement question not found"));
+    }
+
+    // Questions that were answered are kept so past orders still show them
+    if (question._count.answers > 0) {
+      const deactivatedQuestion = await prisma.gigRequirementQuestion.update({
+        where: { id: question.id },
+        data: { isActive: false },
+      });
+      if (question.isActive && question.isRequired) {
+        await completeWaitingRequirements(gig.id, req.user.id);
+      }
+      return res.status(200).json(new ApiResponse(200, deactivatedQuestion, "Requirement question has been answered before and was deactivated instead"));
+    }
+
+    await prisma.gigRequirementQuestion.delete({ where: { id: question.id } });
+    if (question.isActive && question.isRequired) {
+      await completeWaitingRequirements(gig.id, req.user.id);
+    }
+
+    return res.status(200).json(new ApiResponse(200, null, "Requirement question deleted successfully"));
+  } catch (error) {
+    console.error("Error deleting requirement question:", error);
+    return next(new ApiError(500, "Failed to delete requirement question", error.message));
+  }
+};
+
+const getOrderRequirements = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const [questions, answers, missing] = await Promise.all([
+      // Orders hired from a job have no gig, and so no questions
+      order.gigId ? prisma.gigRequirementQuestion.findMany({
+        where: { gigId: order.gigId, isActive: true },
+        orderBy: [{ position: "asc" }, { id: "asc" }],
+      }) : [],
+      prisma.orderRequirementAnswer.findMany({
+        where: { orderId: order.id },
+        include: { files: true },
+      }),
+      getMissingRequirements(order),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        questions,
+        answers,
+        missingQuestionIds: missing.map(question => question.id),
+        requirementsCompletedAt: order.requirementsCompletedAt,
+      }, "Order requirements retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving order requirements:", error);
+    return next(new ApiError(500, "Failed to retrieve order requirements", error.message));
+  }
+};
+
+const answerRequirement = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, questionId } = req.params;
+    const { answerText, selectedOptions } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order || order.clientId !== userId) {
+      return next(new ApiError(404, "Order not found or you don’t own it"));
+    }
+    // Answers can be corrected until the freelancer accepts the order
+    if (order.status !== "PENDING") {
+      return next(new ApiError(400, "Requirements can only be answered while the order is pending"));
+    }
+
+    const question = order.gigId && await prisma.gigRequirementQuestion.findFirst({
+      where: { id: parseInt(questionId), gigId: order.gigId, isActive: true },
+    });
+    if (!question) {
+      return next(new ApiError(404, "Requirement question not found for this order"));
+    }
+
+    const existing = await prisma.orderRequirementAnswer.findUnique({
+      where: { orderId_questionId: { orderId: order.id, questionId: question.id } },
+      include: { files: true },
+    });
+
+    // Files come from the upload middleware; a new upload replaces the previous files
+    const files = (req.files || []).map(file => ({
+      fileUrl: file.location,
+      fileType: file.mimetype,
+      fileName: file.originalname,
+      fileSize: file.size,
+    }));
+
+    const data = { question: question.question };
+    if (question.type === "TEXT") {
+      if (!answerText || !answerText.trim()) {
+        return next(new ApiError(400, "Answer text is required"));
+      }
+      data.answerText = answerText;
+    } else if (question.type === "MULTIPLE_CHOICE") {
+      const choices = selectedOptions || [];
+      if (choices.length === 0 || choices.some(choice => !question.options.includes(choice))) {
+        return next(new ApiError(400, `Pick from: ${question.options.join(", ")}`));
+      }
+      if (!question.allowMultiple && choices.length > 1) {
+        return next(new ApiError(400, "Only one option can be picked for this question"));
+      }
+      data.selectedOptions = choices;
+    } else {
+      if (files.length === 0 && !(existing && existing.files.length > 0)) {
+        return next(new ApiError(400, "Upload at least one file"));
+      }
+      data.answerText = answerText; // Optional note, e.g. a link to footage too large to upload
+    }
+
+    const answer = await prisma.orderRequirementAnswer.upsert({
+      where: { orderId_questionId: { orderId: order.id, questionId: question.id } },
+      create: {
+        ...data,
+        orderId: order.id,
+        questionId: question.id,
+        files: { create: files },
+      },
+      update: {
+        ...data,
+        ...(files.length > 0 && { files: { deleteMany: {}, create: files } }),
+      },
+      include: { files: true },
+    });
+
+    const completed = await completeRequirementsIfReady(order, userId);
+    const missing = completed ? [] : await getMissingRequirements(order);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        answer,
+        missingQuestionIds: missing.map(q => q.id),
+        requirementsComplete: completed || Boolean(order.requirementsCompletedAt) || missing.length === 0,
+      }, "Requirement answered successfully")
+    );
+  } catch (error) {
+    console.error("Error answering requirement:", error);
+    return next(new ApiError(500, "Failed to answer requirement", error.message));
+  }
+};
+
+export {
+  getGigQuestions,
+  createGigQuestion,
+  updateGigQuestion,
+  deleteGigQuestion,
+  getOrderRequirements,
+  answerRequirement,
+};
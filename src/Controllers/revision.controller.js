@@ -0,0 +1,253 @@
+// src/controllers/revisionController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import stripe from "../Config/stripe.js";
+import { chargeOrder, recordStripeRefund } from "../Services/escrowService.js";
+import { quoteOrderFees, toOrderFeeFields } from "../Services/feeService.js";
+import { convertAmount } from "../Services/fxService.js";
+
+// Order statuses extra revisions can be bought in
+const REVISABLE_STATUSES = ["ACCEPTED", "IN_PROGRESS", "DELIVERED"];
+
+// Open review comments become revision items, prefixed with where they are in the video
+const commentToNote = (comment) => {
+  const anchor = comment.frameStart !== null
+    ? `frame ${comment.frameStart}${comment.frameEnd !== null ? `-${comment.frameEnd}` : ""}`
+    : new Date(comment.timecode * 1000).toISOString().substring(11, 22); // HH:MM:SS.ss
+  return `[${anchor}] ${comment.content}`;
+};
+
+const requestRevision = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { items } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId) {
+      return next(new ApiError(403, "Forbidden: Only the client can request a revision"));
+    }
+    if (order.status !== "DELIVERED") {
+      return next(new ApiError(400, "Revisions can only be requested on a delivered order"));
+    }
+
+    const allowed = order.revisionsIncluded + order.extraRevisions;
+    if (order.revisionsRequested >= allowed) {
+      return next(new ApiError(400, `All ${allowed} revision(s) for this order have been used. Purchase an extra revision to request another.`));
+    }
+
+    const latestDelivery = await prisma.orderDelivery.findFirst({
+      where: { orderId: order.id },
+      orderBy: { version: "desc" },
+      select: { id: true, version: true },
+    });
+    const openComments = latestDelivery
+      ? await prisma.deliveryComment.findMany({
+          where: { deliveryId: latestDelivery.id, parentId: null, status: "OPEN", revisionItem: { is: null } },
+          orderBy: [{ timecode: "asc" }, { frameStart: "asc" }],
+        })
+      : [];
+    const revisionItems = [
+      ...openComments.map(comment => ({ note: commentToNote(comment), commentId: comment.id })),
+      ...items.map(item => ({ note: item.note })),
+    ];
+    if (revisionItems.length === 0) {
+      return next(new ApiError(400, "Describe at least one change, or leave open comments on the delivery"));
+    }
+
+    const number = order.revisionsRequested + 1;
+    const revision = await prisma.$transaction(async (tx) => {
+      // Guard against two requests racing for the last remaining revision
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: "DELIVERED", revisionsRequested: order.revisionsRequested },
+        data: { status: "IN_PROGRESS", revisionsRequested: { increment: 1 } },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "The order changed while requesting the revision, please retry");
+      }
+
+      const created = await tx.orderRevision.create({
+        data: {
+          orderId: order.id,
+          deliveryId: latestDelivery?.id,
+          number,
+          isExtra: number > order.revisionsIncluded,
+          requestedBy: userId,
+          items: { create: revisionItems },
+        },
+        include: { items: { include: { comment: true } } },
+      });
+
+      await tx.orderStatusHistory.create({
+        data: {
+          orderId: order.id,
+          status: "IN_PROGRESS",
+          changedBy: userId,
+          note: `Revision ${number} of ${allowed} requested${latestDelivery ? ` on delivery version ${latestDelivery.version}` : ""} (${revisionItems.length} change${revisionItems.length === 1 ? "" : "s"})`,
+        },
+      });
+
+      return created;
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: order.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `The client requested revision ${number} on order ${order.orderNumber}`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, revision, "Revision requested successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error requesting revision:", error);
+    return next(new ApiError(500, "Failed to request revision", error.message));
+  }
+};
+
+const purchaseExtraRevisions = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { paymentMethodId, quantity = 1 } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { gig: true, _count: { select: { milestones: true } } },
+    });
+    if (!order || order.clientId !== userId) {
+      return next(new ApiError(404, "Order not found or you don’t own it"));
+    }
+    // The milestone amounts have to keep adding up to the order price
+    if (order._count.milestones > 0) {
+      return next(new ApiError(400, "Milestone orders don’t sell extra revisions; request changes on the milestone instead"));
+    }
+    if (!REVISABLE_STATUSES.includes(order.status) || order.escrowStatus !== "FUNDED") {
+      return next(new ApiError(400, "Extra revisions can only be bought for funded orders that are still in progress"));
+    }
+    if (!order.gig?.extraRevisionPrice) {
+      return next(new ApiError(400, "This gig does not offer extra revisions"));
+    }
+
+    // The extra revisions are added to the order price, so the fees are re-quoted on the new total.
+    // The gig's price is converted at the rate the order was placed at.
+    const price = convertAmount(order.gig.extraRevisionPrice * quantity, order.listingFxRate);
+    const quote = await quoteOrderFees({
+      amount: order.totalPrice + price,
+      category: order.gig.category,
+      isUrgent: order.isUrgent,
+      clientId: order.clientId,
+      freelancerId: order.freelancerId,
+    });
+    const serviceFee = Math.max(Math.round((quote.serviceFee.amount - order.serviceFee) * 100) / 100, 0);
+
+    const transaction = await chargeOrder(order, {
+      userId,
+      paymentMethodId,
+      price,
+      serviceFee,
+      description: `${quantity} extra revision${quantity === 1 ? "" : "s"}`,
+    });
+    if (transaction.status !== "COMPLETED") {
+      await stripe.paymentIntents.cancel(transaction.stripePaymentIntentId);
+      await prisma.transaction.update({
+        where: { id: transaction.id },
+        data: { status: "FAILED" },
+      });
+      return next(new ApiError(402, "Payment for the extra revisions could not be completed"));
+    }
+
+    // The revisions are only added if the order is still open to them; otherwise the charge goes back
+    try {
+      const { count } = await prisma.order.updateMany({
+        where: { id: order.id, status: { in: REVISABLE_STATUSES } },
+        data: {
+          ...toOrderFeeFields(quote),
+          serviceFee: { increment: serviceFee },
+          totalPrice: { increment: price },
+          extraRevisions: { increment: quantity },
+        },
+      });
+      if (count === 0) {
+        throw new ApiError(409, "The order was changed in the meantime; your payment has been refunded");
+      }
+    } catch (error) {
+      const stripeRefund = await stripe.refunds.create({
+        payment_intent: transaction.stripePaymentIntentId,
+        reason: "requested_by_customer",
+        metadata: { orderId: order.id.toString(), reason: "Extra revisions could not be added to the order" },
+      });
+      await recordStripeRefund(transaction, stripeRefund);
+      throw error;
+    }
+    const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+
+    return res.status(200).json(
+      new ApiResponse(200, { order: updatedOrder, transaction }, `${quantity} extra revision(s) purchased successfully`)
+    );
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error purchasing extra revisions:", error);
+    return next(new ApiError(500, "Failed to purchase extra revisions", error.message));
+  }
+};
+
+const getRevisions = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const revisions = await prisma.orderRevision.findMany({
+      where: { orderId: order.id },
+      include: { items: true, delivery: { select: { id: true, version: true } } },
+      orderBy: { number: "desc" },
+    });
+
+    const allowed = order.revisionsIncluded + order.extraRevisions;
+    return res.status(200).json(
+      new ApiResponse(200, {
+        revisions,
+        revisionsIncluded: order.revisionsIncluded,
+        extraRevisions: order.extraRevisions,
+        revisionsRequested: order.revisionsRequested,
+        revisionsCompleted: order.revisionsCompleted,
+        revisionsRemaining: Math.max(allowed - order.revisionsRequested, 0),
+      }, "Revisions retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving revisions:", error);
+    return next(new ApiError(500, "Failed to retrieve revisions", error.message));
+  }
+};
+
+export { requestRevision, purchaseExtraRevisions, getRevisions };
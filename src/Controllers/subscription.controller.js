@@ -0,0 +1,317 @@
+// src/controllers/subscriptionController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { assertSupportedCurrency } from "../Services/fxService.js";
+import { priceGigOrder } from "../Services/orderPricingService.js";
+import {
+  COMMITMENT_DISCOUNTS,
+  getCommitmentDiscount,
+  getNextCycleAt,
+  saveSubscriptionCard,
+  startSubscription,
+} from "../Services/subscriptionService.js";
+
+// Status a subscription has to be in for each action, and the status it moves to
+const STATUS_ACTIONS = {
+  PAUSE: { from: ["ACTIVE"], to: "PAUSED", done: "paused" },
+  RESUME: { from: ["PAUSED"], to: "ACTIVE", done: "resumed" },
+  CANCEL: { from: ["ACTIVE", "PAUSED"], to: "CANCELLED", done: "cancelled" },
+};
+
+// The discount was given on the promise of the committed cycles, so until they are
+// billed the client can't cancel, pause or skip their way out of them
+const isWithinCommitment = (subscription) =>
+  Boolean(subscription.committedCycles) && subscription.cyclesBilled < subscription.committedCycles;
+
+const commitmentMessage = (subscription, done) =>
+  `You committed to ${subscription.committedCycles} cycles; the subscription can be ${done} after cycle ${subscription.committedCycles} (${subscription.cyclesBilled} billed so far)`;
+
+const findClientSubscription = async (subscriptionId, userId) => {
+  const subscription = await prisma.orderSubscription.findUnique({
+    where: { id: parseInt(subscriptionId) },
+    include: { freelancer: { select: { userId: true } }, gig: { select: { title: true } } },
+  });
+  if (!subscription || subscription.clientId !== userId) {
+    throw new ApiError(404, "Subscription not found or you don’t own it");
+  }
+  return subscription;
+};
+
+const createSubscription = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const clientId = req.user.id;
+    const { gigId, selectedPackage, extras, requirements, interval, committedCycles, paymentMethodId, currency } = req.body;
+
+    const gig = await prisma.gig.findUnique({
+      where: { id: parseInt(gigId) },
+      include: { freelancer: true, extras: true },
+    });
+    if (!gig || gig.status !== "ACTIVE") {
+      return next(new ApiError(404, "Gig not found or not active"));
+    }
+    if (gig.freelancer.userId === clientId) {
+      return next(new ApiError(400, "You can't subscribe to your own gig"));
+    }
+    // Checks the package and extras up front; every cycle is priced again when it is placed
+    priceGigOrder(gig, { selectedPackage, extras });
+
+    const client = await prisma.user.findUnique({ where: { id: clientId }, select: { preferredCurrency: true } });
+    const clientCurrency = await assertSupportedCurrency(currency || client.preferredCurrency);
+    await saveSubscriptionCard(clientId, paymentMethodId);
+
+    const { subscription, order } = await startSubscription({
+      clientId,
+      gigId: gig.id,
+      freelancerId: gig.freelancerId,
+      package: selectedPackage,
+      extras,
+      requirements,
+      interval,
+      committedCycles,
+      discountPercentage: getCommitmentDiscount(committedCycles),
+      clientCurrency,
+      paymentMethodId,
+    });
+
+    await prisma.notification.create({
+      data: {
+        userId: gig.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `A client subscribed to "${gig.title}" (${interval.toLowerCase()}${committedCycles ? `, ${committedCycles} cycles committed` : ""}). The first order is ${order.orderNumber}.`,
+        entityType: "SUBSCRIPTION",
+        entityId: subscription.id,
+      },
+    });
+
+    return res.status(201).json(new ApiResponse(201, { subscription, order }, "Subscription created successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error creating subscription:", error);
+    return next(new ApiError(500, "Failed to create subscription", error.message));
+  }
+};
+
+const getSubscriptions = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { page = 1, limit = 10, status, as } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = as === "freelancer"
+      ? { freelancer: { userId } }
+      : as === "client"
+        ? { clientId: userId }
+        : { OR: [{ clientId: userId }, { freelancer: { userId } }] };
+    if (status) where.status = status;
+
+    const [subscriptions, total] = await Promise.all([
+      prisma.orderSubscription.findMany({
+        where,
+        include: {
+          gig: { select: { id: true, title: true } },
+          client: { select: { id: true, firstname: true, lastname: true } },
+          freelancer: { include: { user: { select: { firstname: true, lastname: true } } } },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.orderSubscription.count({ where }),
+    ]);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        subscriptions,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Subscriptions retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving subscriptions:", error);
+    return next(new ApiError(500, "Failed to retrieve subscriptions", error.message));
+  }
+};
+
+const getSubscription = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { subscriptionId } = req.params;
+
+    const subscription = await prisma.orderSubscription.findUnique({
+      where: { id: parseInt(subscriptionId) },
+      include: {
+        gig: { select: { id: true, title: true } },
+        client: { select: { id: true, firstname: true, lastname: true } },
+        freelancer: { include: { user: { select: { firstname: true, lastname: true } } } },
+        orders: {
+          select: {
+            id: true,
+            orderNumber: true,
+            subscriptionCycle: true,
+            status: true,
+            totalPrice: true,
+            discountAmount: true,
+            deliveryDeadline: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: "desc" },
+        },
+      },
+    });
+    if (!subscription) {
+      return next(new ApiError(404, "Subscription not found"));
+    }
+    if (subscription.clientId !== userId && subscription.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own subscriptions"));
+    }
+
+    return res.status(200).json(new ApiResponse(200, subscription, "Subscription retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving subscription:", error);
+    return next(new ApiError(500, "Failed to retrieve subscription", error.message));
+  }
+};
+
+const updateSubscriptionStatus = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { subscriptionId } = req.params;
+    const { action, reason, paymentMethodId } = req.body;
+
+    const subscription = await findClientSubscription(subscriptionId, userId);
+    const { from, to, done } = STATUS_ACTIONS[action];
+    if (!from.includes(subscription.status)) {
+      return next(new ApiError(400, `A ${subscription.status.toLowerCase()} subscription can't be ${done}`));
+    }
+    if (["CANCEL", "PAUSE"].includes(action) && isWithinCommitment(subscription)) {
+      return next(new ApiError(400, commitmentMessage(subscription, done)));
+    }
+
+    const now = new Date();
+    const data = { status: to };
+    if (action === "PAUSE") {
+      data.pausedAt = now;
+      data.pauseReason = reason || null;
+    } else if (action === "RESUME") {
+      if (paymentMethodId) {
+        await saveSubscriptionCard(userId, paymentMethodId);
+        data.paymentMethodId = paymentMethodId;
+      }
+      data.pausedAt = null;
+      data.pauseReason = null;
+      // A cycle that fell due while paused is placed on the next scheduler run
+      data.nextCycleAt = subscription.nextCycleAt > now ? subscription.nextCycleAt : now;
+    } else {
+      data.cancelledAt = now;
+      data.cancellationReason = reason || "Not specified";
+    }
+
+    const { count } = await prisma.orderSubscription.updateMany({
+      where: { id: subscription.id, status: subscription.status },
+      data,
+    });
+    if (count === 0) {
+      return next(new ApiError(409, "The subscription was changed in the meantime; please try again"));
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: subscription.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `The client ${done} their subscription to "${subscription.gig.title}"${reason ? `: ${reason}` : ""}`,
+        entityType: "SUBSCRIPTION",
+        entityId: subscription.id,
+      },
+    });
+
+    const updated = await prisma.orderSubscription.findUnique({ where: { id: subscription.id } });
+
+    return res.status(200).json(new ApiResponse(200, updated, "Subscription updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating subscription:", error);
+    return next(new ApiError(500, "Failed to update subscription", error.message));
+  }
+};
+
+const skipSubscriptionCycle = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { subscriptionId } = req.params;
+
+    const subscription = await findClientSubscription(subscriptionId, userId);
+    if (subscription.status !== "ACTIVE") {
+      return next(new ApiError(400, "Only active subscriptions can skip a cycle"));
+    }
+    if (isWithinCommitment(subscription)) {
+      return next(new ApiError(400, commitmentMessage(subscription, "skipped")));
+    }
+
+    const skipped = subscription.nextCycleAt;
+    const { count } = await prisma.orderSubscription.updateMany({
+      where: { id: subscription.id, status: "ACTIVE", nextCycleAt: skipped },
+      data: {
+        nextCycleAt: getNextCycleAt(skipped, subscription.interval),
+        cyclesSkipped: { increment: 1 },
+      },
+    });
+    if (count === 0) {
+      return next(new ApiError(409, "The next cycle was already placed or changed; please try again"));
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: subscription.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `The client skipped the ${skipped.toISOString().slice(0, 10)} cycle of their subscription to "${subscription.gig.title}"`,
+        entityType: "SUBSCRIPTION",
+        entityId: subscription.id,
+      },
+    });
+
+    const updated = await prisma.orderSubscription.findUnique({ where: { id: subscription.id } });
+
+    return res.status(200).json(new ApiResponse(200, updated, "Cycle skipped successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error skipping subscription cycle:", error);
+    return next(new ApiError(500, "Failed to skip subscription cycle", error.message));
+  }
+};
+
+const getCommitmentDiscounts = async (req, res, next) => {
+  try {
+    const tiers = [...COMMITMENT_DISCOUNTS].sort((a, b) => a.cycles - b.cycles);
+    return res.status(200).json(new ApiResponse(200, tiers, "Commitment discounts retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving commitment discounts:", error);
+    return next(new ApiError(500, "Failed to retrieve commitment discounts", error.message));
+  }
+};
+
+export {
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscriptionStatus,
+  skipSubscriptionCycle,
+  getCommitmentDiscounts,
+};
@@ -0,0 +1,332 @@
+// src/controllers/timesheetController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import {
+  approveTimesheet,
+  assertCanLogTime,
+  assertWeekOpen,
+  getWeekStart,
+  lockOrder,
+  submitTimesheet,
+} from "../Services/timesheetService.js";
+
+// Time is logged and billed while the freelancer is working on the order
+const OPEN_STATUSES = ["ACCEPTED", "IN_PROGRESS"];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toWorkDate = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Loads an hourly order the signed-in freelancer is working on, or throws
+const findFreelancerHourlyOrder = async (orderId, userId) => {
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(orderId) },
+    include: { freelancer: true },
+  });
+  if (!order || order.freelancer.userId !== userId) {
+    throw new ApiError(404, "Order not found or you don’t own it");
+  }
+  if (order.billingType !== "HOURLY") {
+    throw new ApiError(400, "Time is only tracked on hourly orders");
+  }
+  if (!OPEN_STATUSES.includes(order.status)) {
+    throw new ApiError(400, `Time can't be logged on ${order.status.toLowerCase()} orders`);
+  }
+  return order;
+};
+
+const checkWorkDate = (order, workDate) => {
+  if (workDate > new Date()) {
+    throw new ApiError(400, "Time can't be logged for future days");
+  }
+  if (workDate < toWorkDate(order.createdAt)) {
+    throw new ApiError(400, "Time can't be logged for days before the order was placed");
+  }
+};
+
+const logTime = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { workDate, minutes, memo } = req.body;
+
+    const order = await findFreelancerHourlyOrder(orderId, userId);
+    const day = toWorkDate(workDate);
+    checkWorkDate(order, day);
+    const entry = await prisma.$transaction(async (tx) => {
+      await assertCanLogTime(tx, order, day, minutes);
+      return tx.timeEntry.create({
+        data: { orderId: order.id, workDate: day, minutes, memo },
+      });
+    });
+
+    return res.status(201).json(new ApiResponse(201, entry, "Time logged successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error logging time:", error);
+    return next(new ApiError(500, "Failed to log time", error.message));
+  }
+};
+
+const getTimeEntries = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { weekStart } = req.query;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const where = { orderId: order.id };
+    if (weekStart) {
+      const start = getWeekStart(weekStart);
+      where.workDate = { gte: start, lt: new Date(start.getTime() + WEEK_MS) };
+    }
+    const entries = await prisma.timeEntry.findMany({
+      where,
+      include: { timesheet: { select: { id: true, status: true } } },
+      orderBy: [{ workDate: "desc" }, { id: "desc" }],
+    });
+    const minutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+
+    return res.status(200).json(
+      new ApiResponse(200, { entries, minutes, weeklyHourLimit: order.weeklyHourLimit }, "Time entries retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving time entries:", error);
+    return next(new ApiError(500, "Failed to retrieve time entries", error.message));
+  }
+};
+
+const updateTimeEntry = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, entryId } = req.params;
+    const { workDate, minutes, memo } = req.body;
+
+    const order = await findFreelancerHourlyOrder(orderId, userId);
+    const entry = await prisma.timeEntry.findFirst({
+      where: { id: parseInt(entryId), orderId: order.id },
+    });
+    if (!entry) {
+      return next(new ApiError(404, "Time entry not found"));
+    }
+
+    const day = workDate ? toWorkDate(workDate) : entry.workDate;
+    checkWorkDate(order, day);
+    const updated = await prisma.$transaction(async (tx) => {
+      // Both the week the entry is in and the one it moves to have to be open
+      await assertCanLogTime(tx, order, day, minutes ?? entry.minutes, entry.id);
+      await assertWeekOpen(order.id, getWeekStart(entry.workDate), tx);
+      return tx.timeEntry.update({
+        where: { id: entry.id },
+        data: {
+          workDate: day,
+          ...(minutes !== undefined && { minutes }),
+          ...(memo !== undefined && { memo }),
+          // Moving an entry out of a disputed week takes it off that timesheet
+          ...(day.getTime() !== entry.workDate.getTime() && { timesheetId: null }),
+        },
+      });
+    });
+
+    return res.status(200).json(new ApiResponse(200, updated, "Time entry updated successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error updating time entry:", error);
+    return next(new ApiError(500, "Failed to update time entry", error.message));
+  }
+};
+
+const deleteTimeEntry = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, entryId } = req.params;
+
+    const order = await findFreelancerHourlyOrder(orderId, userId);
+    const entry = await prisma.timeEntry.findFirst({
+      where: { id: parseInt(entryId), orderId: order.id },
+    });
+    if (!entry) {
+      return next(new ApiError(404, "Time entry not found"));
+    }
+    // Under the order lock, so the week can't be submitted while the entry is removed
+    await prisma.$transaction(async (tx) => {
+      await lockOrder(tx, order.id);
+      await assertWeekOpen(order.id, getWeekStart(entry.workDate), tx);
+      await tx.timeEntry.delete({ where: { id: entry.id } });
+    });
+
+    return res.status(200).json(new ApiResponse(200, null, "Time entry deleted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error deleting time entry:", error);
+    return next(new ApiError(500, "Failed to delete time entry", error.message));
+  }
+};
+
+const createTimesheet = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { weekStart } = req.body;
+
+    const order = await findFreelancerHourlyOrder(orderId, userId);
+    const timesheet = await submitTimesheet(order, getWeekStart(weekStart));
+
+    return res.status(201).json(new ApiResponse(201, timesheet, "Timesheet submitted successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error submitting timesheet:", error);
+    return next(new ApiError(500, "Failed to submit timesheet", error.message));
+  }
+};
+
+const getTimesheets = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const timesheets = await prisma.timesheet.findMany({
+      where: { orderId: order.id },
+      include: {
+        entries: { orderBy: { workDate: "asc" } },
+        transaction: { select: { id: true, amount: true, status: true, createdAt: true } },
+      },
+      orderBy: { weekStart: "desc" },
+    });
+
+    return res.status(200).json(
+      new ApiResponse(200, { timesheets, hourlyRate: order.hourlyRate, weeklyHourLimit: order.weeklyHourLimit }, "Timesheets retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving timesheets:", error);
+    return next(new ApiError(500, "Failed to retrieve timesheets", error.message));
+  }
+};
+
+const reviewTimesheet = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId, timesheetId } = req.params;
+    const { action, paymentMethodId, reason } = req.body;
+
+    const timesheet = await prisma.timesheet.findFirst({
+      where: { id: parseInt(timesheetId), orderId: parseInt(orderId) },
+      include: { order: { include: { freelancer: true, gig: { select: { category: true } } } } },
+    });
+    if (!timesheet) {
+      return next(new ApiError(404, "Timesheet not found"));
+    }
+    const { order } = timesheet;
+    if (order.clientId !== userId) {
+      return next(new ApiError(403, "Forbidden: Only the client can review a timesheet"));
+    }
+    if (timesheet.status !== "SUBMITTED") {
+      return next(new ApiError(400, `Timesheet is already ${timesheet.status.toLowerCase()}`));
+    }
+    if (!OPEN_STATUSES.includes(order.status)) {
+      return next(new ApiError(400, `Timesheets can't be reviewed on ${order.status.toLowerCase()} orders`));
+    }
+
+    if (action === "APPROVE") {
+      const result = await approveTimesheet(timesheet, { reviewerId: userId, paymentMethodId });
+      await prisma.notification.create({
+        data: {
+          userId: order.freelancer.userId,
+          type: "ORDER_UPDATE",
+          content: `Your timesheet for the week of ${timesheet.weekStart.toISOString().slice(0, 10)} on order ${order.orderNumber} was approved`,
+          entityType: "ORDER",
+          entityId: order.id,
+        },
+      });
+      return res.status(200).json(new ApiResponse(200, result, "Timesheet approved successfully"));
+    }
+
+    // Disputed weeks reopen for the freelancer to correct and resubmit
+    const { count } = await prisma.timesheet.updateMany({
+      where: { id: timesheet.id, status: "SUBMITTED" },
+      data: { status: "DISPUTED", reviewedBy: userId, reviewedAt: new Date(), disputeReason: reason },
+    });
+    if (count === 0) {
+      return next(new ApiError(409, "Timesheet is no longer awaiting approval"));
+    }
+
+    await prisma.notification.create({
+      data: {
+        userId: order.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `The client disputed your timesheet for the week of ${timesheet.weekStart.toISOString().slice(0, 10)} on order ${order.orderNumber}: ${reason}`,
+        entityType: "ORDER",
+        entityId: order.id,
+        priority: "HIGH",
+      },
+    });
+
+    const disputed = await prisma.timesheet.findUnique({
+      where: { id: timesheet.id },
+      include: { entries: { orderBy: { workDate: "asc" } } },
+    });
+
+    return res.status(200).json(new ApiResponse(200, disputed, "Timesheet disputed successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error reviewing timesheet:", error);
+    return next(new ApiError(500, "Failed to review timesheet", error.message));
+  }
+};
+
+export {
+  logTime,
+  getTimeEntries,
+  updateTimeEntry,
+  deleteTimeEntry,
+  createTimesheet,
+  getTimesheets,
+  reviewTimesheet,
+};
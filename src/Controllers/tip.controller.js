@@ -0,0 +1,70 @@
+// src/controllers/tipController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { sendTip } from "../Services/tipService.js";
+
+const createTip = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { amount, paymentMethodId, message } = req.body;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order || order.clientId !== userId) {
+      return next(new ApiError(404, "Order not found or you don’t own it"));
+    }
+    if (order.status !== "COMPLETED") {
+      return next(new ApiError(400, "Tips can only be sent for completed orders"));
+    }
+
+    const tip = await sendTip(order, { userId, paymentMethodId, amount, message });
+
+    return res.status(201).json(new ApiResponse(201, tip, "Tip sent successfully"));
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error sending tip:", error);
+    return next(new ApiError(500, "Failed to send tip", error.message));
+  }
+};
+
+const getTips = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      include: { freelancer: true },
+    });
+    if (!order) {
+      return next(new ApiError(404, "Order not found"));
+    }
+    if (order.clientId !== userId && order.freelancer.userId !== userId) {
+      return next(new ApiError(403, "Forbidden: You can only view your own orders"));
+    }
+
+    const tips = await prisma.transaction.findMany({
+      where: { orderId: order.id, type: "TIP", status: "COMPLETED" },
+      include: { platformFee: true },
+      orderBy: { createdAt: "desc" },
+    });
+    const total = Math.round(tips.reduce((sum, tip) => sum + tip.amount, 0) * 100) / 100;
+
+    return res.status(200).json(new ApiResponse(200, { tips, total }, "Tips retrieved successfully"));
+  } catch (error) {
+    console.error("Error retrieving tips:", error);
+    return next(new ApiError(500, "Failed to retrieve tips", error.message));
+  }
+};
+
+export { createTip, getTips };
@@ -2,9 +2,12 @@
 import { ApiError } from "../Utils/ApiError.js";
 import { ApiResponse } from "../Utils/ApiResponse.js";
 import prisma from "../prismaClient.js";
-import Stripe from "stripe";
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2023-10-16" });
+import stripe from "../Config/stripe.js";
+import { chargeOrder, fundEscrow, getAmountDue } from "../Services/escrowService.js";
+import { issueInvoice } from "../Services/invoiceService.js";
+import { EARNING_KINDS, getWalletAccount } from "../Services/ledgerService.js";
+import { requestRefund } from "../Services/refundService.js";
+import { renderInvoicePdf } from "../Utils/invoicePdf.js";
 
 const createTransaction = async (req, res, next) => {
   try {
@@ -12,43 +15,58 @@ const createTransaction = async (req, res, next) => {
       return next(new ApiError(401, "Unauthorized: User not authenticated"));
     }
     const userId = req.user.id;
-    const { orderId, amount, paymentMethodId } = req.body;
+    const { orderId, amount, paymentMethodId, milestoneId } = req.body;
 
-    if (!orderId || !amount || !paymentMethodId) {
-      return next(new ApiError(400, "Order ID, amount, and payment method ID are required"));
+    if (!orderId || !paymentMethodId) {
+      return next(new ApiError(400, "Order ID and payment method ID are required"));
     }
 
     const order = await prisma.order.findUnique({
       where: { id: parseInt(orderId) },
-      include: { client: true },
+      include: { client: true, milestones: { orderBy: { sequence: "asc" } } },
     });
     if (!order || order.clientId !== userId) {
       return next(new ApiError(404, "Order not found or you don’t own it"));
     }
-    if (order.status !== "PENDING" && order.status !== "ACCEPTED") {
-      return next(new ApiError(400, "Order must be in PENDING or ACCEPTED status to create a transaction"));
+
+    // Milestone orders are funded one milestone at a time, by default the next unfunded one
+    let milestone = null;
+    if (order.milestones.length > 0) {
+      milestone = milestoneId
+        ? order.milestones.find(m => m.id === milestoneId)
+        : order.milestones.find(m => m.status === "PENDING");
+      if (!milestone) {
+        return next(new ApiError(milestoneId ? 404 : 400, milestoneId ? "Milestone not found on this order" : "All milestones are already funded"));
+      }
+      if (milestone.status !== "PENDING") {
+        return next(new ApiError(400, "Milestone is already funded"));
+      }
+    } else if (milestoneId) {
+      return next(new ApiError(400, "This order has no milestones"));
+    }
+    const allowedStatuses = milestone ? ["PENDING", "ACCEPTED", "IN_PROGRESS"] : ["PENDING", "ACCEPTED"];
+    if (!allowedStatuses.includes(order.status)) {
+      return next(new ApiError(400, `Order must be in ${allowedStatuses.join(" or ")} status to create a transaction`));
     }
 
-    // Create Stripe payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: "usd",
-      payment_method: paymentMethodId,
-      confirmation_method: "manual",
-      confirm: true,
-      metadata: { orderId: order.id.toString(), userId: userId.toString() },
-    });
+    // The amount charged is always what the order (or milestone) still needs to be
+    // fully funded, plus its share of the client service fee quoted on the order
+    const due = await getAmountDue(order, prisma, milestone);
+    const amountDue = due.total;
+    if (due.price <= 0) {
+      return next(new ApiError(400, milestone ? "Milestone is already funded" : "Order is already funded"));
+    }
+    if (amount !== undefined && Math.abs(amount - amountDue) >= 0.01) {
+      return next(new ApiError(400, `Amount must match the $${amountDue.toFixed(2)} due for this order`));
+    }
 
-    const transaction = await prisma.transaction.create({
-      data: {
-        orderId: order.id,
-        userId,
-        amount,
-        type: "PAYMENT",
-        paymentMethod: "stripe",
-        status: paymentIntent.status === "succeeded" ? "COMPLETED" : "PENDING",
-        stripePaymentIntentId: paymentIntent.id,
-      },
+    // Funds are held in escrow; the freelancer still has to accept the order
+    const transaction = await chargeOrder(order, {
+      userId,
+      paymentMethodId,
+      price: due.price,
+      serviceFee: due.serviceFee,
+      milestoneId: milestone?.id,
     });
 
     return res.status(201).json(new ApiResponse(201, transaction, "Transaction created successfully"));
@@ -83,10 +101,7 @@ const processPayment = async (req, res, next) => {
         where: { id: transaction.id },
         data: { status: "COMPLETED" },
       });
-      await prisma.order.update({
-        where: { id: transaction.orderId },
-        data: { status: "ACCEPTED", statusHistory: { create: { status: "ACCEPTED", changedBy: userId } } },
-      });
+      await fundEscrow(transaction.orderId);
       return res.status(200).json(new ApiResponse(200, updatedTransaction, "Payment processed successfully"));
     }
 
@@ -104,39 +119,32 @@ const refundTransaction = async (req, res, next) => {
     }
     const userId = req.user.id;
     const { transactionId } = req.params;
-    const { reason } = req.body;
+    const { amount, reason } = req.body;
 
     const transaction = await prisma.transaction.findUnique({
       where: { id: parseInt(transactionId) },
-      include: { order: true },
+      include: { order: { include: { freelancer: true } }, platformFee: true },
     });
     if (!transaction || transaction.userId !== userId) {
       return next(new ApiError(404, "Transaction not found or you don’t own it"));
     }
-    if (transaction.status !== "COMPLETED") {
-      return next(new ApiError(400, "Only completed transactions can be refunded"));
+    if (transaction.status !== "COMPLETED" || transaction.type !== "PAYMENT" || !transaction.order) {
+      return next(new ApiError(400, "Only completed order payments can be refunded"));
     }
 
-    const refund = await stripe.refunds.create({
-      payment_intent: transaction.stripePaymentIntentId,
-      reason: reason || "requested_by_customer",
-    });
-
-    const updatedTransaction = await prisma.transaction.create({
-      data: {
-        orderId: transaction.orderId,
-        userId,
-        amount: -transaction.amount, // Negative amount for refund
-        type: "REFUND",
-        paymentMethod: "stripe",
-        status: "COMPLETED",
-        stripeRefundId: refund.id,
-      },
+    // Refunds are no longer self-service: this files a request the freelancer or an admin
+    // has to approve. The service fee charged with the payment is not refundable.
+    const serviceFee = transaction.platformFee ? transaction.platformFee.amount : 0;
+    const request = await requestRefund(transaction.order, {
+      requestedBy: userId,
+      amount: amount ?? Math.round((transaction.amount - serviceFee) * 100) / 100,
+      reason,
     });
 
-    return res.status(200).json(new ApiResponse(200, updatedTransaction, "Refund processed successfully"));
+    return res.status(201).json(new ApiResponse(201, request, "Refund request submitted successfully"));
   } catch (error) {
     console.error("Error refunding transaction:", error);
+    if (error instanceof ApiError) return next(error);
     return next(new ApiError(500, "Failed to refund transaction", error.message));
   }
 };
@@ -151,7 +159,7 @@ const getTransaction = async (req, res, next) => {
 
     const transaction = await prisma.transaction.findUnique({
       where: { id: parseInt(transactionId) },
-      include: { order: { include: { gig: true } } },
+      include: { order: { include: { gig: true } }, platformFee: true, invoice: { select: { id: true, number: true, kind: true, issuedAt: true } } },
     });
     if (!transaction || transaction.userId !== userId) {
       return next(new ApiError(404, "Transaction not found or you don’t own it"));
@@ -179,7 +187,7 @@ const getUserTransactions = async (req, res, next) => {
     const [transactions, total] = await Promise.all([
       prisma.transaction.findMany({
         where,
-        include: { order: { include: { gig: true } } },
+        include: { order: { include: { gig: true } }, invoice: { select: { id: true, number: true, kind: true, issuedAt: true } } },
         skip,
         take: parseInt(limit),
         orderBy: { createdAt: "desc" },
@@ -202,6 +210,46 @@ const getUserTransactions = async (req, res, next) => {
   }
 };
 
+const downloadInvoice = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { transactionId } = req.params;
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: parseInt(transactionId) },
+      include: { order: { include: { freelancer: true } } },
+    });
+    // Both parties are named on the invoice, so either of them can download it
+    const canView = transaction && (
+      transaction.userId === userId
+      || transaction.order?.freelancer.userId === userId
+      || req.user.role === "ADMIN"
+    );
+    if (!canView) {
+      return next(new ApiError(404, "Transaction not found or you don’t have access"));
+    }
+
+    // Invoices are issued with the payment; this covers payments made before invoicing existed
+    const issued = await issueInvoice(transaction.id);
+    const invoice = await prisma.invoice.findUnique({
+      where: { id: issued.id },
+      include: { order: { select: { orderNumber: true } }, originalInvoice: { select: { number: true } } },
+    });
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=${invoice.number}.pdf`);
+    return res.status(200).send(pdf);
+  } catch (error) {
+    if (error instanceof ApiError) return next(error);
+    console.error("Error downloading invoice:", error);
+    return next(new ApiError(500, "Failed to download invoice", error.message));
+  }
+};
+
 // ... (keep existing imports and functions)
 
 const getEarnings = async (req, res, next) => {
@@ -211,33 +259,42 @@ const getEarnings = async (req, res, next) => {
     }
     const userId = req.user.id;
 
-    const transactions = await prisma.transaction.findMany({
+    // Earnings are what the ledger credited to the user's wallet (escrow releases, rewards, tips)
+    const wallet = await getWalletAccount(userId);
+    const credits = await prisma.ledgerLine.findMany({
       where: {
-        userId,
-        type: "PAYMENT",
-        status: "COMPLETED",
+        accountId: wallet.id,
+        amount: { gt: 0 },
+        entry: { kind: { in: EARNING_KINDS } },
       },
       select: {
         amount: true,
-        createdAt: true,
+        entry: { select: { createdAt: true, kind: true } },
       },
+      orderBy: { entry: { createdAt: "asc" } },
     });
 
-    if (!transactions.length) {
+    if (!credits.length) {
       return res.status(200).json(new ApiResponse(200, [], "No earnings found"));
     }
 
-    const earningsByMonth = transactions.reduce((acc, tx) => {
-      const createdAt = tx.createdAt ? new Date(tx.createdAt) : new Date(); // Fallback to now if null
-      const month = createdAt.toLocaleString("default", { month: "long", year: "numeric" });
-      acc[month] = (acc[month] || 0) + (tx.amount || 0); // Fallback to 0 if amount is null
+    // Tips are included in each month's amount and also reported on their own
+    const earningsByMonth = credits.reduce((acc, line) => {
+      const month = line.entry.createdAt.toLocaleString("default", { month: "long", year: "numeric" });
+      const totals = acc[month] || { amount: 0, tips: 0 };
+      totals.amount = Math.round((totals.amount + line.amount) * 100) / 100;
+      if (line.entry.kind === "TIP") {
+        totals.tips = Math.round((totals.tips + line.amount) * 100) / 100;
+      }
+      acc[month] = totals;
       return acc;
     }, {});
 
-    const earningsData = Object.entries(earningsByMonth).map(([month, amount], index) => ({
+    const earningsData = Object.entries(earningsByMonth).map(([month, { amount, tips }], index) => ({
       id: index + 1,
       month,
       amount,
+      tips,
     }));
 
     return res.status(200).json(new ApiResponse(200, earningsData, "Earnings retrieved successfully"));
@@ -254,5 +311,6 @@ export {
   refundTransaction,
   getTransaction,
   getUserTransactions,
+  downloadInvoice,
   getEarnings,
 };
\ No newline at end of file
@@ -4,6 +4,7 @@ import prisma from "../prismaClient.js";
 import { hashPassword, comparePasswords } from "../Services/authService.js";
 import jwt from "jsonwebtoken";
 import { isFreelancerProfileComplete } from "../Utils/profileUtils.js";
+import { assertSupportedCurrency } from "../Services/fxService.js";
 
 const generateJwt = (user) => {
   return jwt.sign(
@@ -133,6 +134,7 @@ const loginUser = async (req, res, next) => {
       role: user.role,
       company: user.company,
       companyEmail: user.companyEmail,
+      preferredCurrency: user.preferredCurrency,
       isProfileComplete: user.isProfileComplete,
       freelancerProfile: user.freelancerProfile || null,
     };
@@ -158,7 +160,6 @@ const getUserProfile = async (req, res, next) => {
       where: { id: parsedUserId },
       select: {
         id: true,
-        appliedJobsId: true,
         firstname: true,
         lastname: true,
         email: true,
@@ -172,6 +173,7 @@ const getUserProfile = async (req, res, next) => {
         createdAt: true,
         company: true,
         companyEmail: true,
+        preferredCurrency: true,
         lastNameChange: true,
         isVerified: true,
         totalJobs: true,
@@ -225,6 +227,7 @@ const getUserProfile = async (req, res, next) => {
       role: user.role,
       company: user.company,
       companyEmail: user.companyEmail,
+      preferredCurrency: user.preferredCurrency,
       isProfileComplete: user.isProfileComplete,
       username: user.username,
       profilePicture: user.profilePicture,
@@ -270,6 +273,7 @@ const updateUser = async (req, res, next) => {
       bio,
       company,
       companyEmail,
+      preferredCurrency,
       city,
       pinCode,
       state,
@@ -340,6 +344,7 @@ const updateUser = async (req, res, next) => {
     }
     if (bio !== undefined) userUpdateData.bio = bio;
     if (company !== undefined) userUpdateData.company = company;
+    if (preferredCurrency) userUpdateData.preferredCurrency = await assertSupportedCurrency(preferredCurrency);
     if (companyEmail !== undefined) {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (companyEmail && !emailRegex.test(companyEmail)) {
@@ -440,11 +445,13 @@ const updateUser = async (req, res, next) => {
       createdAt: updatedUser.createdAt,
       company: updatedUser.company,
       companyEmail: updatedUser.companyEmail,
+      preferredCurrency: updatedUser.preferredCurrency,
       freelancerProfile: updatedUser.freelancerProfile,
     };
 
     return res.status(200).json(new ApiResponse(200, userResponse, "User updated successfully"));
   } catch (error) {
+    if (error instanceof ApiError) return next(error);
     console.error("Error updating user:", error);
     return next(new ApiError(500, "Failed to update user", error.message));
   }
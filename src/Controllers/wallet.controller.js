@@ -0,0 +1,93 @@
+// src/controllers/walletController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import { getAccountBalance, getWalletAccount } from "../Services/ledgerService.js";
+
+const getWallet = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+
+    const wallet = await getWalletAccount(userId);
+    const balance = await getAccountBalance(wallet.id);
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        accountId: wallet.id,
+        balance,
+        createdAt: wallet.createdAt,
+      }, "Wallet retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving wallet:", error);
+    return next(new ApiError(500, "Failed to retrieve wallet", error.message));
+  }
+};
+
+const getWalletStatement = async (req, res, next) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return next(new ApiError(401, "Unauthorized: User not authenticated"));
+    }
+    const userId = req.user.id;
+    const { page = 1, limit = 20, kind, startDate, endDate } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const wallet = await getWalletAccount(userId);
+
+    const where = { accountId: wallet.id, entry: {} };
+    if (kind) where.entry.kind = kind;
+    if (startDate || endDate) {
+      where.entry.createdAt = {};
+      if (startDate) where.entry.createdAt.gte = new Date(startDate);
+      if (endDate) where.entry.createdAt.lte = new Date(endDate);
+    }
+
+    const [lines, total, balance] = await Promise.all([
+      prisma.ledgerLine.findMany({
+        where,
+        include: {
+          entry: {
+            select: { id: true, kind: true, description: true, orderId: true, transactionId: true, createdAt: true },
+          },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { entry: { createdAt: "desc" } },
+      }),
+      prisma.ledgerLine.count({ where }),
+      getAccountBalance(wallet.id),
+    ]);
+
+    const statement = lines.map(line => ({
+      id: line.id,
+      entryId: line.entry.id,
+      kind: line.entry.kind,
+      description: line.entry.description,
+      orderId: line.entry.orderId,
+      transactionId: line.entry.transactionId,
+      amount: line.amount,
+      direction: line.amount >= 0 ? "CREDIT" : "DEBIT",
+      createdAt: line.entry.createdAt,
+    }));
+
+    return res.status(200).json(
+      new ApiResponse(200, {
+        balance,
+        statement,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit),
+      }, "Wallet statement retrieved successfully")
+    );
+  } catch (error) {
+    console.error("Error retrieving wallet statement:", error);
+    return next(new ApiError(500, "Failed to retrieve wallet statement", error.message));
+  }
+};
+
+export { getWallet, getWalletStatement };
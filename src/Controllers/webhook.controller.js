@@ -0,0 +1,177 @@
+// src/controllers/webhookController.js
+import { ApiError } from "../Utils/ApiError.js";
+import { ApiResponse } from "../Utils/ApiResponse.js";
+import prisma from "../prismaClient.js";
+import stripe from "../Config/stripe.js";
+import { fundEscrow, recordStripeRefund, syncRefundedStatus } from "../Services/escrowService.js";
+import { fromMinorUnits } from "../Services/fxService.js";
+
+const findPaymentByIntent = (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+  return prisma.transaction.findFirst({
+    where: { stripePaymentIntentId: paymentIntentId, type: "PAYMENT" },
+    include: { order: { include: { freelancer: true } } },
+  });
+};
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  const payment = await findPaymentByIntent(paymentIntent.id);
+  if (!payment) return;
+
+  if (payment.status !== "COMPLETED") {
+    await prisma.transaction.update({
+      where: { id: payment.id },
+      data: { status: "COMPLETED" },
+    });
+    await prisma.notification.create({
+      data: {
+        userId: payment.userId,
+        type: "PAYMENT",
+        content: `Your payment of $${payment.amount.toFixed(2)} for order ${payment.order.orderNumber} succeeded`,
+        entityType: "TRANSACTION",
+        entityId: payment.id,
+      },
+    });
+  }
+  await fundEscrow(payment.orderId);
+};
+
+const handlePaymentFailed = async (paymentIntent) => {
+  const payment = await findPaymentByIntent(paymentIntent.id);
+  if (!payment || payment.status !== "PENDING") return;
+
+  await prisma.transaction.update({
+    where: { id: payment.id },
+    data: { status: "FAILED" },
+  });
+  await prisma.notification.create({
+    data: {
+      userId: payment.userId,
+      type: "PAYMENT",
+      content: `Your payment for order ${payment.order.orderNumber} failed${paymentIntent.last_payment_error?.message ? `: ${paymentIntent.last_payment_error.message}` : ""}`,
+      entityType: "TRANSACTION",
+      entityId: payment.id,
+      priority: "HIGH",
+    },
+  });
+};
+
+const handleChargeRefunded = async (charge) => {
+  const payment = await findPaymentByIntent(charge.payment_intent);
+  if (!payment) return;
+
+  // Refunds are no longer expanded on the charge, so list them from the payment intent.
+  // Refunds we issued ourselves are already recorded and are skipped by their refund id.
+  const refunds = await stripe.refunds.list({ payment_intent: charge.payment_intent, limit: 100 });
+  for (const refund of refunds.data) {
+    if (refund.status === "succeeded") {
+      await recordStripeRefund(payment, refund);
+    }
+  }
+
+  const summary = await syncRefundedStatus(payment.orderId);
+  const { order } = payment;
+  if (charge.refunded && summary.held <= 0 && !["COMPLETED", "CANCELLED"].includes(order.status)) {
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        status: "CANCELLED",
+        cancellationReason: "Payment refunded",
+        cancellationDate: new Date(),
+        statusHistory: { create: { status: "CANCELLED" } },
+      },
+    });
+    await prisma.notification.createMany({
+      data: [
+        { userId: order.clientId, type: "ORDER_UPDATE", content: `Order ${order.orderNumber} was cancelled after a full refund`, entityType: "ORDER", entityId: order.id },
+        { userId: order.freelancer.userId, type: "ORDER_UPDATE", content: `Order ${order.orderNumber} was cancelled after a full refund`, entityType: "ORDER", entityId: order.id },
+      ],
+    });
+  }
+};
+
+const handleChargeDisputeCreated = async (stripeDispute) => {
+  const payment = await findPaymentByIntent(stripeDispute.payment_intent);
+  if (!payment) return;
+  const { order } = payment;
+
+  const reason = `Chargeback: ${stripeDispute.reason || "unspecified"}`;
+  const existingDispute = await prisma.dispute.findUnique({ where: { orderId: order.id } });
+  const dispute = existingDispute
+    ? await prisma.dispute.update({
+        where: { id: existingDispute.id },
+        data: { stripeDisputeId: stripeDispute.id, status: "OPEN" },
+      })
+    : await prisma.dispute.create({
+        data: {
+          orderId: order.id,
+          raisedById: order.clientId,
+          reason,
+          description: `Card dispute ${stripeDispute.id} opened with Stripe for ${stripeDispute.currency.toUpperCase()} ${fromMinorUnits(stripeDispute.amount, stripeDispute.currency).toFixed(2)}`,
+          stripeDisputeId: stripeDispute.id,
+        },
+      });
+
+  if (order.status !== "DISPUTED") {
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { status: "DISPUTED", statusHistory: { create: { status: "DISPUTED" } } },
+    });
+  }
+
+  const admins = await prisma.user.findMany({ where: { role: "ADMIN" }, select: { id: true } });
+  await prisma.notification.createMany({
+    data: [
+      { userId: order.freelancer.userId, type: "DISPUTE", content: `The client opened a card dispute for order ${order.orderNumber}`, entityType: "ORDER", entityId: order.id, priority: "HIGH" },
+      ...admins.map(admin => ({ userId: admin.id, type: "DISPUTE", content: `Chargeback received for order ${order.orderNumber} (dispute #${dispute.id})`, entityType: "ORDER", entityId: order.id, priority: "HIGH" })),
+    ],
+  });
+};
+
+const eventHandlers = {
+  "payment_intent.succeeded": handlePaymentSucceeded,
+  "payment_intent.payment_failed": handlePaymentFailed,
+  "charge.refunded": handleChargeRefunded,
+  "charge.dispute.created": handleChargeDisputeCreated,
+};
+
+const handleStripeWebhook = async (req, res, next) => {
+  let event;
+  try {
+    // req.body is the raw Buffer (see webhook.routes.js); the signature is computed over it
+    event = stripe.webhooks.constructEvent(req.body, req.headers["stripe-signature"], process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error("Stripe webhook signature verification failed:", error.message);
+    return next(new ApiError(400, `Webhook signature verification failed: ${error.message}`));
+  }
+
+  try {
+    // Claim the event id first so concurrent or repeated deliveries are processed once
+    try {
+      await prisma.stripeEvent.create({ data: { id: event.id, type: event.type } });
+    } catch (error) {
+      if (error.code === "P2002") {
+        return res.status(200).json(new ApiResponse(200, { received: true, duplicate: true }, "Event already processed"));
+      }
+      throw error;
+    }
+
+    const handler = eventHandlers[event.type];
+    if (handler) {
+      try {
+        await handler(event.data.object);
+      } catch (error) {
+        // Release the claim so Stripe's retry gets processed
+        await prisma.stripeEvent.delete({ where: { id: event.id } });
+        throw error;
+      }
+    }
+
+    return res.status(200).json(new ApiResponse(200, { received: true }, "Webhook processed successfully"));
+  } catch (error) {
+    console.error(`Error processing Stripe event ${event.id}:`, error);
+    return next(new ApiError(500, "Failed to process webhook", error.message));
+  }
+};
+
+export { handleStripeWebhook };
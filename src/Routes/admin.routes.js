@@ -6,9 +6,23 @@ import {
   manageUsers,
   resolveDisputes,
 } from "../Controllers/admin.controller.js";
+import {
+  getPayoutQueue,
+  reviewPayout,
+  getPaymentMethodQueue,
+  reviewPaymentMethod,
+} from "../Controllers/payout.controller.js";
+import { getRefundQueue } from "../Controllers/refund.controller.js";
+import {
+  getFeeRules,
+  createFeeRule,
+  updateFeeRule,
+  deleteFeeRule,
+  previewFees,
+} from "../Controllers/fee.controller.js";
 import { authenticateToken } from "../Middlewares/protect.middleware.js";
 import { restrictTo } from "../Middlewares/restrict.middleware.js";
-import { validateBody } from "../Middlewares/validate.middleware.js";
+import { validateBody, validateQuery } from "../Middlewares/validate.middleware.js";
 import Joi from "joi";
 
 const router = express.Router();
@@ -34,11 +48,87 @@ const manageUsersSchema = Joi.object({
 const resolveDisputesSchema = Joi.object({
   status: Joi.string().valid("OPEN", "IN_REVIEW", "RESOLVED", "CLOSED").required(),
   resolution: Joi.string().when("status", { is: Joi.string().valid("RESOLVED", "CLOSED"), then: Joi.required(), otherwise: Joi.optional() }),
+  refundAmount: Joi.number().min(0).optional(),
+});
+
+const getPayoutQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid("PENDING", "APPROVED", "REJECTED", "CANCELLED").default("PENDING"),
+});
+
+const getRefundQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid("PENDING", "APPROVED", "DECLINED").default("PENDING"),
+  approver: Joi.string().valid("FREELANCER", "ADMIN").default("ADMIN"),
+});
+
+const reviewPayoutSchema = Joi.object({
+  action: Joi.string().valid("APPROVE", "REJECT").required(),
+  rejectionReason: Joi.string().when("action", { is: "REJECT", then: Joi.required(), otherwise: Joi.optional() }),
+});
+
+const getPaymentMethodQueueSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  isVerified: Joi.boolean().default(false),
+});
+
+const reviewPaymentMethodSchema = Joi.object({
+  action: Joi.string().valid("VERIFY", "REJECT").required(),
+  rejectionReason: Joi.string().when("action", { is: "REJECT", then: Joi.required(), otherwise: Joi.optional() }),
+});
+
+const feeRuleFields = {
+  name: Joi.string().max(100),
+  side: Joi.string().valid("CLIENT", "FREELANCER"),
+  percentage: Joi.number().min(0).max(100),
+  fixedAmount: Joi.number().min(0),
+  category: Joi.string().allow(null),
+  minOrderAmount: Joi.number().min(0).allow(null),
+  maxOrderAmount: Joi.number().min(0).allow(null),
+  isUrgent: Joi.boolean().allow(null),
+  minClientVolume: Joi.number().min(0).allow(null),
+  maxClientVolume: Joi.number().min(0).allow(null),
+  priority: Joi.number().integer(),
+  isActive: Joi.boolean(),
+};
+
+const createFeeRuleSchema = Joi.object({
+  ...feeRuleFields,
+  name: feeRuleFields.name.required(),
+  side: feeRuleFields.side.required(),
+}).or("percentage", "fixedAmount");
+
+const updateFeeRuleSchema = Joi.object(feeRuleFields).min(1);
+
+const getFeeRulesSchema = Joi.object({
+  side: Joi.string().valid("CLIENT", "FREELANCER").optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+const previewFeesSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  category: Joi.string().optional(),
+  isUrgent: Joi.boolean().default(false),
+  clientId: Joi.number().integer().required(),
+  freelancerId: Joi.number().integer().required(),
 });
 
 router.get("/stats", getPlatformStats);
 router.post("/moderate", validateBody(moderateContentSchema), moderateContent);
 router.post("/users", validateBody(manageUsersSchema), manageUsers);
 router.put("/disputes/:disputeId", validateBody(resolveDisputesSchema), resolveDisputes);
+router.get("/fees", validateQuery(getFeeRulesSchema), getFeeRules);
+router.post("/fees", validateBody(createFeeRuleSchema), createFeeRule);
+router.post("/fees/preview", validateBody(previewFeesSchema), previewFees);
+router.put("/fees/:ruleId", validateBody(updateFeeRuleSchema), updateFeeRule);
+router.delete("/fees/:ruleId", deleteFeeRule);
+router.get("/payouts", validateQuery(getPayoutQueueSchema), getPayoutQueue);
+router.put("/payouts/:payoutId", validateBody(reviewPayoutSchema), reviewPayout);
+router.get("/payment-methods", validateQuery(getPaymentMethodQueueSchema), getPaymentMethodQueue);
+router.put("/payment-methods/:methodId", validateBody(reviewPaymentMethodSchema), reviewPaymentMethod);
+router.get("/refunds", validateQuery(getRefundQueueSchema), getRefundQueue); // Decided through PATCH /orders/:orderId/refunds/:refundRequestId
 
 export default router;
\ No newline at end of file
@@ -25,6 +25,7 @@ const createDisputeSchema = Joi.object({
 const updateDisputeStatusSchema = Joi.object({
   status: Joi.string().valid("OPEN", "IN_REVIEW", "RESOLVED", "CLOSED").required(),
   resolution: Joi.string().when("status", { is: Joi.string().valid("RESOLVED", "CLOSED"), then: Joi.required(), otherwise: Joi.optional() }),
+  refundAmount: Joi.number().min(0).optional(),
 });
 
 const addDisputeCommentSchema = Joi.object({
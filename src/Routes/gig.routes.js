@@ -10,13 +10,74 @@ import {
   getFreelancerGigs,
   getAllGigs,
 } from "../Controllers/gig.controller.js";
+import {
+  getGigExtras,
+  createGigExtra,
+  updateGigExtra,
+  deleteGigExtra,
+} from "../Controllers/gigExtra.controller.js";
+import {
+  getGigQuestions,
+  createGigQuestion,
+  updateGigQuestion,
+  deleteGigQuestion,
+} from "../Controllers/requirement.controller.js";
 import { authenticateToken } from "../Middlewares/protect.middleware.js";
 import { checkOwnership } from "../Middlewares/ownership.middlware.js";
+import { validateBody } from "../Middlewares/validate.middleware.js";
+import Joi from "joi";
 
 const router = express.Router();
 
+const extraTypes = ["EXTRA_REVISION", "RESOLUTION_4K", "SUBTITLES", "COLOR_GRADING", "SOURCE_FILES", "FAST_DELIVERY", "CUSTOM"];
+
+const createExtraSchema = Joi.object({
+  type: Joi.string().valid(...extraTypes).required(),
+  title: Joi.string().max(100).required(),
+  description: Joi.string().max(1000).optional(),
+  price: Joi.number().positive().precision(2).required(),
+  deliveryDays: Joi.number().integer().min(-60).max(60).default(0),
+  revisions: Joi.number().integer().min(0).max(20).default(0),
+  packages: Joi.array().items(Joi.string()).default([]),
+  maxQuantity: Joi.number().integer().min(1).max(20).default(1),
+});
+
+const updateExtraSchema = Joi.object({
+  type: Joi.string().valid(...extraTypes).optional(),
+  title: Joi.string().max(100).optional(),
+  description: Joi.string().max(1000).allow(null).optional(),
+  price: Joi.number().positive().precision(2).optional(),
+  deliveryDays: Joi.number().integer().min(-60).max(60).optional(),
+  revisions: Joi.number().integer().min(0).max(20).optional(),
+  packages: Joi.array().items(Joi.string()).optional(),
+  maxQuantity: Joi.number().integer().min(1).max(20).optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
+
+const createQuestionSchema = Joi.object({
+  type: Joi.string().valid("TEXT", "MULTIPLE_CHOICE", "FILE").required(),
+  question: Joi.string().max(500).required(),
+  description: Joi.string().max(2000).optional(),
+  options: Joi.array().items(Joi.string().max(200)).unique().max(20).default([]),
+  allowMultiple: Joi.boolean().default(false),
+  isRequired: Joi.boolean().default(true),
+  position: Joi.number().integer().min(0).default(0),
+});
+
+const updateQuestionSchema = Joi.object({
+  type: Joi.string().valid("TEXT", "MULTIPLE_CHOICE", "FILE").optional(),
+  question: Joi.string().max(500).optional(),
+  description: Joi.string().max(2000).allow(null).optional(),
+  options: Joi.array().items(Joi.string().max(200)).unique().max(20).optional(),
+  allowMultiple: Joi.boolean().optional(),
+  isRequired: Joi.boolean().optional(),
+  position: Joi.number().integer().min(0).optional(),
+}).min(1);
+
 // Public routes
 router.get("/all", getAllGigs);
+router.get("/:gigId/extras", getGigExtras);
+router.get("/:gigId/requirements", getGigQuestions);
 
 // Protected routes
 router.use(authenticateToken);
@@ -27,6 +88,12 @@ router.put("/:gigId", checkOwnership("Gig", "gigId", "freelancerId"), updateGig)
 router.put("/draft/:gigId", checkOwnership("Gig", "gigId", "freelancerId"), updateGigDraft); // New endpoint for updating drafts
 router.delete("/:gigId", deleteGig);
 router.delete("/draft/:gigId", deleteGigDraft); // New endpoint for deleting drafts
+router.post("/:gigId/extras", checkOwnership("Gig", "gigId", "freelancerId"), validateBody(createExtraSchema), createGigExtra);
+router.put("/:gigId/extras/:extraId", checkOwnership("Gig", "gigId", "freelancerId"), validateBody(updateExtraSchema), updateGigExtra);
+router.delete("/:gigId/extras/:extraId", checkOwnership("Gig", "gigId", "freelancerId"), deleteGigExtra);
+router.post("/:gigId/requirements", checkOwnership("Gig", "gigId", "freelancerId"), validateBody(createQuestionSchema), createGigQuestion);
+router.put("/:gigId/requirements/:questionId", checkOwnership("Gig", "gigId", "freelancerId"), validateBody(updateQuestionSchema), updateGigQuestion);
+router.delete("/:gigId/requirements/:questionId", checkOwnership("Gig", "gigId", "freelancerId"), deleteGigQuestion);
 
 // Public route - AFTER specific routes
 router.get("/:gigId", getGig);
@@ -3,12 +3,31 @@ import {
   createJob,
   updateJob,
   deleteJob,
+  updateJobStatus,
   getJob,
   getClientJobs,
   getAllJobs,
+} from "../Controllers/job.controller.js";
+import {
   applyJob,
+  updateProposal,
+  withdrawProposal,
+  getMyProposals,
+  getJobProposals,
+  getProposal,
+  updateApplicantStatus,
+  hireProposal,
   checkApplicationStatus,
-} from "../Controllers/job.controller.js";
+} from "../Controllers/proposal.controller.js";
+import {
+  inviteFreelancers,
+  getJobInvitations,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} from "../Controllers/invitation.controller.js";
+import { getRecommendedJobs, getSuggestedFreelancers } from "../Controllers/matching.controller.js";
+import { restrictTo } from "../Middlewares/restrict.middleware.js";
 import { authenticateToken } from "../Middlewares/protect.middleware.js";
 import { validateBody, validateQuery } from "../Middlewares/validate.middleware.js";
 import { uploadSingle } from "../Middlewares/upload.middleware.js";
@@ -22,6 +41,7 @@ const jobSchema = Joi.object({
   category: Joi.array().items(Joi.string().max(50)).min(1).required().messages({ "array.min": "At least one category is required" }),
   budgetMin: Joi.number().positive().required(),
   budgetMax: Joi.number().positive().greater(Joi.ref("budgetMin")).required(),
+  currency: Joi.string().length(3).uppercase().optional(), // Defaults to the poster's preferred currency
   deadline: Joi.date().greater("now").required(),
   jobDifficulty: Joi.string().valid("EASY", "INTERMEDIATE", "HARD").required(),
   projectLength: Joi.string().valid("SHORT_TERM", "MEDIUM_TERM", "LONG_TERM").required(),
@@ -34,10 +54,109 @@ const jobSchema = Joi.object({
   company: Joi.string().max(100).optional(),
   note: Joi.string().max(2000).optional(),
   videoFileUrl: Joi.string().uri().optional(),
+  screeningQuestions: Joi.array().items(Joi.object({
+    question: Joi.string().max(500).required(),
+    isRequired: Joi.boolean().default(true),
+  })).max(10).optional(),
 });
 
 const updateJobSchema = jobSchema.fork(Object.keys(jobSchema.describe().keys), field => field.optional()).min(1);
 
+// A job can be saved as a draft and published later
+const createJobSchema = jobSchema.keys({
+  status: Joi.string().valid("DRAFT", "OPEN").default("OPEN"),
+});
+
+const JOB_STATUSES = ["DRAFT", "OPEN", "PAUSED", "FILLED", "EXPIRED", "CLOSED"];
+
+const updateJobStatusSchema = Joi.object({
+  action: Joi.string().valid("PUBLISH", "PAUSE", "RESUME", "CLOSE", "FILL", "REOPEN", "REPOST").required(),
+  deadline: Joi.date().greater("now").optional(), // Needed to open a job whose deadline has passed
+  reason: Joi.string().max(500).optional(), // Kept when closing
+});
+
+const screeningAnswersSchema = Joi.array().items(Joi.object({
+  questionId: Joi.number().integer().required(),
+  answer: Joi.string().max(2000).allow("").required(),
+})).max(10);
+
+const proposalSchema = Joi.object({
+  coverLetter: Joi.string().max(5000).required(),
+  bidAmount: Joi.number().positive().precision(2).required(), // In the job's currency
+  estimatedDays: Joi.number().integer().min(1).max(365).required(),
+  portfolioVideoIds: Joi.array().items(Joi.number().integer()).max(5).default([]),
+  answers: screeningAnswersSchema.default([]),
+});
+
+// Videos and answers are replaced as a whole when sent
+const updateProposalSchema = Joi.object({
+  coverLetter: Joi.string().max(5000).optional(),
+  bidAmount: Joi.number().positive().precision(2).optional(),
+  estimatedDays: Joi.number().integer().min(1).max(365).optional(),
+  portfolioVideoIds: Joi.array().items(Joi.number().integer()).max(5).optional(),
+  answers: screeningAnswersSchema.optional(),
+}).min(1);
+
+const withdrawProposalSchema = Joi.object({
+  reason: Joi.string().max(500).optional(),
+});
+
+const APPLICATION_STATUSES = ["NEW", "VIEWED", "SHORTLISTED", "INTERVIEWING", "REJECTED", "HIRED"];
+
+const getProposalsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid(...APPLICATION_STATUSES).optional(),
+});
+
+const updateApplicantStatusSchema = Joi.object({
+  status: Joi.string().valid("SHORTLISTED", "INTERVIEWING", "REJECTED").required(),
+  note: Joi.string().max(1000).optional(), // Shown to the freelancer
+});
+
+const hireProposalSchema = Joi.object({
+  milestones: Joi.array().items(Joi.object({
+    title: Joi.string().max(200).required(),
+    description: Joi.string().max(2000).optional(),
+    amount: Joi.number().positive().precision(2).required(),
+    dueDate: Joi.date().iso().required(),
+  })).min(2).max(20).optional(),
+  requirements: Joi.string().max(5000).optional(), // Defaults to the job's scope
+  closeJob: Joi.boolean().default(false),
+  currency: Joi.string().length(3).uppercase().optional(), // Defaults to the client's preferred currency
+});
+
+const getMyProposalsSchema = getProposalsSchema.keys({
+  includeWithdrawn: Joi.boolean().optional(),
+});
+
+const inviteFreelancersSchema = Joi.object({
+  freelancerIds: Joi.array().items(Joi.number().integer()).min(1).max(20).required(), // User IDs
+  note: Joi.string().max(2000).required(),
+});
+
+const INVITATION_STATUSES = ["PENDING", "ACCEPTED", "DECLINED"];
+
+const getJobInvitationsSchema = Joi.object({
+  status: Joi.string().valid(...INVITATION_STATUSES).optional(),
+});
+
+const getMyInvitationsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid(...INVITATION_STATUSES).optional(),
+});
+
+const declineInvitationSchema = Joi.object({
+  reason: Joi.string().max(500).required(),
+});
+
+const getMatchesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  minScore: Joi.number().integer().min(0).max(100).default(0), // Leaves out weaker matches
+});
+
 const getJobsSchema = Joi.object({
   category: Joi.string().optional(),
   search: Joi.string().max(100).optional(),
@@ -45,6 +164,10 @@ const getJobsSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
 });
 
+const getClientJobsSchema = getJobsSchema.keys({
+  status: Joi.string().valid(...JOB_STATUSES).optional(),
+});
+
 // Public routes
 router.get("/all", validateQuery(getJobsSchema), getAllJobs);
 router.get("/:jobId", getJob);
@@ -52,12 +175,25 @@ router.get("/:jobId", getJob);
 // Protected routes
 router.use(authenticateToken);
 router.get("/apply/status/:jobId", checkApplicationStatus);
-router.post("/", uploadSingle("videoFile"), validateBody(jobSchema), createJob);
+router.post("/", uploadSingle("videoFile"), validateBody(createJobSchema), createJob);
 router.put("/:jobId", uploadSingle("videoFile"), validateBody(updateJobSchema), updateJob);
 router.delete("/:jobId", deleteJob);
-router.get("/", validateQuery(getJobsSchema), getClientJobs);
-router.post("/apply/:jobId", validateBody(Joi.object({
-  aboutFreelancer: Joi.string().max(5000).required(),
-})), applyJob);
+router.patch("/:jobId/status", restrictTo("CLIENT"), validateBody(updateJobStatusSchema), updateJobStatus);
+router.get("/", validateQuery(getClientJobsSchema), getClientJobs);
+router.post("/apply/:jobId", validateBody(proposalSchema), applyJob);
+router.get("/proposals/mine", restrictTo("FREELANCER"), validateQuery(getMyProposalsSchema), getMyProposals);
+router.patch("/proposals/:applicationId", restrictTo("FREELANCER"), validateBody(updateProposalSchema), updateProposal);
+router.patch("/proposals/:applicationId/withdraw", restrictTo("FREELANCER"), validateBody(withdrawProposalSchema), withdrawProposal);
+router.get("/feed/recommended", restrictTo("FREELANCER"), validateQuery(getMatchesSchema), getRecommendedJobs);
+router.get("/:jobId/suggested-freelancers", restrictTo("CLIENT"), validateQuery(getMatchesSchema), getSuggestedFreelancers);
+router.get("/invitations/mine", restrictTo("FREELANCER"), validateQuery(getMyInvitationsSchema), getMyInvitations);
+router.post("/invitations/:invitationId/accept", restrictTo("FREELANCER"), validateBody(proposalSchema), acceptInvitation);
+router.post("/invitations/:invitationId/decline", restrictTo("FREELANCER"), validateBody(declineInvitationSchema), declineInvitation);
+router.post("/:jobId/invitations", restrictTo("CLIENT"), validateBody(inviteFreelancersSchema), inviteFreelancers);
+router.get("/:jobId/invitations", restrictTo("CLIENT"), validateQuery(getJobInvitationsSchema), getJobInvitations);
+router.get("/:jobId/proposals", validateQuery(getProposalsSchema), getJobProposals);
+router.get("/:jobId/proposals/:applicationId", getProposal);
+router.patch("/:jobId/proposals/:applicationId/status", restrictTo("CLIENT"), validateBody(updateApplicantStatusSchema), updateApplicantStatus);
+router.post("/:jobId/proposals/:applicationId/hire", restrictTo("CLIENT"), validateBody(hireProposalSchema), hireProposal);
 
 export default router;
\ No newline at end of file
@@ -7,7 +7,14 @@ import {
   deleteMessage,
   flagMessage,
 } from "../Controllers/message.controller.js";
+import {
+  createCustomOffer,
+  getCustomOffer,
+  acceptCustomOffer,
+  declineCustomOffer,
+} from "../Controllers/offer.controller.js";
 import { authenticateToken } from "../Middlewares/protect.middleware.js";
+import { restrictTo } from "../Middlewares/restrict.middleware.js";
 import { validateBody, validateQuery } from "../Middlewares/validate.middleware.js";
 import { uploadMultiple } from "../Middlewares/upload.middleware.js";
 import Joi from "joi";
@@ -22,6 +29,28 @@ const sendMessageSchema = Joi.object({
   parentId: Joi.number().integer().optional(),
 });
 
+const customOfferSchema = Joi.object({
+  receiverId: Joi.number().integer().required(),
+  gigId: Joi.number().integer().required(),
+  description: Joi.string().max(5000).required(),
+  billingType: Joi.string().valid("FIXED", "HOURLY").default("FIXED"),
+  price: Joi.number().positive().precision(2).required(), // The hourly rate on hourly offers
+  deliveryDays: Joi.number().integer().min(1).max(365).when("billingType", { is: "HOURLY", then: Joi.forbidden(), otherwise: Joi.required() }),
+  weeklyHourLimit: Joi.number().integer().min(1).max(80).when("billingType", { is: "HOURLY", then: Joi.required(), otherwise: Joi.forbidden() }),
+  revisions: Joi.number().integer().min(0).max(50).default(0),
+  expiresInDays: Joi.number().integer().min(1).max(30).optional(),
+  parentId: Joi.number().integer().optional(),
+});
+
+const acceptOfferSchema = Joi.object({
+  requirements: Joi.string().optional(),
+  currency: Joi.string().length(3).uppercase().optional(), // Defaults to the client's preferred currency
+});
+
+const declineOfferSchema = Joi.object({
+  reason: Joi.string().max(1000).optional(),
+});
+
 const flagMessageSchema = Joi.object({
   reason: Joi.string().optional(),
 });
@@ -38,6 +67,10 @@ router.use(authenticateToken);
 
 router.post("/", uploadMultiple("attachments", 5), validateBody(sendMessageSchema), sendMessage);
 router.get("/", validateQuery(getMessagesSchema), getMessages);
+router.post("/offers", restrictTo("FREELANCER"), validateBody(customOfferSchema), createCustomOffer);
+router.get("/offers/:offerId", getCustomOffer);
+router.post("/offers/:offerId/accept", restrictTo("CLIENT"), validateBody(acceptOfferSchema), acceptCustomOffer);
+router.post("/offers/:offerId/decline", restrictTo("CLIENT"), validateBody(declineOfferSchema), declineCustomOffer);
 router.put("/:messageId/read", markMessageAsRead);
 router.delete("/:messageId", deleteMessage);
 router.post("/:messageId/flag", validateBody(flagMessageSchema), flagMessage);
@@ -10,24 +10,70 @@ import {
   getPendingOrders,
   getCompletedOrders,
 } from "../Controllers/order.controller.js";
+import {
+  createDelivery,
+  getDeliveries,
+  addDeliveryComment,
+  getDeliveryComments,
+  updateDeliveryCommentStatus,
+  exportDeliveryComments,
+} from "../Controllers/delivery.controller.js";
+import { requestRevision, purchaseExtraRevisions, getRevisions } from "../Controllers/revision.controller.js";
+import { requestExtension, respondToExtension, getExtensions } from "../Controllers/extension.controller.js";
+import { setMilestones, getMilestones, reviewMilestone } from "../Controllers/milestone.controller.js";
+import { getOrderRequirements, answerRequirement } from "../Controllers/requirement.controller.js";
+import { createRefundRequest, getRefundRequests, respondToRefundRequest } from "../Controllers/refund.controller.js";
+import {
+  logTime,
+  getTimeEntries,
+  updateTimeEntry,
+  deleteTimeEntry,
+  createTimesheet,
+  getTimesheets,
+  reviewTimesheet,
+} from "../Controllers/timesheet.controller.js";
+import { createTip, getTips } from "../Controllers/tip.controller.js";
 import { authenticateToken } from "../Middlewares/protect.middleware.js";
+import { restrictTo } from "../Middlewares/restrict.middleware.js";
 import { validateBody, validateQuery } from "../Middlewares/validate.middleware.js";
+import { uploadMultiple } from "../Middlewares/upload.middleware.js";
 import Joi from "joi";
 
 const router = express.Router();
 
 // Validation schemas
+const milestoneSchema = Joi.object({
+  title: Joi.string().max(200).required(),
+  description: Joi.string().max(2000).optional(),
+  amount: Joi.number().positive().precision(2).required(),
+  dueDate: Joi.date().iso().required(),
+});
+
 const createOrderSchema = Joi.object({
   gigId: Joi.number().integer().required(),
   selectedPackage: Joi.string().required(),
   requirements: Joi.string().optional(),
   isUrgent: Joi.boolean().optional(),
   customDetails: Joi.object().optional(),
+  milestones: Joi.array().items(milestoneSchema).min(2).max(20).optional(),
+  extras: Joi.array().items(Joi.object({
+    extraId: Joi.number().integer().required(),
+    quantity: Joi.number().integer().min(1).default(1),
+  })).max(20).default([]),
+  currency: Joi.string().length(3).uppercase().optional(), // Defaults to the client's preferred currency
+});
+
+const setMilestonesSchema = Joi.object({
+  milestones: Joi.array().items(milestoneSchema).min(2).max(20).required(),
+});
+
+const reviewMilestoneSchema = Joi.object({
+  action: Joi.string().valid("APPROVE", "REQUEST_CHANGES").required(),
+  note: Joi.string().max(2000).when("action", { is: "REQUEST_CHANGES", then: Joi.required(), otherwise: Joi.optional() }),
 });
 
 const updateStatusSchema = Joi.object({
   status: Joi.string().valid("PENDING", "ACCEPTED", "IN_PROGRESS", "DELIVERED", "COMPLETED", "CANCELLED", "DISPUTED").required(),
-  extensionReason: Joi.string().optional(),
   cancellationReason: Joi.string().optional(),
 });
 
@@ -35,6 +81,111 @@ const cancelOrderSchema = Joi.object({
   cancellationReason: Joi.string().optional(),
 });
 
+const createDeliverySchema = Joi.object({
+  message: Joi.string().max(5000).required(),
+  milestoneId: Joi.number().integer().optional(), // Required on milestone orders
+});
+
+const addCommentSchema = Joi.object({
+  content: Joi.string().max(5000).required(),
+  parentId: Joi.number().integer().optional(),
+  fileId: Joi.number().integer().optional(),
+  timecode: Joi.number().min(0).optional(), // Seconds
+  frameStart: Joi.number().integer().min(0).optional(),
+  frameEnd: Joi.number().integer().min(Joi.ref("frameStart")).optional(),
+  region: Joi.object({
+    x: Joi.number().min(0).max(1).required(),
+    y: Joi.number().min(0).max(1).required(),
+    width: Joi.number().min(0).max(1).required(),
+    height: Joi.number().min(0).max(1).required(),
+  }).optional(),
+}).with("frameEnd", "frameStart");
+
+const getCommentsSchema = Joi.object({
+  status: Joi.string().valid("OPEN", "RESOLVED").optional(),
+  fileId: Joi.number().integer().optional(),
+});
+
+const updateCommentStatusSchema = Joi.object({
+  status: Joi.string().valid("OPEN", "RESOLVED").required(),
+});
+
+const exportCommentsSchema = Joi.object({
+  format: Joi.string().valid("edl", "csv").default("edl"),
+  fps: Joi.number().positive().max(120).default(25),
+  startTimecode: Joi.string().pattern(/^\d{2}:\d{2}:\d{2}[:;]\d{2}$/).default("00:00:00:00"),
+  status: Joi.string().valid("OPEN", "RESOLVED").optional(),
+  fileId: Joi.number().integer().optional(),
+});
+
+// Items are optional: open review comments on the delivery are added automatically
+const requestRevisionSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    note: Joi.string().max(2000).required(),
+  })).max(50).default([]),
+});
+
+const purchaseRevisionsSchema = Joi.object({
+  paymentMethodId: Joi.string().required(),
+  quantity: Joi.number().integer().min(1).max(10).default(1),
+});
+
+const requestExtensionSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(30).required(),
+  reason: Joi.string().max(1000).required(),
+});
+
+const respondExtensionSchema = Joi.object({
+  action: Joi.string().valid("ACCEPT", "DECLINE").required(),
+});
+
+const answerRequirementSchema = Joi.object({
+  answerText: Joi.string().max(10000).optional(),
+  selectedOptions: Joi.array().items(Joi.string()).optional(),
+});
+
+const createRefundRequestSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional(), // Defaults to everything still refundable
+  reason: Joi.string().max(2000).required(),
+});
+
+const respondRefundRequestSchema = Joi.object({
+  action: Joi.string().valid("APPROVE", "DECLINE").required(),
+  note: Joi.string().max(2000).when("action", { is: "DECLINE", then: Joi.required(), otherwise: Joi.optional() }),
+});
+
+const logTimeSchema = Joi.object({
+  workDate: Joi.date().iso().required(),
+  minutes: Joi.number().integer().min(1).max(24 * 60).required(),
+  memo: Joi.string().max(2000).required(),
+});
+
+const updateTimeEntrySchema = Joi.object({
+  workDate: Joi.date().iso().optional(),
+  minutes: Joi.number().integer().min(1).max(24 * 60).optional(),
+  memo: Joi.string().max(2000).optional(),
+}).min(1);
+
+const getTimeEntriesSchema = Joi.object({
+  weekStart: Joi.date().iso().optional(), // Any day in the week
+});
+
+const createTimesheetSchema = Joi.object({
+  weekStart: Joi.date().iso().required(), // Any day in the week
+});
+
+const reviewTimesheetSchema = Joi.object({
+  action: Joi.string().valid("APPROVE", "DISPUTE").required(),
+  paymentMethodId: Joi.string().when("action", { is: "APPROVE", then: Joi.required(), otherwise: Joi.forbidden() }),
+  reason: Joi.string().max(2000).when("action", { is: "DISPUTE", then: Joi.required(), otherwise: Joi.forbidden() }),
+});
+
+const createTipSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).max(10000).required(),
+  paymentMethodId: Joi.string().required(),
+  message: Joi.string().max(1000).optional(),
+});
+
 const getOrdersSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
@@ -54,6 +205,35 @@ router.get("/completed", getCompletedOrders); // Moved up
 // Dynamic routes last
 router.patch("/:orderId/status", validateBody(updateStatusSchema), updateOrderStatus);
 router.patch("/:orderId/cancel", validateBody(cancelOrderSchema), cancelOrder);
+router.post("/:orderId/deliveries", restrictTo("FREELANCER"), uploadMultiple("files", 10), validateBody(createDeliverySchema), createDelivery);
+router.get("/:orderId/deliveries", getDeliveries);
+router.post("/:orderId/deliveries/:deliveryId/comments", validateBody(addCommentSchema), addDeliveryComment);
+router.get("/:orderId/deliveries/:deliveryId/comments", validateQuery(getCommentsSchema), getDeliveryComments);
+router.get("/:orderId/deliveries/:deliveryId/comments/export", validateQuery(exportCommentsSchema), exportDeliveryComments);
+router.patch("/:orderId/deliveries/:deliveryId/comments/:commentId", validateBody(updateCommentStatusSchema), updateDeliveryCommentStatus);
+router.post("/:orderId/revisions", restrictTo("CLIENT"), validateBody(requestRevisionSchema), requestRevision);
+router.post("/:orderId/revisions/purchase", restrictTo("CLIENT"), validateBody(purchaseRevisionsSchema), purchaseExtraRevisions);
+router.get("/:orderId/revisions", getRevisions);
+router.post("/:orderId/extensions", restrictTo("FREELANCER"), validateBody(requestExtensionSchema), requestExtension);
+router.get("/:orderId/extensions", getExtensions);
+router.patch("/:orderId/extensions/:extensionId", restrictTo("CLIENT"), validateBody(respondExtensionSchema), respondToExtension);
+router.put("/:orderId/milestones", restrictTo("CLIENT"), validateBody(setMilestonesSchema), setMilestones);
+router.get("/:orderId/milestones", getMilestones);
+router.patch("/:orderId/milestones/:milestoneId", restrictTo("CLIENT"), validateBody(reviewMilestoneSchema), reviewMilestone);
+router.get("/:orderId/requirements", getOrderRequirements);
+router.put("/:orderId/requirements/:questionId", restrictTo("CLIENT"), uploadMultiple("files", 10), validateBody(answerRequirementSchema), answerRequirement);
+router.post("/:orderId/refunds", restrictTo("CLIENT"), validateBody(createRefundRequestSchema), createRefundRequest);
+router.get("/:orderId/refunds", getRefundRequests);
+router.patch("/:orderId/refunds/:refundRequestId", restrictTo("FREELANCER", "ADMIN"), validateBody(respondRefundRequestSchema), respondToRefundRequest);
+router.post("/:orderId/time-entries", restrictTo("FREELANCER"), validateBody(logTimeSchema), logTime);
+router.get("/:orderId/time-entries", validateQuery(getTimeEntriesSchema), getTimeEntries);
+router.patch("/:orderId/time-entries/:entryId", restrictTo("FREELANCER"), validateBody(updateTimeEntrySchema), updateTimeEntry);
+router.delete("/:orderId/time-entries/:entryId", restrictTo("FREELANCER"), deleteTimeEntry);
+router.post("/:orderId/timesheets", restrictTo("FREELANCER"), validateBody(createTimesheetSchema), createTimesheet);
+router.get("/:orderId/timesheets", getTimesheets);
+router.patch("/:orderId/timesheets/:timesheetId", restrictTo("CLIENT"), validateBody(reviewTimesheetSchema), reviewTimesheet);
+router.post("/:orderId/tips", restrictTo("CLIENT"), validateBody(createTipSchema), createTip);
+router.get("/:orderId/tips", getTips);
 router.get("/:orderId", getOrder); // Moved down
 
 export default router;
\ No newline at end of file
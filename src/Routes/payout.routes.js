@@ -0,0 +1,60 @@
+// src/routes/payoutRoutes.js
+import express from "express";
+import {
+  getPaymentMethods,
+  addPaymentMethod,
+  updatePaymentMethod,
+  deletePaymentMethod,
+  getPayoutBalanceSummary,
+  requestPayout,
+  getMyPayouts,
+  cancelPayout,
+} from "../Controllers/payout.controller.js";
+import { authenticateToken } from "../Middlewares/protect.middleware.js";
+import { restrictTo } from "../Middlewares/restrict.middleware.js";
+import { validateBody, validateQuery } from "../Middlewares/validate.middleware.js";
+import Joi from "joi";
+
+const router = express.Router();
+
+const PAYOUT_METHODS = ["bank_transfer", "paypal", "payoneer", "wise", "stripe"];
+
+const addPaymentMethodSchema = Joi.object({
+  method: Joi.string().valid(...PAYOUT_METHODS).required(),
+  details: Joi.object().min(1).required(),
+  isDefault: Joi.boolean().optional(),
+});
+
+const updatePaymentMethodSchema = Joi.object({
+  method: Joi.string().valid(...PAYOUT_METHODS).optional(),
+  details: Joi.object().min(1).optional(),
+  isDefault: Joi.boolean().optional(),
+}).min(1);
+
+const requestPayoutSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  paymentSettingId: Joi.number().integer().optional(),
+  note: Joi.string().max(500).optional(),
+});
+
+const getPayoutsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid("PENDING", "APPROVED", "REJECTED", "CANCELLED").optional(),
+});
+
+// All routes require an authenticated freelancer
+router.use(authenticateToken);
+router.use(restrictTo("FREELANCER"));
+
+router.get("/methods", getPaymentMethods);
+router.post("/methods", validateBody(addPaymentMethodSchema), addPaymentMethod);
+router.put("/methods/:methodId", validateBody(updatePaymentMethodSchema), updatePaymentMethod);
+router.delete("/methods/:methodId", deletePaymentMethod);
+
+router.get("/balance", getPayoutBalanceSummary);
+router.post("/", validateBody(requestPayoutSchema), requestPayout);
+router.get("/", validateQuery(getPayoutsSchema), getMyPayouts);
+router.patch("/:payoutId/cancel", cancelPayout);
+
+export default router;
@@ -0,0 +1,54 @@
+// src/routes/subscriptionRoutes.js
+import express from "express";
+import {
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscriptionStatus,
+  skipSubscriptionCycle,
+  getCommitmentDiscounts,
+} from "../Controllers/subscription.controller.js";
+import { authenticateToken } from "../Middlewares/protect.middleware.js";
+import { restrictTo } from "../Middlewares/restrict.middleware.js";
+import { validateBody, validateQuery } from "../Middlewares/validate.middleware.js";
+import Joi from "joi";
+
+const router = express.Router();
+
+const createSubscriptionSchema = Joi.object({
+  gigId: Joi.number().integer().required(),
+  selectedPackage: Joi.string().required(),
+  extras: Joi.array().items(Joi.object({
+    extraId: Joi.number().integer().required(),
+    quantity: Joi.number().integer().min(1).default(1),
+  })).max(20).default([]),
+  requirements: Joi.string().optional(),
+  interval: Joi.string().valid("WEEKLY", "MONTHLY").required(),
+  committedCycles: Joi.number().integer().min(2).max(52).optional(),
+  paymentMethodId: Joi.string().required(),
+  currency: Joi.string().length(3).uppercase().optional(), // Defaults to the client's preferred currency
+});
+
+const updateSubscriptionStatusSchema = Joi.object({
+  action: Joi.string().valid("PAUSE", "RESUME", "CANCEL").required(),
+  reason: Joi.string().max(500).optional(),
+  paymentMethodId: Joi.string().when("action", { is: "RESUME", then: Joi.optional(), otherwise: Joi.forbidden() }),
+});
+
+const getSubscriptionsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid("ACTIVE", "PAUSED", "CANCELLED").optional(),
+  as: Joi.string().valid("client", "freelancer").optional(),
+});
+
+router.use(authenticateToken);
+
+router.get("/discounts", getCommitmentDiscounts);
+router.post("/", restrictTo("CLIENT"), validateBody(createSubscriptionSchema), createSubscription);
+router.get("/", validateQuery(getSubscriptionsSchema), getSubscriptions);
+router.get("/:subscriptionId", getSubscription);
+router.patch("/:subscriptionId/status", restrictTo("CLIENT"), validateBody(updateSubscriptionStatusSchema), updateSubscriptionStatus);
+router.post("/:subscriptionId/skip", restrictTo("CLIENT"), skipSubscriptionCycle);
+
+export default router;
@@ -5,6 +5,7 @@ import {
   refundTransaction,
   getTransaction,
   getUserTransactions,
+  downloadInvoice,
   getEarnings,
 } from "../Controllers/transaction.controller.js";
 import { authenticateToken } from "../Middlewares/protect.middleware.js";
@@ -15,12 +16,14 @@ const router = express.Router();
 
 const createTransactionSchema = Joi.object({
   orderId: Joi.number().integer().required(),
-  amount: Joi.number().positive().required(),
+  amount: Joi.number().positive().optional(),
   paymentMethodId: Joi.string().required(),
+  milestoneId: Joi.number().integer().optional(),
 });
 
 const refundTransactionSchema = Joi.object({
-  reason: Joi.string().optional(),
+  amount: Joi.number().positive().precision(2).optional(), // Defaults to the payment, less its service fee
+  reason: Joi.string().max(2000).required(),
 });
 
 const getTransactionsSchema = Joi.object({
@@ -44,6 +47,7 @@ router.get("/earnings", validateQuery(getEarningsSchema), getEarnings); // Moved
 // Dynamic routes last
 router.post("/:transactionId/process", processPayment);
 router.post("/:transactionId/refund", validateBody(refundTransactionSchema), refundTransaction);
+router.get("/:transactionId/invoice", downloadInvoice);
 router.get("/:transactionId", getTransaction); // Moved down
 
 export default router;
\ No newline at end of file
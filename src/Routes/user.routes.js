@@ -40,6 +40,7 @@ const updateUserSchema = Joi.object({
   bio: Joi.string().allow("").optional(),
   company: Joi.string().allow("").optional(),
   companyEmail: Joi.string().email().allow("").optional(),
+  preferredCurrency: Joi.string().length(3).uppercase().optional(),
   profilePicture: Joi.any().optional(),
   isVerified: Joi.boolean().optional(),
   portfolio: Joi.array().items(Joi.object({ id: Joi.string(), title: Joi.string(), category: Joi.string(), url: Joi.string() })).optional(),
@@ -0,0 +1,24 @@
+// src/routes/walletRoutes.js
+import express from "express";
+import { getWallet, getWalletStatement } from "../Controllers/wallet.controller.js";
+import { authenticateToken } from "../Middlewares/protect.middleware.js";
+import { validateQuery } from "../Middlewares/validate.middleware.js";
+import Joi from "joi";
+
+const router = express.Router();
+
+const getStatementSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  kind: Joi.string().valid("PAYMENT", "PLATFORM_FEE", "REFUND", "ESCROW_RELEASE", "PAYOUT", "PROMO_DISCOUNT", "REFERRAL_REWARD", "TIP").optional(),
+  startDate: Joi.date().optional(),
+  endDate: Joi.date().optional(),
+});
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get("/", getWallet);
+router.get("/statement", validateQuery(getStatementSchema), getWalletStatement);
+
+export default router;
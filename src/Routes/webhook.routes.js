@@ -0,0 +1,11 @@
+// src/routes/webhookRoutes.js
+import express from "express";
+import { handleStripeWebhook } from "../Controllers/webhook.controller.js";
+
+const router = express.Router();
+
+// Stripe signs the exact bytes it sends, so this route needs the raw body.
+// It is mounted in app.js before express.json() and is authenticated by signature, not JWT.
+router.post("/stripe", express.raw({ type: "application/json" }), handleStripeWebhook);
+
+export default router;
@@ -0,0 +1,103 @@
+// src/services/disputeService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { getEscrowSummary, settleEscrow } from "./escrowService.js";
+
+// Statuses that settle the order's escrow; a settled dispute can't be changed again
+const SETTLED_STATUSES = ["RESOLVED", "CLOSED"];
+
+/**
+ * Moves a dispute to a new status for an admin. Resolving or closing it settles the
+ * order's escrow: `refundAmount` goes back to the client and the rest is released to
+ * the freelancer. The dispute and its order are claimed before any money moves, so a
+ * dispute is only settled once, and both go back to how they were if settling fails.
+ * @param {Object} dispute - Dispute with its order
+ * @param {Object} update
+ * @param {string} update.status - OPEN, IN_REVIEW, RESOLVED or CLOSED
+ * @param {string} [update.resolution] - Required when settling
+ * @param {number} [update.refundAmount] - Amount returned to the client when settling
+ * @param {number} adminId - Admin's user ID
+ * @returns {Promise<Object>} The updated dispute
+ */
+const updateDispute = async (dispute, { status, resolution, refundAmount = 0 }, adminId) => {
+  const isSettling = SETTLED_STATUSES.includes(status);
+  const { order } = dispute;
+  if (isSettling && order.status !== "DISPUTED") {
+    throw new ApiError(400, `The order is ${order.status.toLowerCase()} and no longer disputed`);
+  }
+  const { held } = await getEscrowSummary(order.id);
+  if (refundAmount > held) {
+    throw new ApiError(400, `Refund amount exceeds the $${held.toFixed(2)} held in escrow`);
+  }
+
+  // Refunding everything held cancels the order; releasing any of it completes it
+  const orderStatus = refundAmount > 0 && refundAmount >= held ? "CANCELLED" : "COMPLETED";
+  const now = new Date();
+  const claimed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.dispute.updateMany({
+      where: { id: dispute.id, status: { notIn: SETTLED_STATUSES } },
+      data: {
+        status,
+        resolution: resolution || dispute.resolution,
+        ...(isSettling && { resolvedAt: now, resolvedBy: adminId }),
+      },
+    });
+    if (count === 0) {
+      return false;
+    }
+    if (isSettling) {
+      const { count: orderCount } = await tx.order.updateMany({
+        where: { id: order.id, status: "DISPUTED" },
+        data: {
+          status: orderStatus,
+          ...(orderStatus === "COMPLETED" ? { completedAt: now } : { cancellationReason: resolution, cancellationDate: now }),
+        },
+      });
+      if (orderCount === 0) {
+        throw new ApiError(409, "The order was changed in the meantime; please try again");
+      }
+    }
+    return true;
+  });
+  if (!claimed) {
+    throw new ApiError(409, "The dispute has already been settled");
+  }
+
+  if (isSettling) {
+    try {
+      await settleEscrow(order.id, refundAmount, resolution);
+    } catch (error) {
+      await prisma.$transaction([
+        prisma.dispute.update({
+          where: { id: dispute.id },
+          data: {
+            status: dispute.status,
+            resolution: dispute.resolution,
+            resolvedAt: dispute.resolvedAt,
+            resolvedBy: dispute.resolvedBy,
+          },
+        }),
+        prisma.order.update({
+          where: { id: order.id },
+          data: {
+            status: "DISPUTED",
+            completedAt: order.completedAt,
+            cancellationReason: order.cancellationReason,
+            cancellationDate: order.cancellationDate,
+          },
+        }),
+      ]);
+      throw error;
+    }
+    await prisma.orderStatusHistory.create({
+      data: { orderId: order.id, status: orderStatus, changedBy: adminId },
+    });
+  }
+
+  return prisma.dispute.findUnique({
+    where: { id: dispute.id },
+    include: { order: { select: { orderNumber: true } }, raisedBy: { select: { firstname: true, lastname: true } } },
+  });
+};
+
+export { SETTLED_STATUSES, updateDispute };
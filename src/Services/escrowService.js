@@ -0,0 +1,526 @@
+// src/services/escrowService.js
+import prisma from "../prismaClient.js";
+import stripe from "../Config/stripe.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { getReleaseCommission } from "./feeService.js";
+import { convertAmount, fromMinorUnits, toMinorUnits } from "./fxService.js";
+import { issueInvoiceIfDue } from "./invoiceService.js";
+import { postEscrowRelease, postPayment, postRefund } from "./ledgerService.js";
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Refunds call Stripe while the order is locked, which can take longer than Prisma's default 5 s
+const REFUND_TRANSACTION_TIMEOUT_MS = 30000;
+
+// Holds the order row until the transaction ends, so concurrent refunds and releases see each other's
+const lockOrder = (tx, orderId) => tx.$queryRaw`SELECT "id" FROM "Order" WHERE "id" = ${orderId} FOR UPDATE`;
+
+/**
+ * Summarises every completed money movement recorded against an order. Service
+ * fees charged to the client and commission kept from the freelancer both leave
+ * escrow as platform revenue, so neither counts towards `held`. `funded` is what
+ * the client has put towards the price, whether it is still held or was released.
+ * @param {number} orderId - Order ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @param {Object} [options]
+ * @param {number} [options.milestoneId] - Only count movements for this milestone
+ * @returns {Promise<Object>} { paid, refunded, released, serviceFees, commission, fees, funded, held }
+ */
+const getEscrowSummary = async (orderId, client = prisma, { milestoneId } = {}) => {
+  const transactions = await client.transaction.findMany({
+    where: { orderId, status: "COMPLETED", ...(milestoneId && { milestoneId }) },
+    include: { platformFee: true },
+  });
+
+  let paid = 0;
+  let refunded = 0;
+  let released = 0;
+  let serviceFees = 0;
+  let commission = 0;
+  for (const tx of transactions) {
+    if (tx.type === "PAYMENT") {
+      paid += tx.amount;
+      serviceFees += tx.platformFee ? tx.platformFee.amount : 0;
+    } else if (tx.type === "REFUND") {
+      refunded += Math.abs(tx.amount); // Refunds are stored as negative amounts
+    } else if (tx.type === "PAYOUT") {
+      released += tx.amount;
+      commission += tx.platformFee ? tx.platformFee.amount : 0;
+    }
+  }
+
+  return {
+    paid: roundCurrency(paid),
+    refunded: roundCurrency(refunded),
+    released: roundCurrency(released),
+    serviceFees: roundCurrency(serviceFees),
+    commission: roundCurrency(commission),
+    fees: roundCurrency(serviceFees + commission),
+    funded: roundCurrency(paid - refunded - serviceFees),
+    held: roundCurrency(paid - refunded - released - serviceFees - commission),
+  };
+};
+
+/**
+ * What the client still has to pay to fully fund an order (or one of its
+ * milestones): the rest of the price plus whatever part of the quoted service
+ * fee has not been charged yet. A milestone carries its share of the service fee.
+ * @param {Object} order - Order
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @param {Object} [milestone] - OrderMilestone to fund instead of the whole order
+ * @returns {Promise<Object>} { price, serviceFee, total }
+ */
+const getAmountDue = async (order, client = prisma, milestone = null) => {
+  const { funded, serviceFees } = await getEscrowSummary(order.id, client, { milestoneId: milestone?.id });
+  const target = milestone ? milestone.amount : order.totalPrice;
+  const quotedFee = milestone && order.totalPrice > 0
+    ? roundCurrency(order.serviceFee * (milestone.amount / order.totalPrice))
+    : order.serviceFee;
+  const price = Math.max(roundCurrency(target - funded), 0);
+  const serviceFee = price > 0 ? Math.max(roundCurrency(quotedFee - serviceFees), 0) : 0;
+  return { price, serviceFee, total: roundCurrency(price + serviceFee) };
+};
+
+/**
+ * Journals the order's completed payments into escrow, issues their invoices and
+ * marks the order as FUNDED once they cover its total price. On milestone orders each milestone is
+ * marked FUNDED once its own payments cover it, and the order counts as funded
+ * as soon as its first milestone is. Safe to call repeatedly.
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object>} The (possibly updated) order
+ */
+const fundEscrow = async (orderId) => {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  const payments = await prisma.transaction.findMany({
+    where: { orderId, type: "PAYMENT", status: "COMPLETED" },
+    include: { platformFee: true },
+  });
+  for (const payment of payments) {
+    await postPayment(payment);
+    await issueInvoiceIfDue(payment);
+  }
+
+  const milestones = await prisma.orderMilestone.findMany({
+    where: { orderId },
+    orderBy: { sequence: "asc" },
+  });
+  for (const milestone of milestones.filter(m => m.status === "PENDING")) {
+    const { funded } = await getEscrowSummary(orderId, prisma, { milestoneId: milestone.id });
+    if (funded >= milestone.amount) {
+      await prisma.orderMilestone.updateMany({
+        where: { id: milestone.id, status: "PENDING" },
+        data: { status: "FUNDED", fundedAt: new Date() },
+      });
+      milestone.status = "FUNDED";
+    }
+  }
+
+  const { held } = await getEscrowSummary(orderId);
+  const isFunded = milestones.length > 0 ? milestones[0].status !== "PENDING" : held >= order.totalPrice;
+  if (order.escrowStatus !== "UNFUNDED" || !isFunded) {
+    return order;
+  }
+
+  return prisma.order.update({
+    where: { id: orderId },
+    data: { escrowStatus: "FUNDED" },
+  });
+};
+
+/**
+ * Charges the client's card for (part of) an order and records the PAYMENT
+ * transaction, with the client service fee for that part as its PlatformFee.
+ * The card is charged in the order's client currency at the rate snapshotted on
+ * the order. Completed charges are journaled into escrow straight away.
+ * @param {Object} order - Order being paid for
+ * @param {Object} charge
+ * @param {number} charge.userId - Paying client's user ID
+ * @param {string} charge.paymentMethodId - Stripe payment method ID
+ * @param {number} charge.price - Amount that goes into escrow
+ * @param {number} [charge.serviceFee] - Client service fee charged on top of the price
+ * @param {number} [charge.milestoneId] - Milestone being funded, on milestone orders
+ * @param {string} [charge.description] - What the charge is for when it isn't the order itself
+ * @param {string} [charge.stripeCustomerId] - Customer the payment method is saved to, for
+ *   charges made while the client isn't there (e.g. subscription cycles)
+ * @returns {Promise<Object>} PAYMENT transaction (COMPLETED, or PENDING when Stripe needs further action)
+ */
+const chargeOrder = async (order, { userId, paymentMethodId, price, serviceFee = 0, milestoneId = null, description = null, stripeCustomerId = null }) => {
+  const amount = roundCurrency(price + serviceFee);
+  const currencyAmount = convertAmount(amount, order.clientFxRate, order.clientCurrency);
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: toMinorUnits(currencyAmount, order.clientCurrency),
+    currency: order.clientCurrency.toLowerCase(),
+    payment_method: paymentMethodId,
+    confirmation_method: "manual",
+    confirm: true,
+    ...(stripeCustomerId && { customer: stripeCustomerId, off_session: true }),
+    metadata: { orderId: order.id.toString(), userId: userId.toString() },
+  });
+
+  const transaction = await prisma.transaction.create({
+    data: {
+      orderId: order.id,
+      userId,
+      amount,
+      currency: order.clientCurrency,
+      currencyAmount,
+      fxRate: order.clientFxRate,
+      fxRatesAsOf: order.fxRatesAsOf,
+      type: "PAYMENT",
+      paymentMethod: "stripe",
+      status: paymentIntent.status === "succeeded" ? "COMPLETED" : "PENDING",
+      stripePaymentIntentId: paymentIntent.id,
+      milestoneId,
+      description,
+      ...(serviceFee > 0 && {
+        platformFee: {
+          create: {
+            amount: serviceFee,
+            percentage: roundCurrency((serviceFee / price) * 100),
+            side: "CLIENT",
+            ruleId: order.serviceFeeRuleId,
+          },
+        },
+      }),
+    },
+    include: { platformFee: true },
+  });
+
+  if (transaction.status === "COMPLETED") {
+    await fundEscrow(order.id);
+  }
+  return transaction;
+};
+
+/**
+ * Records a Stripe refund as a REFUND transaction against the payment's order,
+ * along with its refund receipt. Refunds go back at the rate the payment was made at.
+ * Safe to call twice for the same refund (e.g. from the API and the webhook).
+ * Inside a transaction the receipt is left for the caller to issue once it commits.
+ * @param {Object} payment - The PAYMENT transaction that was refunded
+ * @param {Object} stripeRefund - Stripe refund object
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Refunded amount in the platform currency, when known exactly
+ * @param {number} [options.refundRequestId] - Refund request the refund was approved through
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} The REFUND transaction
+ */
+const recordStripeRefund = async (payment, stripeRefund, { amount, refundRequestId = null } = {}, client = prisma) => {
+  const currencyAmount = fromMinorUnits(stripeRefund.amount, payment.currency);
+  const refund = await client.transaction.upsert({
+    where: { stripeRefundId: stripeRefund.id },
+    update: {},
+    create: {
+      orderId: payment.orderId,
+      userId: payment.userId,
+      amount: -(amount ?? roundCurrency(currencyAmount / payment.fxRate)), // Negative amount for refund
+      currency: payment.currency,
+      currencyAmount: -currencyAmount,
+      fxRate: payment.fxRate,
+      fxRatesAsOf: payment.fxRatesAsOf,
+      type: "REFUND",
+      paymentMethod: "stripe",
+      status: "COMPLETED",
+      stripePaymentIntentId: payment.stripePaymentIntentId,
+      stripeRefundId: stripeRefund.id,
+      milestoneId: payment.milestoneId,
+      refundRequestId,
+    },
+  });
+  await postRefund(refund, client);
+  if (client === prisma) {
+    await issueInvoiceIfDue(refund);
+  }
+  return refund;
+};
+
+/**
+ * Marks an order's escrow as REFUNDED once everything paid has gone back to the client
+ * @param {number} orderId - Order ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} Escrow summary
+ */
+const syncRefundedStatus = async (orderId, client = prisma) => {
+  const summary = await getEscrowSummary(orderId, client);
+  if (summary.refunded > 0 && summary.held <= 0 && summary.released === 0) {
+    await client.order.update({
+      where: { id: orderId },
+      data: { escrowStatus: "REFUNDED" },
+    });
+  }
+  return summary;
+};
+
+/**
+ * Refunds part or all of the held funds back to the client through Stripe.
+ * Each Stripe refund is recorded as a REFUND transaction against the order. The order
+ * is locked while the held amount is worked out and refunded, so two refunds (or a
+ * refund and a release) can't pay out the same funds.
+ * @param {number} orderId - Order ID
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Amount to refund (defaults to everything still held)
+ * @param {string} [options.reason] - Reason stored in the Stripe refund metadata
+ * @param {number} [options.refundRequestId] - Refund request the refund was approved through
+ * @returns {Promise<Array>} Created REFUND transactions
+ */
+const refundEscrow = async (orderId, { amount, reason, refundRequestId = null } = {}) => {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  // Card payments are refunded first; promo credit only goes back to the platform
+  const isPromo = (transaction) => transaction.paymentMethod === "promo";
+
+  const refunds = await prisma.$transaction(async (tx) => {
+    await lockOrder(tx, orderId);
+    const { held } = await getEscrowSummary(orderId, tx);
+    const refundAmount = roundCurrency(amount === undefined ? held : amount);
+    if (refundAmount <= 0) {
+      return [];
+    }
+    if (refundAmount > held) {
+      throw new ApiError(400, `Refund amount exceeds the $${held.toFixed(2)} held in escrow`);
+    }
+
+    const [payments, previousRefunds] = await Promise.all([
+      tx.transaction.findMany({
+        where: { orderId, type: "PAYMENT", status: "COMPLETED" },
+        include: { platformFee: true },
+        orderBy: { createdAt: "asc" },
+      }),
+      tx.transaction.findMany({
+        where: { orderId, type: "REFUND", status: "COMPLETED" },
+      }),
+    ]);
+    const sources = [...payments.filter(p => !isPromo(p)), ...payments.filter(isPromo)];
+
+    // On milestone orders a payment can only be refunded up to what is still held for its milestone
+    const milestoneHeld = new Map();
+    const created = [];
+    let remaining = refundAmount;
+    for (const payment of sources) {
+      if (remaining <= 0) break;
+
+      const alreadyRefunded = previousRefunds
+        .filter(refund => isPromo(payment)
+          ? isPromo(refund)
+          : refund.stripePaymentIntentId === payment.stripePaymentIntentId)
+        .reduce((sum, refund) => sum + Math.abs(refund.amount), 0);
+      // The service fee charged with a payment is platform revenue, not escrow
+      const serviceFee = payment.platformFee ? payment.platformFee.amount : 0;
+      let refundable = roundCurrency(payment.amount - serviceFee - alreadyRefunded);
+      if (payment.milestoneId) {
+        if (!milestoneHeld.has(payment.milestoneId)) {
+          const { held: heldForMilestone } = await getEscrowSummary(orderId, tx, { milestoneId: payment.milestoneId });
+          milestoneHeld.set(payment.milestoneId, heldForMilestone);
+        }
+        refundable = Math.min(refundable, milestoneHeld.get(payment.milestoneId));
+      }
+      if (refundable <= 0) continue;
+
+      const portion = Math.min(refundable, remaining);
+      if (payment.milestoneId) {
+        milestoneHeld.set(payment.milestoneId, roundCurrency(milestoneHeld.get(payment.milestoneId) - portion));
+      }
+      if (isPromo(payment)) {
+        const promoRefund = await tx.transaction.create({
+          data: {
+            orderId,
+            userId: payment.userId,
+            amount: -portion, // Negative amount for refund
+            type: "REFUND",
+            paymentMethod: "promo",
+            status: "COMPLETED",
+            milestoneId: payment.milestoneId,
+            refundRequestId,
+          },
+        });
+        await postRefund(promoRefund, tx);
+        created.push(promoRefund);
+        remaining = roundCurrency(remaining - portion);
+        continue;
+      }
+      if (!payment.stripePaymentIntentId) continue;
+
+      const stripeRefund = await stripe.refunds.create({
+        payment_intent: payment.stripePaymentIntentId,
+        amount: toMinorUnits(convertAmount(portion, payment.fxRate, payment.currency), payment.currency),
+        reason: "requested_by_customer",
+        metadata: { orderId: orderId.toString(), reason: reason || "Not specified" },
+      });
+
+      created.push(await recordStripeRefund(payment, stripeRefund, { amount: portion, refundRequestId }, tx));
+      remaining = roundCurrency(remaining - portion);
+    }
+
+    if (remaining > 0) {
+      throw new ApiError(400, `Could not refund $${remaining.toFixed(2)}: no refundable Stripe payment found`);
+    }
+
+    await syncRefundedStatus(orderId, tx);
+    return created;
+  }, { timeout: REFUND_TRANSACTION_TIMEOUT_MS });
+
+  for (const refund of refunds) {
+    await issueInvoiceIfDue(refund);
+  }
+
+  const refundedToClient = refunds
+    .filter(refund => !isPromo(refund))
+    .reduce((sum, refund) => sum + Math.abs(refund.amount), 0);
+  if (refundedToClient > 0) {
+    await prisma.notification.create({
+      data: {
+        userId: order.clientId,
+        type: "PAYMENT",
+        content: `$${refundedToClient.toFixed(2)} has been refunded for order ${order.orderNumber}`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+  }
+
+  return refunds;
+};
+
+/**
+ * Releases everything still held for an order to the freelancer as a PAYOUT
+ * transaction, keeping the commission quoted on the order as a PlatformFee row
+ * @param {number} orderId - Order ID
+ * @param {Object} [options]
+ * @param {Object} [options.milestone] - Only release what is held for this milestone.
+ *   The order's escrow status is then left for the caller to settle.
+ * @returns {Promise<Object|null>} The PAYOUT transaction, or null when nothing is held
+ */
+const releaseEscrow = async (orderId, { milestone } = {}) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { freelancer: true, gig: { select: { category: true } } },
+  });
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await lockOrder(tx, orderId);
+    const { held, refunded } = await getEscrowSummary(orderId, tx, { milestoneId: milestone?.id });
+    if (held <= 0) {
+      return null;
+    }
+
+    const commission = await getReleaseCommission(order, held);
+    const payout = await tx.transaction.create({
+      data: {
+        orderId,
+        userId: order.freelancer.userId,
+        amount: roundCurrency(held - commission.amount),
+        type: "PAYOUT",
+        paymentMethod: "escrow",
+        status: "COMPLETED",
+        milestoneId: milestone?.id,
+        platformFee: {
+          create: {
+            amount: commission.amount,
+            percentage: commission.percentage,
+            side: "FREELANCER",
+            ruleId: commission.ruleId,
+          },
+        },
+      },
+      include: { platformFee: true },
+    });
+    await postEscrowRelease(payout, tx);
+
+    if (!milestone) {
+      await tx.order.update({
+        where: { id: orderId },
+        data: { escrowStatus: refunded > 0 ? "SPLIT" : "RELEASED" },
+      });
+    }
+
+    await tx.notification.create({
+      data: {
+        userId: order.freelancer.userId,
+        type: "PAYMENT",
+        content: `$${payout.amount.toFixed(2)} has been released to you for ${milestone ? `milestone "${milestone.title}" of ` : ""}order ${order.orderNumber}`,
+        entityType: "TRANSACTION",
+        entityId: payout.id,
+      },
+    });
+
+    return payout;
+  });
+};
+
+/**
+ * Moves the escrow for an order whose change to CANCELLED or COMPLETED was just
+ * claimed: cancelling refunds the client, completing releases the funds to the
+ * freelancer. If the money can't be moved the status change is undone, so the order
+ * can be tried again instead of staying final with its funds still held.
+ * @param {Object} order - Order as it was before the claim
+ * @param {string} status - CANCELLED or COMPLETED
+ * @param {Object} actor - Recorded on the history entry when undoing: { changedBy } or { actorType: "SYSTEM" }
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Refund reason
+ * @returns {Promise<Array|Object|null>} The REFUND transactions, or the PAYOUT transaction
+ */
+const settleOrderEscrow = async (order, status, actor, { reason } = {}) => {
+  try {
+    return status === "CANCELLED"
+      ? await refundEscrow(order.id, { reason })
+      : await releaseEscrow(order.id);
+  } catch (error) {
+    await prisma.$transaction([
+      prisma.order.updateMany({
+        where: { id: order.id, status },
+        data: {
+          status: order.status,
+          completedAt: order.completedAt,
+          cancellationReason: order.cancellationReason,
+          cancellationDate: order.cancellationDate,
+        },
+      }),
+      prisma.orderStatusHistory.create({
+        data: {
+          orderId: order.id,
+          status: order.status,
+          note: `${status === "CANCELLED" ? "Refund" : "Release"} failed, so the order was not ${status.toLowerCase()}`,
+          ...actor,
+        },
+      }),
+    ]);
+    throw error;
+  }
+};
+
+/**
+ * Splits the held funds: refunds `refundAmount` to the client and releases the rest
+ * to the freelancer. Used when a dispute is resolved.
+ * @param {number} orderId - Order ID
+ * @param {number} refundAmount - Amount returned to the client
+ * @param {string} [reason] - Refund reason
+ * @returns {Promise<Object>} { refunds, payout }
+ */
+const settleEscrow = async (orderId, refundAmount, reason) => {
+  const refunds = refundAmount > 0 ? await refundEscrow(orderId, { amount: refundAmount, reason }) : [];
+  const payout = await releaseEscrow(orderId);
+  return { refunds, payout };
+};
+
+export {
+  getEscrowSummary,
+  getAmountDue,
+  fundEscrow,
+  chargeOrder,
+  recordStripeRefund,
+  syncRefundedStatus,
+  refundEscrow,
+  releaseEscrow,
+  settleOrderEscrow,
+  settleEscrow,
+};
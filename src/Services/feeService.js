@@ -0,0 +1,161 @@
+// src/services/feeService.js
+import prisma from "../prismaClient.js";
+
+// Used when no active FeeRule matches an order
+const DEFAULT_SERVICE_FEE_PERCENTAGE = parseFloat(process.env.CLIENT_SERVICE_FEE_PERCENTAGE || "0");
+const DEFAULT_COMMISSION_PERCENTAGE = parseFloat(process.env.PLATFORM_FEE_PERCENTAGE || "10");
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const CONDITION_FIELDS = ["category", "minOrderAmount", "maxOrderAmount", "isUrgent", "minClientVolume", "maxClientVolume"];
+
+const ruleMatches = (rule, { category, amount, isUrgent, clientVolume }) =>
+  (rule.category === null || rule.category === category) &&
+  (rule.minOrderAmount === null || amount >= rule.minOrderAmount) &&
+  (rule.maxOrderAmount === null || amount < rule.maxOrderAmount) &&
+  (rule.isUrgent === null || rule.isUrgent === isUrgent) &&
+  (rule.minClientVolume === null || clientVolume >= rule.minClientVolume) &&
+  (rule.maxClientVolume === null || clientVolume < rule.maxClientVolume);
+
+const specificity = (rule) => CONDITION_FIELDS.filter(field => rule[field] !== null).length;
+
+/**
+ * Picks the fee rule that applies to an order: highest priority first, then the
+ * rule with the most conditions, then the oldest
+ * @param {Array} rules - Active FeeRules for one side
+ * @param {Object} context - { category, amount, isUrgent, clientVolume }
+ * @returns {Object|null} FeeRule
+ */
+const selectFeeRule = (rules, context) => {
+  const matching = rules
+    .filter(rule => ruleMatches(rule, context))
+    .sort((a, b) => b.priority - a.priority || specificity(b) - specificity(a) || a.id - b.id);
+  return matching[0] || null;
+};
+
+/**
+ * Sum of the orders a freelancer has completed for a client
+ * @param {number} clientId - Client user ID
+ * @param {number} freelancerId - FreelancerProfile ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<number>} Lifetime volume
+ */
+const getClientVolume = async (clientId, freelancerId, client = prisma) => {
+  const result = await client.order.aggregate({
+    where: { clientId, freelancerId, status: "COMPLETED" },
+    _sum: { totalPrice: true },
+  });
+  return roundCurrency(result._sum.totalPrice || 0);
+};
+
+const computeFee = (rule, amount, defaultPercentage) => {
+  const percentage = rule ? rule.percentage : defaultPercentage;
+  const fixedAmount = rule ? rule.fixedAmount : 0;
+  const fee = Math.min(roundCurrency(amount * (percentage / 100) + fixedAmount), amount);
+  return { amount: Math.max(fee, 0), percentage, fixedAmount, ruleId: rule ? rule.id : null };
+};
+
+/**
+ * Quotes both sides of an order's fees: the service fee the client pays on top of
+ * the price and the commission kept from the freelancer's payout
+ * @param {Object} params
+ * @param {number} params.amount - Order total price
+ * @param {string} [params.category] - Gig category
+ * @param {boolean} [params.isUrgent]
+ * @param {number} params.clientId - Client user ID
+ * @param {number} params.freelancerId - FreelancerProfile ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} { serviceFee, commission, clientVolume }; each fee is { amount, percentage, fixedAmount, ruleId }
+ */
+const quoteOrderFees = async ({ amount, category = null, isUrgent = false, clientId, freelancerId }, client = prisma) => {
+  const [rules, clientVolume] = await Promise.all([
+    client.feeRule.findMany({ where: { isActive: true } }),
+    getClientVolume(clientId, freelancerId, client),
+  ]);
+  const context = { category, amount, isUrgent: Boolean(isUrgent), clientVolume };
+
+  const serviceFeeRule = selectFeeRule(rules.filter(rule => rule.side === "CLIENT"), context);
+  const commissionRule = selectFeeRule(rules.filter(rule => rule.side === "FREELANCER"), context);
+
+  return {
+    serviceFee: computeFee(serviceFeeRule, amount, DEFAULT_SERVICE_FEE_PERCENTAGE),
+    commission: computeFee(commissionRule, amount, DEFAULT_COMMISSION_PERCENTAGE),
+    clientVolume,
+  };
+};
+
+/**
+ * Re-quotes an order's fees from its current price and stores them on the order.
+ * Call whenever the price of an unpaid order changes.
+ * @param {number} orderId - Order ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} Updated order
+ */
+const applyOrderFees = async (orderId, client = prisma) => {
+  const order = await client.order.findUnique({
+    where: { id: orderId },
+    include: { gig: { select: { category: true } } },
+  });
+  const quote = await quoteOrderFees({
+    amount: order.totalPrice,
+    category: order.gig?.category,
+    isUrgent: order.isUrgent,
+    clientId: order.clientId,
+    freelancerId: order.freelancerId,
+  }, client);
+
+  return client.order.update({
+    where: { id: orderId },
+    data: toOrderFeeFields(quote),
+  });
+};
+
+/**
+ * Maps a fee quote onto the Order columns that store it
+ * @param {Object} quote - Result of quoteOrderFees
+ * @returns {Object} { serviceFee, commissionFee, serviceFeeRuleId, commissionRuleId }
+ */
+const toOrderFeeFields = (quote) => ({
+  serviceFee: quote.serviceFee.amount,
+  commissionFee: quote.commission.amount,
+  serviceFeeRuleId: quote.serviceFee.ruleId,
+  commissionRuleId: quote.commission.ruleId,
+});
+
+/**
+ * The commission due on a release of `amount` from escrow. The rate quoted on the
+ * order is applied pro rata, so partial releases (e.g. after a split dispute) pay
+ * proportionally less commission.
+ * @param {Object} order - Order (with its gig's category for orders without a stored quote)
+ * @param {number} amount - Amount being released
+ * @returns {Promise<Object>} { amount, percentage, ruleId }
+ */
+const getReleaseCommission = async (order, amount) => {
+  // Orders created before fee rules existed have no stored quote
+  if (order.commissionFee === null || order.commissionFee === undefined) {
+    const quote = await quoteOrderFees({
+      amount: order.totalPrice,
+      category: order.gig?.category,
+      isUrgent: order.isUrgent,
+      clientId: order.clientId,
+      freelancerId: order.freelancerId,
+    });
+    order = { ...order, ...toOrderFeeFields(quote) };
+  }
+
+  const rate = order.totalPrice > 0 ? order.commissionFee / order.totalPrice : 0;
+  return {
+    amount: roundCurrency(amount * rate),
+    percentage: roundCurrency(rate * 100),
+    ruleId: order.commissionRuleId,
+  };
+};
+
+export {
+  selectFeeRule,
+  getClientVolume,
+  quoteOrderFees,
+  applyOrderFees,
+  toOrderFeeFields,
+  getReleaseCommission,
+};
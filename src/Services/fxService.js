@@ -0,0 +1,179 @@
+// src/services/fxService.js
+import fs from "fs/promises";
+import { ApiError } from "../Utils/ApiError.js";
+
+// Currency every amount on the books (escrow, fees, ledger, payouts) is kept in
+const PLATFORM_CURRENCY = (process.env.PLATFORM_CURRENCY || "USD").toUpperCase();
+const FX_PROVIDER = process.env.FX_PROVIDER || "file";
+const FX_RATES_FILE = process.env.FX_RATES_FILE || new URL("../Config/fxRates.json", import.meta.url);
+const FX_RATES_TTL_MINUTES = parseInt(process.env.FX_RATES_TTL_MINUTES || "60");
+
+// Currencies Stripe charges in whole units rather than cents
+const ZERO_DECIMAL_CURRENCIES = ["BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA", "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF"];
+
+/**
+ * Rates providers return `{ base, rates, asOf }`, where `rates[code]` is how much of
+ * that currency one unit of `base` buys. Register others with registerRatesProvider.
+ */
+const providers = {
+  // Reads a JSON file shipped with the app (or FX_RATES_FILE), so conversions work offline
+  file: async () => {
+    const data = JSON.parse(await fs.readFile(FX_RATES_FILE, "utf8"));
+    return { base: data.base, rates: data.rates, asOf: data.asOf };
+  },
+  // Any endpoint answering `{ base, rates, date }` or `{ base, rates, asOf }`
+  http: async () => {
+    if (!process.env.FX_RATES_URL) {
+      throw new Error("FX_RATES_URL is not set");
+    }
+    const response = await fetch(process.env.FX_RATES_URL);
+    if (!response.ok) {
+      throw new Error(`Rates request failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    return { base: data.base, rates: data.rates, asOf: data.asOf || data.date };
+  },
+};
+
+let cache = null;
+
+/**
+ * Adds (or replaces) a rates provider that can be selected with FX_PROVIDER
+ * @param {string} name - Provider name
+ * @param {Function} provider - Async function returning { base, rates, asOf }
+ */
+const registerRatesProvider = (name, provider) => {
+  providers[name] = provider;
+  cache = null;
+};
+
+/**
+ * Current rates from the configured provider, cached for FX_RATES_TTL_MINUTES
+ * @returns {Promise<Object>} { base, rates, asOf, source }
+ */
+const getRates = async () => {
+  if (cache && cache.expiresAt > Date.now()) {
+    return cache.value;
+  }
+  const provider = providers[FX_PROVIDER];
+  if (!provider) {
+    throw new ApiError(500, `Unknown FX rates provider "${FX_PROVIDER}"`);
+  }
+  let result;
+  try {
+    result = await provider();
+  } catch (error) {
+    // Stale rates beat failing checkout when the provider is briefly unavailable
+    if (cache) {
+      console.error(`FX rates provider "${FX_PROVIDER}" failed, using cached rates:`, error.message);
+      return cache.value;
+    }
+    throw new ApiError(503, "Currency rates are unavailable", error.message);
+  }
+  const value = {
+    base: result.base.toUpperCase(),
+    rates: Object.fromEntries(Object.entries(result.rates).map(([code, rate]) => [code.toUpperCase(), Number(rate)])),
+    asOf: result.asOf ? new Date(result.asOf) : new Date(),
+    source: FX_PROVIDER,
+  };
+  cache = { value, expiresAt: Date.now() + FX_RATES_TTL_MINUTES * 60 * 1000 };
+  return value;
+};
+
+/**
+ * Throws a 400 unless the rates provider can convert the currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {Promise<string>} The upper-cased code
+ */
+const assertSupportedCurrency = async (currency) => {
+  const code = currency.toUpperCase();
+  const { rates } = await getRates();
+  if (!rates[code]) {
+    throw new ApiError(400, `Currency ${code} is not supported. Supported: ${Object.keys(rates).join(", ")}`);
+  }
+  return code;
+};
+
+/**
+ * Rate for converting `from` into `to`, with where and when it was taken
+ * @param {string} from - ISO 4217 code
+ * @param {string} to - ISO 4217 code
+ * @returns {Promise<Object>} { rate, source, asOf }
+ */
+const getRate = async (from, to) => {
+  const snapshot = await getRates();
+  const [fromCode, toCode] = [from.toUpperCase(), to.toUpperCase()];
+  if (fromCode === toCode) {
+    return { rate: 1, source: snapshot.source, asOf: snapshot.asOf };
+  }
+  const fromRate = snapshot.rates[fromCode];
+  const toRate = snapshot.rates[toCode];
+  if (!fromRate || !toRate) {
+    throw new ApiError(400, `No exchange rate from ${fromCode} to ${toCode}`);
+  }
+  return { rate: toRate / fromRate, source: snapshot.source, asOf: snapshot.asOf };
+};
+
+const decimalsFor = (currency) => (ZERO_DECIMAL_CURRENCIES.includes(currency.toUpperCase()) ? 0 : 2);
+
+/**
+ * Converts an amount at a known rate, rounded to the target currency's smallest unit
+ * @param {number} amount - Amount in the source currency
+ * @param {number} rate - Source-to-target rate
+ * @param {string} [currency] - Target currency (decides the rounding)
+ * @returns {number}
+ */
+const convertAmount = (amount, rate, currency = PLATFORM_CURRENCY) => {
+  const factor = 10 ** decimalsFor(currency);
+  return Math.round(amount * rate * factor) / factor;
+};
+
+/**
+ * Amount in the currency's smallest unit, as Stripe expects it
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** decimalsFor(currency));
+
+/**
+ * @param {number} minorUnits - Amount in the currency's smallest unit, as Stripe reports it
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+const fromMinorUnits = (minorUnits, currency) => minorUnits / 10 ** decimalsFor(currency);
+
+/**
+ * Snapshots the rates an order is priced and paid with: from the currency the work
+ * was listed in to the platform currency, and from the platform currency to the
+ * currency the client pays in. Later charges and refunds reuse these rates.
+ * @param {string} listingCurrency - Currency of the gig or offer
+ * @param {string} clientCurrency - Currency the client pays in
+ * @returns {Promise<Object>} Order fields { currency, listingFxRate, clientCurrency, clientFxRate, fxSource, fxRatesAsOf }
+ */
+const getOrderFxFields = async (listingCurrency, clientCurrency) => {
+  const [listing, client] = await Promise.all([
+    getRate(listingCurrency, PLATFORM_CURRENCY),
+    getRate(PLATFORM_CURRENCY, clientCurrency),
+  ]);
+  return {
+    currency: listingCurrency.toUpperCase(),
+    listingFxRate: listing.rate,
+    clientCurrency: clientCurrency.toUpperCase(),
+    clientFxRate: client.rate,
+    fxSource: client.source,
+    fxRatesAsOf: client.asOf,
+  };
+};
+
+export {
+  PLATFORM_CURRENCY,
+  registerRatesProvider,
+  getRates,
+  assertSupportedCurrency,
+  getRate,
+  convertAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  getOrderFxFields,
+};
@@ -0,0 +1,266 @@
+// src/services/hiringService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { quoteOrderFees, toOrderFeeFields } from "./feeService.js";
+import { convertAmount, getOrderFxFields } from "./fxService.js";
+import { buildMilestones } from "./milestoneService.js";
+import { getDeadlineFields } from "./requirementService.js";
+import { generateOrderNumber } from "../Utils/orderUtils.js";
+
+// Where the client can move an applicant from each stage of the pipeline. Hiring
+// goes through hireApplicant, and rejected applicants can be reconsidered.
+const PIPELINE_TRANSITIONS = {
+  NEW: ["SHORTLISTED", "INTERVIEWING", "REJECTED"],
+  VIEWED: ["SHORTLISTED", "INTERVIEWING", "REJECTED"],
+  SHORTLISTED: ["INTERVIEWING", "REJECTED"],
+  INTERVIEWING: ["SHORTLISTED", "REJECTED"],
+  REJECTED: ["SHORTLISTED"],
+  HIRED: [],
+};
+
+// Stages an applicant can be hired from
+const HIREABLE_STATUSES = ["NEW", "VIEWED", "SHORTLISTED", "INTERVIEWING"];
+
+// Job statuses a client can still hire from
+const HIRING_JOB_STATUSES = ["OPEN", "PAUSED"];
+
+// What the freelancer is told when their proposal reaches each stage
+const STATUS_MESSAGES = {
+  VIEWED: (title) => `The client viewed your proposal for "${title}"`,
+  SHORTLISTED: (title) => `You were shortlisted for "${title}"`,
+  INTERVIEWING: (title) => `The client would like to interview you for "${title}"`,
+  REJECTED: (title) => `Your proposal for "${title}" was not selected`,
+};
+
+const notifyApplicant = (application, job, content, priority = "NORMAL") => {
+  return prisma.notification.create({
+    data: {
+      userId: application.freelancerId,
+      type: "JOB",
+      content,
+      entityType: "JOB",
+      entityId: job.id,
+      priority,
+    },
+  });
+};
+
+// Turns down everyone still in the job's pipeline once it is filled
+const turnDownApplicants = async (tx, jobId, now) => {
+  const turnedDown = await tx.application.findMany({
+    where: { jobId, status: { in: HIREABLE_STATUSES }, withdrawnAt: null },
+    select: { id: true, freelancerId: true },
+  });
+  await tx.application.updateMany({
+    where: { id: { in: turnedDown.map(other => other.id) } },
+    data: { status: "REJECTED", statusUpdatedAt: now, rejectionReason: "The job was filled" },
+  });
+  return turnedDown;
+};
+
+const notifyTurnedDown = async (job, turnedDown) => {
+  if (turnedDown.length === 0) return;
+  await prisma.notification.createMany({
+    data: turnedDown.map(other => ({
+      userId: other.freelancerId,
+      type: "JOB",
+      content: `"${job.title}" was filled by another freelancer`,
+      entityType: "JOB",
+      entityId: job.id,
+    })),
+  });
+};
+
+/**
+ * Marks a new proposal as viewed the first time the client opens it, which also
+ * stops the freelancer from editing or withdrawing it
+ * @param {Object} application - Application
+ * @param {Object} job - Its job
+ * @returns {Promise<Object|null>} The fields that changed, or null if it was already viewed
+ */
+const markProposalViewed = async (application, job) => {
+  const now = new Date();
+  const data = { status: "VIEWED", statusUpdatedAt: now, viewedAt: application.viewedAt || now };
+  const { count } = await prisma.application.updateMany({
+    where: { id: application.id, status: "NEW", withdrawnAt: null },
+    data,
+  });
+  if (count === 0) {
+    return null;
+  }
+  await notifyApplicant(application, job, STATUS_MESSAGES.VIEWED(job.title));
+  return data;
+};
+
+/**
+ * Moves an applicant to another stage of the client's pipeline and lets them know
+ * @param {Object} application - Application that hasn't been withdrawn
+ * @param {Object} job - Its job
+ * @param {string} status - SHORTLISTED, INTERVIEWING or REJECTED
+ * @param {string} [note] - Shown to the freelancer; kept as the reason on rejections
+ * @returns {Promise<Object>} The updated application
+ */
+const moveApplicant = async (application, job, status, note = null) => {
+  if (!PIPELINE_TRANSITIONS[application.status].includes(status)) {
+    throw new ApiError(400, `A ${application.status.toLowerCase()} applicant can't be moved to ${status.toLowerCase()}`);
+  }
+
+  const now = new Date();
+  const { count } = await prisma.application.updateMany({
+    where: { id: application.id, status: application.status, withdrawnAt: null },
+    data: {
+      status,
+      statusUpdatedAt: now,
+      viewedAt: application.viewedAt || now,
+      rejectionReason: status === "REJECTED" ? note : null,
+    },
+  });
+  if (count === 0) {
+    throw new ApiError(409, "The proposal was changed in the meantime; please try again");
+  }
+
+  await notifyApplicant(application, job, `${STATUS_MESSAGES[status](job.title)}${note ? `: ${note}` : ""}`);
+  return prisma.application.findUnique({ where: { id: application.id } });
+};
+
+/**
+ * Hires an applicant: creates a PENDING order for the accepted bid (split into
+ * milestones when a plan is given), which the client then funds like any other order.
+ * The bid is in the job's currency and is converted at today's rate. Closing the job
+ * stops new proposals and turns down everyone else still in the pipeline.
+ * @param {Object} application - Application
+ * @param {Object} job - Its job
+ * @param {Object} hire
+ * @param {number} hire.clientId - Client's user ID
+ * @param {string} hire.clientCurrency - Currency the client pays in
+ * @param {Array} [hire.milestones] - [{ title, description, amount, dueDate }] in the platform currency
+ * @param {string} [hire.requirements] - Brief for the freelancer (defaults to the job's scope)
+ * @param {boolean} [hire.closeJob] - Whether to close the job to other applicants
+ * @returns {Promise<Object>} { order, rejected } where `rejected` is the number of applicants turned down
+ */
+const hireApplicant = async (application, job, { clientId, clientCurrency, milestones, requirements, closeJob = false }) => {
+  if (!HIRING_JOB_STATUSES.includes(job.status)) {
+    throw new ApiError(400, `You can't hire from a ${job.status.toLowerCase()} job`);
+  }
+  if (!HIREABLE_STATUSES.includes(application.status)) {
+    throw new ApiError(400, `A ${application.status.toLowerCase()} applicant can't be hired`);
+  }
+  if (application.bidAmount === null) {
+    throw new ApiError(400, "This application has no bid to hire on");
+  }
+
+  const profile = await prisma.freelancerProfile.findUnique({
+    where: { userId: application.freelancerId },
+    select: { id: true },
+  });
+  if (!profile) {
+    throw new ApiError(400, "The freelancer no longer has a profile to hire");
+  }
+
+  const fxFields = await getOrderFxFields(job.currency, clientCurrency);
+  const totalPrice = convertAmount(application.bidAmount, fxFields.listingFxRate);
+  const milestonePlan = milestones ? buildMilestones(totalPrice, milestones) : null;
+  const feeQuote = await quoteOrderFees({
+    amount: totalPrice,
+    category: job.category[0],
+    clientId,
+    freelancerId: profile.id,
+  });
+  const deadlineFields = await getDeadlineFields(
+    null,
+    application.estimatedDays,
+    milestonePlan ? milestonePlan[milestonePlan.length - 1].dueDate : null,
+  );
+
+  const now = new Date();
+  const { order, others } = await prisma.$transaction(async (tx) => {
+    // Lock the job so it can't be closed or filled while this hire goes through
+    await tx.$queryRaw`SELECT "id" FROM "Job" WHERE "id" = ${job.id} FOR UPDATE`;
+    const current = await tx.job.findUnique({ where: { id: job.id }, select: { status: true } });
+    if (!HIRING_JOB_STATUSES.includes(current.status)) {
+      throw new ApiError(409, "The job was changed in the meantime; please try again");
+    }
+
+    const { count } = await tx.application.updateMany({
+      where: { id: application.id, status: { in: HIREABLE_STATUSES }, withdrawnAt: null },
+      data: { status: "HIRED", statusUpdatedAt: now, hiredAt: now, viewedAt: application.viewedAt || now },
+    });
+    if (count === 0) {
+      throw new ApiError(409, "The proposal was changed in the meantime; please try again");
+    }
+
+    const created = await tx.order.create({
+      data: {
+        jobId: job.id,
+        applicationId: application.id,
+        clientId,
+        freelancerId: profile.id,
+        package: "Job proposal",
+        totalPrice,
+        listingPrice: application.bidAmount,
+        ...fxFields,
+        requirements: requirements || job.scope,
+        customDetails: {
+          jobId: job.id,
+          applicationId: application.id,
+          title: job.title,
+          bidAmount: application.bidAmount,
+          estimatedDays: application.estimatedDays,
+        },
+        orderNumber: generateOrderNumber(),
+        ...deadlineFields,
+        ...(milestonePlan && { milestones: { create: milestonePlan } }),
+        ...toOrderFeeFields(feeQuote),
+        statusHistory: { create: { status: "PENDING", changedBy: clientId, note: `Hired from proposal #${application.id} for "${job.title}"` } },
+      },
+      include: { freelancer: { include: { user: true } }, statusHistory: true, milestones: { orderBy: { sequence: "asc" } } },
+    });
+
+    let turnedDown = [];
+    if (closeJob) {
+      await tx.job.update({ where: { id: job.id }, data: { status: "FILLED", statusUpdatedAt: now, filledAt: now } });
+      turnedDown = await turnDownApplicants(tx, job.id, now);
+    }
+    return { order: created, others: turnedDown };
+  });
+
+  await notifyApplicant(
+    application,
+    job,
+    `You were hired for "${job.title}". Order ${order.orderNumber} starts once the client funds it.`,
+    "HIGH",
+  );
+  await notifyTurnedDown(job, others);
+
+  return { order, rejected: others.length };
+};
+
+/**
+ * Marks a job filled after someone was hired from it without closing it at the time,
+ * and turns down everyone else still in the pipeline
+ * @param {Object} job - Job
+ * @returns {Promise<number>} Number of applicants turned down
+ */
+const fillJob = async (job) => {
+  const hired = await prisma.application.count({ where: { jobId: job.id, status: "HIRED" } });
+  if (hired === 0) {
+    throw new ApiError(400, "Hire someone from this job before marking it filled");
+  }
+
+  const now = new Date();
+  const turnedDown = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.job.updateMany({
+      where: { id: job.id, status: job.status },
+      data: { status: "FILLED", statusUpdatedAt: now, filledAt: now, closeReason: null },
+    });
+    if (count === 0) {
+      throw new ApiError(409, "The job was changed in the meantime; please try again");
+    }
+    return turnDownApplicants(tx, job.id, now);
+  });
+
+  await notifyTurnedDown(job, turnedDown);
+  return turnedDown.length;
+};
+
+export { PIPELINE_TRANSITIONS, markProposalViewed, moveApplicant, hireApplicant, fillJob };
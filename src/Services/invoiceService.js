@@ -0,0 +1,245 @@
+// src/services/invoiceService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { convertAmount } from "./fxService.js";
+
+const NUMBER_PREFIXES = { INVOICE: "INV", REFUND_RECEIPT: "RCP" };
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const transactionInclude = {
+  platformFee: true,
+  milestone: true,
+  invoice: true,
+  order: {
+    include: {
+      client: true,
+      freelancer: { include: { user: true } },
+      extras: { orderBy: { id: "asc" } },
+    },
+  },
+};
+
+// Billing details as printed on the document, copied from the account when it is issued
+const toBillingParty = (user, profile = null) => ({
+  name: `${user.firstname} ${user.lastname}`,
+  company: user.company || null,
+  email: user.companyEmail || user.email,
+  address: profile ? [profile.city, profile.state, profile.pinCode].filter(Boolean).join(", ") || null : null,
+  country: user.country,
+});
+
+const line = (description, unitPrice, quantity = 1) => ({
+  description,
+  quantity,
+  unitPrice: roundCurrency(unitPrice),
+  amount: roundCurrency(unitPrice * quantity),
+});
+
+/**
+ * Breaks a payment down into what it paid for. The order's first card payment is
+ * itemised (package, urgency fee, extras, promo discount); milestone payments and
+ * later charges such as extra revisions are a single line.
+ * @param {Object} payment - PAYMENT transaction with its order (and extras), milestone and platformFee
+ * @param {boolean} isFirstPayment - Whether this is the first card payment for the order itself
+ * @returns {Array} Line items, excluding the service fee
+ */
+const buildPaymentLines = (payment, isFirstPayment) => {
+  const { order } = payment;
+  const serviceFee = payment.platformFee ? payment.platformFee.amount : 0;
+  const price = roundCurrency(payment.amount - serviceFee);
+
+  if (payment.milestone) {
+    return [line(`Milestone ${payment.milestone.sequence}: ${payment.milestone.title}`, price)];
+  }
+  if (payment.description || !isFirstPayment) {
+    return [line(payment.description || `Order ${order.orderNumber}`, price)];
+  }
+
+  // The package price is what is left once the fees and extras are taken out, so the
+  // lines still add up if the order price changed after this payment (e.g. extra revisions)
+  const extrasLines = order.extras.map(extra => line(extra.title, extra.price, extra.quantity));
+  const priorityFee = order.priorityFee || 0;
+  const packagePrice = roundCurrency(price + order.discountAmount - priorityFee - order.extrasPrice);
+  if (packagePrice <= 0) {
+    return [line(`Order ${order.orderNumber}`, price)];
+  }
+
+  return [
+    line(`${order.package} package`, packagePrice),
+    ...(priorityFee > 0 ? [line("Urgent delivery fee", priorityFee)] : []),
+    ...extrasLines,
+    ...(order.discountAmount > 0 ? [line("Promo discount", -order.discountAmount)] : []),
+  ];
+};
+
+/**
+ * Converts line items from the platform currency into the currency the money moved in,
+ * at the transaction's rate. Any rounding difference goes on the first single-unit line
+ * so the lines still add up to what was charged.
+ * @param {Array} lineItems - Line items in the platform currency
+ * @param {Object} transaction - Transaction with its currency, fxRate and currencyAmount
+ * @returns {Array} Line items in the transaction's currency
+ */
+const toTransactionCurrency = (lineItems, transaction) => {
+  const { currency, fxRate } = transaction;
+  const converted = lineItems.map(item => {
+    const unitPrice = convertAmount(item.unitPrice, fxRate, currency);
+    return { ...item, unitPrice, amount: convertAmount(unitPrice * item.quantity, 1, currency) };
+  });
+  const total = Math.abs(transaction.currencyAmount ?? convertAmount(transaction.amount, fxRate, currency));
+  const difference = convertAmount(total - converted.reduce((sum, item) => sum + item.amount, 0), 1, currency);
+  const adjustable = converted.find(item => item.quantity === 1);
+  if (difference !== 0 && adjustable) {
+    adjustable.unitPrice = convertAmount(adjustable.unitPrice + difference, 1, currency);
+    adjustable.amount = adjustable.unitPrice;
+  }
+  return converted;
+};
+
+/**
+ * Hands out the next number for a kind of invoice in a year. Has to run inside the
+ * transaction that creates the invoice: if that rolls back, so does the increment.
+ * @param {Object} tx - Interactive transaction client
+ * @param {string} kind - InvoiceKind
+ * @param {number} year - Year the invoice is issued in
+ * @returns {Promise<Object>} { sequence, number }
+ */
+const nextInvoiceNumber = async (tx, kind, year) => {
+  const { lastNumber } = await tx.invoiceSequence.upsert({
+    where: { kind_year: { kind, year } },
+    update: { lastNumber: { increment: 1 } },
+    create: { kind, year, lastNumber: 1 },
+  });
+  return {
+    sequence: lastNumber,
+    number: `${NUMBER_PREFIXES[kind]}-${year}-${String(lastNumber).padStart(6, "0")}`,
+  };
+};
+
+/**
+ * Issues the invoice for a completed card payment, or the receipt for a refund of
+ * one, in the currency the client paid in. Promo credit is paid by the platform, so
+ * it gets no document of its own.
+ * Safe to call repeatedly: a transaction only ever gets one invoice.
+ * @param {number} transactionId - PAYMENT or REFUND transaction ID
+ * @returns {Promise<Object>} Invoice
+ */
+const issueInvoice = async (transactionId) => {
+  const transaction = await prisma.transaction.findUnique({
+    where: { id: transactionId },
+    include: transactionInclude,
+  });
+  if (!transaction) {
+    throw new ApiError(404, "Transaction not found");
+  }
+  if (transaction.invoice) {
+    return transaction.invoice;
+  }
+  if (
+    !transaction.order
+    || transaction.status !== "COMPLETED"
+    || !["PAYMENT", "REFUND"].includes(transaction.type)
+    || transaction.paymentMethod === "promo"
+  ) {
+    throw new ApiError(400, "Invoices are only issued for completed order payments and refunds");
+  }
+
+  const { order } = transaction;
+  const kind = transaction.type === "PAYMENT" ? "INVOICE" : "REFUND_RECEIPT";
+  let lineItems;
+  let serviceFee = 0;
+  let originalInvoice = null;
+  if (kind === "INVOICE") {
+    const firstPayment = await prisma.transaction.findFirst({
+      where: {
+        orderId: order.id,
+        type: "PAYMENT",
+        status: "COMPLETED",
+        paymentMethod: { not: "promo" },
+        milestoneId: null,
+        description: null,
+      },
+      orderBy: { createdAt: "asc" },
+      select: { id: true },
+    });
+    serviceFee = transaction.platformFee ? transaction.platformFee.amount : 0;
+    lineItems = buildPaymentLines(transaction, firstPayment?.id === transaction.id);
+    if (serviceFee > 0) {
+      lineItems.push(line("Service fee", serviceFee));
+    }
+  } else {
+    // A refund is receipted against the invoice of the card payment it went back to
+    const payment = await prisma.transaction.findFirst({
+      where: { stripePaymentIntentId: transaction.stripePaymentIntentId, type: "PAYMENT", status: "COMPLETED" },
+      select: { id: true },
+    });
+    originalInvoice = payment ? await issueInvoice(payment.id) : null;
+    const amount = Math.abs(transaction.amount); // Refunds are stored as negative amounts
+    lineItems = [
+      line(originalInvoice ? `Refund of invoice ${originalInvoice.number}` : `Refund for order ${order.orderNumber}`, amount),
+    ];
+  }
+
+  lineItems = toTransactionCurrency(lineItems, transaction);
+  const total = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  serviceFee = convertAmount(serviceFee, transaction.fxRate, transaction.currency);
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const { sequence, number } = await nextInvoiceNumber(tx, kind, year);
+      return tx.invoice.create({
+        data: {
+          number,
+          kind,
+          year,
+          sequence,
+          transactionId: transaction.id,
+          orderId: order.id,
+          originalInvoiceId: originalInvoice?.id,
+          billFrom: toBillingParty(order.freelancer.user, order.freelancer),
+          billTo: toBillingParty(order.client),
+          lineItems,
+          subtotal: convertAmount(total - serviceFee, 1, transaction.currency),
+          serviceFee,
+          total: convertAmount(total, 1, transaction.currency),
+          currency: transaction.currency,
+          issuedAt,
+        },
+      });
+    });
+  } catch (error) {
+    // Issued at the same time elsewhere (e.g. by the webhook); the number was rolled back
+    if (error.code === "P2002") {
+      const existing = await prisma.invoice.findUnique({ where: { transactionId: transaction.id } });
+      if (existing) return existing;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issues the invoice for a transaction where one is due, without failing the payment
+ * or refund it belongs to. Missing invoices are issued when they are first downloaded.
+ * @param {Object} transaction - Transaction
+ * @returns {Promise<Object|null>} Invoice, or null when none is due or issuing failed
+ */
+const issueInvoiceIfDue = async (transaction) => {
+  if (
+    transaction.status !== "COMPLETED"
+    || !["PAYMENT", "REFUND"].includes(transaction.type)
+    || transaction.paymentMethod === "promo"
+    || !transaction.orderId
+  ) {
+    return null;
+  }
+  try {
+    return await issueInvoice(transaction.id);
+  } catch (error) {
+    console.error(`Error issuing invoice for transaction ${transaction.id}:`, error);
+    return null;
+  }
+};
+
+export { issueInvoice, issueInvoiceIfDue };
@@ -0,0 +1,108 @@
+// src/services/jobService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { fillJob } from "./hiringService.js";
+
+// Status a job has to be in for each action the client takes, and the status it moves
+// to. Applicants are kept through every change, so a reopened job picks up where it left off.
+// A filled job has turned down everyone it didn't hire, so it can't be opened again.
+const JOB_STATUS_ACTIONS = {
+  PUBLISH: { from: ["DRAFT"], to: "OPEN", done: "published" },
+  PAUSE: { from: ["OPEN"], to: "PAUSED", done: "paused" },
+  RESUME: { from: ["PAUSED"], to: "OPEN", done: "resumed" },
+  CLOSE: { from: ["OPEN", "PAUSED", "EXPIRED"], to: "CLOSED", done: "closed" },
+  FILL: { from: ["OPEN", "PAUSED", "EXPIRED", "CLOSED"], to: "FILLED", done: "marked filled" },
+  REOPEN: { from: ["EXPIRED", "CLOSED"], to: "OPEN", done: "reopened" },
+  REPOST: { from: ["EXPIRED", "CLOSED"], to: "OPEN", done: "reposted" },
+};
+
+// Actions that open the job to proposals again, which needs a deadline still ahead
+const OPENING_ACTIONS = ["PUBLISH", "RESUME", "REOPEN", "REPOST"];
+
+/**
+ * Moves a job through its lifecycle for the client who posted it
+ * @param {Object} job - Job
+ * @param {string} action - One of JOB_STATUS_ACTIONS
+ * @param {Object} [options]
+ * @param {Date} [options.deadline] - New deadline when opening the job again
+ * @param {string} [options.reason] - Kept when closing the job
+ * @returns {Promise<Object>} The updated job
+ */
+const changeJobStatus = async (job, action, { deadline, reason } = {}) => {
+  const { from, to, done } = JOB_STATUS_ACTIONS[action];
+  if (!from.includes(job.status)) {
+    throw new ApiError(400, `A ${job.status.toLowerCase()} job can't be ${done}`);
+  }
+
+  if (action === "FILL") {
+    await fillJob(job);
+    return prisma.job.findUnique({ where: { id: job.id } });
+  }
+
+  const now = new Date();
+  const data = { status: to, statusUpdatedAt: now };
+  if (OPENING_ACTIONS.includes(action)) {
+    const nextDeadline = deadline ? new Date(deadline) : job.deadline;
+    if (nextDeadline <= now) {
+      throw new ApiError(400, "The job's deadline has passed; give it a new one to open it again");
+    }
+    data.deadline = nextDeadline;
+    data.closeReason = null;
+  }
+  if (action === "CLOSE") {
+    data.closeReason = reason || null;
+  }
+  // Reposting puts the job back at the top of the listings
+  if (action === "REPOST") {
+    data.postedTime = now;
+    data.repostedAt = now;
+  }
+
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: job.status },
+    data,
+  });
+  if (count === 0) {
+    throw new ApiError(409, "The job was changed in the meantime; please try again");
+  }
+  return prisma.job.findUnique({ where: { id: job.id } });
+};
+
+/**
+ * Scheduler task: expires open and paused jobs whose deadline has passed and tells the
+ * client they can reopen or repost them
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} Number of jobs expired
+ */
+const expireJobs = async (now) => {
+  const jobs = await prisma.job.findMany({
+    where: { status: { in: ["OPEN", "PAUSED"] }, deadline: { lte: now } },
+    select: { id: true, title: true, status: true, postedById: true },
+  });
+
+  let expired = 0;
+  for (const job of jobs) {
+    try {
+      const { count } = await prisma.job.updateMany({
+        where: { id: job.id, status: job.status },
+        data: { status: "EXPIRED", statusUpdatedAt: now },
+      });
+      if (count === 0) continue;
+      await prisma.notification.create({
+        data: {
+          userId: job.postedById,
+          type: "JOB",
+          content: `"${job.title}" reached its deadline and is no longer taking proposals. Reopen or repost it to keep hiring.`,
+          entityType: "JOB",
+          entityId: job.id,
+        },
+      });
+      expired += 1;
+    } catch (error) {
+      console.error(`Scheduler failed to expire job ${job.id}:`, error);
+    }
+  }
+  return { expired };
+};
+
+export { JOB_STATUS_ACTIONS, changeJobStatus, expireJobs };
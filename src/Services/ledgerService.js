@@ -0,0 +1,350 @@
+// src/services/ledgerService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+
+// Entry kinds that count as money a user has earned (rather than deposited or withdrawn)
+const EARNING_KINDS = ["ESCROW_RELEASE", "REFERRAL_REWARD", "TIP"];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Returns a platform system account, creating it on first use
+ * @param {string} type - "ESCROW", "PLATFORM_REVENUE", "PROMO_EXPENSE" or "EXTERNAL"
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} LedgerAccount
+ */
+const getSystemAccount = (type, client = prisma) => {
+  return client.ledgerAccount.upsert({
+    where: { code: type },
+    update: {},
+    create: { code: type, type },
+  });
+};
+
+/**
+ * Returns a user's wallet account, creating it on first use
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} LedgerAccount
+ */
+const getWalletAccount = (userId, client = prisma) => {
+  return client.ledgerAccount.upsert({
+    where: { code: `WALLET:${userId}` },
+    update: {},
+    create: { code: `WALLET:${userId}`, type: "USER_WALLET", userId },
+  });
+};
+
+/**
+ * Posts a balanced journal entry. Entries are never updated or deleted; posting the
+ * same idempotencyKey twice returns the entry that was posted first.
+ * @param {Object} entry
+ * @param {string} entry.kind - JournalEntryKind
+ * @param {string} entry.idempotencyKey - Unique key for the business event (e.g. "payment:12")
+ * @param {Array<{accountId: number, amount: number}>} entry.lines - Signed amounts; must sum to zero
+ * @param {string} [entry.description]
+ * @param {number} [entry.orderId]
+ * @param {number} [entry.transactionId]
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} JournalEntry with its lines
+ */
+const postEntry = async ({ kind, idempotencyKey, lines, description, orderId, transactionId }, client = prisma) => {
+  const postedLines = lines
+    .map(line => ({ accountId: line.accountId, amount: roundCurrency(line.amount) }))
+    .filter(line => line.amount !== 0);
+  if (postedLines.length < 2) {
+    throw new ApiError(400, "A journal entry needs at least two non-zero lines");
+  }
+  if (roundCurrency(postedLines.reduce((sum, line) => sum + line.amount, 0)) !== 0) {
+    throw new ApiError(400, `Journal entry ${idempotencyKey} is not balanced`);
+  }
+
+  const existing = await client.journalEntry.findUnique({
+    where: { idempotencyKey },
+    include: { lines: true },
+  });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await client.journalEntry.create({
+      data: {
+        kind,
+        idempotencyKey,
+        description,
+        orderId,
+        transactionId,
+        lines: { create: postedLines },
+      },
+      include: { lines: true },
+    });
+  } catch (error) {
+    // Posted at the same time elsewhere (e.g. by the API and the webhook). Inside a
+    // transaction the failed insert aborts it, so the caller's transaction fails instead.
+    if (error.code === "P2002" && client === prisma) {
+      const posted = await prisma.journalEntry.findUnique({
+        where: { idempotencyKey },
+        include: { lines: true },
+      });
+      if (posted) return posted;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Sums the lines posted to an account
+ * @param {number} accountId - LedgerAccount ID
+ * @param {Object} [where] - Extra LedgerLine filter (e.g. on the entry's createdAt)
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<number>} Balance
+ */
+const getAccountBalance = async (accountId, where = {}, client = prisma) => {
+  const result = await client.ledgerLine.aggregate({
+    where: { ...where, accountId },
+    _sum: { amount: true },
+  });
+  return roundCurrency(result._sum.amount || 0);
+};
+
+/**
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Current wallet balance
+ */
+const getWalletBalance = async (userId) => {
+  const wallet = await getWalletAccount(userId);
+  return getAccountBalance(wallet.id);
+};
+
+/**
+ * Recomputes FreelancerProfile.totalEarnings from the earnings credited to the user's wallet
+ * @param {number} userId - User ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<number>} Total earnings
+ */
+const syncTotalEarnings = async (userId, client = prisma) => {
+  const wallet = await getWalletAccount(userId, client);
+  const totalEarnings = await getAccountBalance(wallet.id, { amount: { gt: 0 }, entry: { kind: { in: EARNING_KINDS } } }, client);
+  await client.freelancerProfile.updateMany({
+    where: { userId },
+    data: { totalEarnings },
+  });
+  return totalEarnings;
+};
+
+/**
+ * Moves a transaction's PlatformFee out of escrow into platform revenue
+ * @param {Object} transaction - PAYMENT or PAYOUT transaction with its platformFee
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object|null>} JournalEntry, or null when the transaction carries no fee
+ */
+const postPlatformFee = async (transaction, client = prisma) => {
+  const fee = transaction.platformFee;
+  if (!fee || fee.amount <= 0) {
+    return null;
+  }
+
+  const [escrow, revenue] = await Promise.all([
+    getSystemAccount("ESCROW", client),
+    getSystemAccount("PLATFORM_REVENUE", client),
+  ]);
+  return postEntry({
+    kind: "PLATFORM_FEE",
+    idempotencyKey: `fee:${transaction.id}`,
+    description: fee.side === "CLIENT"
+      ? `Client service fee (${fee.percentage}%)`
+      : `Platform commission (${fee.percentage}%)`,
+    orderId: transaction.orderId,
+    transactionId: transaction.id,
+    lines: [
+      { accountId: escrow.id, amount: -fee.amount },
+      { accountId: revenue.id, amount: fee.amount },
+    ],
+  }, client);
+};
+
+/**
+ * Posts a completed PAYMENT transaction: card payments move money from outside the
+ * platform into escrow, promo credits move it from the promo budget into escrow.
+ * A client service fee charged with the payment goes on to platform revenue.
+ * @param {Object} transaction - PAYMENT transaction with its platformFee
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} JournalEntry
+ */
+const postPayment = async (transaction, client = prisma) => {
+  const isPromo = transaction.paymentMethod === "promo";
+  const [source, escrow] = await Promise.all([
+    getSystemAccount(isPromo ? "PROMO_EXPENSE" : "EXTERNAL", client),
+    getSystemAccount("ESCROW", client),
+  ]);
+  const entry = await postEntry({
+    kind: isPromo ? "PROMO_DISCOUNT" : "PAYMENT",
+    idempotencyKey: `payment:${transaction.id}`,
+    description: isPromo ? "Promo discount funded by the platform" : "Client payment held in escrow",
+    orderId: transaction.orderId,
+    transactionId: transaction.id,
+    lines: [
+      { accountId: source.id, amount: -transaction.amount },
+      { accountId: escrow.id, amount: transaction.amount },
+    ],
+  }, client);
+  await postPlatformFee(transaction, client);
+  return entry;
+};
+
+/**
+ * Posts a completed REFUND transaction (stored with a negative amount) out of escrow
+ * @param {Object} transaction - REFUND transaction
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} JournalEntry
+ */
+const postRefund = async (transaction, client = prisma) => {
+  const isPromo = transaction.paymentMethod === "promo";
+  const amount = Math.abs(transaction.amount);
+  const [escrow, destination] = await Promise.all([
+    getSystemAccount("ESCROW", client),
+    getSystemAccount(isPromo ? "PROMO_EXPENSE" : "EXTERNAL", client),
+  ]);
+  return postEntry({
+    kind: isPromo ? "PROMO_DISCOUNT" : "REFUND",
+    idempotencyKey: `refund:${transaction.id}`,
+    description: isPromo ? "Promo discount returned to the platform" : "Refund to client",
+    orderId: transaction.orderId,
+    transactionId: transaction.id,
+    lines: [
+      { accountId: escrow.id, amount: -amount },
+      { accountId: destination.id, amount },
+    ],
+  }, client);
+};
+
+/**
+ * Posts an escrow release: the net amount to the freelancer's wallet and the
+ * commission to platform revenue, as two entries against the PAYOUT transaction
+ * @param {Object} transaction - PAYOUT transaction with its platformFee
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Array>} JournalEntries
+ */
+const postEscrowRelease = async (transaction, client = prisma) => {
+  const [escrow, wallet] = await Promise.all([
+    getSystemAccount("ESCROW", client),
+    getWalletAccount(transaction.userId, client),
+  ]);
+
+  const entries = [
+    await postEntry({
+      kind: "ESCROW_RELEASE",
+      idempotencyKey: `release:${transaction.id}`,
+      description: "Escrow released to freelancer",
+      orderId: transaction.orderId,
+      transactionId: transaction.id,
+      lines: [
+        { accountId: escrow.id, amount: -transaction.amount },
+        { accountId: wallet.id, amount: transaction.amount },
+      ],
+    }, client),
+  ];
+
+  const feeEntry = await postPlatformFee(transaction, client);
+  if (feeEntry) {
+    entries.push(feeEntry);
+  }
+
+  await syncTotalEarnings(transaction.userId, client);
+  return entries;
+};
+
+/**
+ * Posts an approved withdrawal: money leaves the freelancer's wallet for their payout method
+ * @param {Object} transaction - PAYOUT transaction created for a payout request
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} JournalEntry
+ */
+const postPayout = async (transaction, client = prisma) => {
+  const [wallet, external] = await Promise.all([
+    getWalletAccount(transaction.userId, client),
+    getSystemAccount("EXTERNAL", client),
+  ]);
+  return postEntry({
+    kind: "PAYOUT",
+    idempotencyKey: `payout:${transaction.id}`,
+    description: `Withdrawal via ${transaction.paymentMethod}`,
+    transactionId: transaction.id,
+    lines: [
+      { accountId: wallet.id, amount: -transaction.amount },
+      { accountId: external.id, amount: transaction.amount },
+    ],
+  }, client);
+};
+
+/**
+ * Credits a referral reward to the referrer's wallet out of the promo budget
+ * @param {Object} referral - Redeemed referral
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} JournalEntry
+ */
+const postReferralReward = async (referral, client = prisma) => {
+  const [promo, wallet] = await Promise.all([
+    getSystemAccount("PROMO_EXPENSE", client),
+    getWalletAccount(referral.referrerId, client),
+  ]);
+  const entry = await postEntry({
+    kind: "REFERRAL_REWARD",
+    idempotencyKey: `referral:${referral.id}`,
+    description: `Referral reward for code ${referral.referralCode}`,
+    lines: [
+      { accountId: promo.id, amount: -referral.rewardAmount },
+      { accountId: wallet.id, amount: referral.rewardAmount },
+    ],
+  }, client);
+  await syncTotalEarnings(referral.referrerId, client);
+  return entry;
+};
+
+/**
+ * Posts a completed tip: the money comes in from outside the platform and goes
+ * straight to the freelancer's wallet, less any commission kept on tips
+ * @param {Object} transaction - TIP transaction with its platformFee
+ * @param {number} freelancerUserId - User ID of the freelancer being tipped
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} JournalEntry
+ */
+const postTip = async (transaction, freelancerUserId, client = prisma) => {
+  const commission = transaction.platformFee ? transaction.platformFee.amount : 0;
+  const [external, wallet, revenue] = await Promise.all([
+    getSystemAccount("EXTERNAL", client),
+    getWalletAccount(freelancerUserId, client),
+    getSystemAccount("PLATFORM_REVENUE", client),
+  ]);
+  const entry = await postEntry({
+    kind: "TIP",
+    idempotencyKey: `tip:${transaction.id}`,
+    description: commission > 0 ? `Tip from client (${transaction.platformFee.percentage}% commission)` : "Tip from client",
+    orderId: transaction.orderId,
+    transactionId: transaction.id,
+    lines: [
+      { accountId: external.id, amount: -transaction.amount },
+      { accountId: wallet.id, amount: transaction.amount - commission },
+      { accountId: revenue.id, amount: commission },
+    ],
+  }, client);
+  await syncTotalEarnings(freelancerUserId, client);
+  return entry;
+};
+
+export {
+  EARNING_KINDS,
+  getSystemAccount,
+  getWalletAccount,
+  postEntry,
+  getAccountBalance,
+  getWalletBalance,
+  syncTotalEarnings,
+  postPayment,
+  postRefund,
+  postEscrowRelease,
+  postPayout,
+  postReferralReward,
+  postTip,
+};
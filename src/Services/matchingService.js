@@ -0,0 +1,246 @@
+// src/services/matchingService.js
+import prisma from "../prismaClient.js";
+import { PLATFORM_CURRENCY, getRate } from "./fxService.js";
+
+// Points each signal can add to a match score out of 100
+const MATCH_WEIGHTS = {
+  skills: 40,
+  budget: 20,
+  experience: 15,
+  availability: 10,
+  rating: 10,
+  location: 5,
+};
+
+// How many of the newest candidates are scored for a feed before ranking
+const MATCH_CANDIDATE_LIMIT = parseInt(process.env.MATCH_CANDIDATE_LIMIT || "200");
+
+const DIFFICULTY_RANK = { EASY: 0, INTERMEDIATE: 1, HARD: 2 };
+const EXPERIENCE_RANK = { ENTRY: 0, INTERMEDIATE: 1, EXPERT: 2 };
+
+// What a freelancer profile is scored with
+const MATCH_PROFILE_INCLUDE = {
+  user: { select: { id: true, firstname: true, lastname: true, country: true, profilePicture: true } },
+  software: { select: { name: true } },
+  freelancerSkills: { include: { skill: { select: { name: true } } } },
+};
+
+const normalize = (term) => term.trim().toLowerCase();
+
+const round = (points) => Math.round(points * 10) / 10;
+
+const reason = (signal, points, detail) => ({
+  signal,
+  points: round(points),
+  maxPoints: MATCH_WEIGHTS[signal],
+  detail,
+});
+
+// Every skill, tool and piece of software on the profile, as comparable terms
+const profileTerms = (profile) => new Set([
+  ...profile.skills,
+  ...profile.tools,
+  ...(profile.software || []).map(software => software.name),
+  ...(profile.freelancerSkills || []).map(({ skill }) => skill.name),
+].map(normalize));
+
+const scoreSkills = (job, profile) => {
+  const wanted = [...new Map([...job.requiredSkills, ...job.tools].map(term => [normalize(term), term])).entries()];
+  if (wanted.length === 0) {
+    return reason("skills", MATCH_WEIGHTS.skills / 2, "The job lists no skills or tools");
+  }
+  const has = profileTerms(profile);
+  const matched = wanted.filter(([term]) => has.has(term));
+  // Required skills count double against tools
+  const required = new Set(job.requiredSkills.map(normalize));
+  const weigh = (entries) => entries.reduce((sum, [term]) => sum + (required.has(term) ? 2 : 1), 0);
+  return reason(
+    "skills",
+    MATCH_WEIGHTS.skills * weigh(matched) / weigh(wanted),
+    matched.length > 0
+      ? `Has ${matched.length} of the ${wanted.length} skills and tools asked for: ${matched.map(([, label]) => label).join(", ")}`
+      : "Has none of the skills or tools asked for",
+  );
+};
+
+// The job's budget is compared in the platform currency, which profile rates are kept in
+const scoreBudget = (job, profile, budgetRate) => {
+  const { minimumRate, maximumRate } = profile;
+  if (minimumRate == null || maximumRate == null) {
+    return reason("budget", MATCH_WEIGHTS.budget / 2, "No rate range on the profile");
+  }
+  const budgetMin = job.budgetMin * budgetRate;
+  const budgetMax = job.budgetMax * budgetRate;
+  const range = `${PLATFORM_CURRENCY} ${Math.round(budgetMin)}–${Math.round(budgetMax)}`;
+  if (budgetMax >= minimumRate && budgetMin <= maximumRate) {
+    return reason("budget", MATCH_WEIGHTS.budget, `Budget of ${range} is within the ${PLATFORM_CURRENCY} ${minimumRate}–${maximumRate} rate range`);
+  }
+  if (budgetMin > maximumRate) {
+    return reason("budget", MATCH_WEIGHTS.budget, `Budget of ${range} is above the ${PLATFORM_CURRENCY} ${maximumRate} maximum rate`);
+  }
+  // Below the minimum rate: partial points down to nothing at half of it
+  const shortfall = budgetMax / minimumRate;
+  return reason(
+    "budget",
+    MATCH_WEIGHTS.budget * Math.max(0, (shortfall - 0.5) * 2),
+    `Budget of ${range} is below the ${PLATFORM_CURRENCY} ${minimumRate} minimum rate`,
+  );
+};
+
+const scoreExperience = (job, profile) => {
+  const gap = EXPERIENCE_RANK[profile.experienceLevel] - DIFFICULTY_RANK[job.jobDifficulty];
+  const level = `${profile.experienceLevel.charAt(0)}${profile.experienceLevel.slice(1).toLowerCase()}`;
+  const difficulty = job.jobDifficulty.toLowerCase();
+  if (gap >= 0) {
+    return reason("experience", MATCH_WEIGHTS.experience, `${level}-level experience suits a job rated ${difficulty}`);
+  }
+  return reason(
+    "experience",
+    gap === -1 ? MATCH_WEIGHTS.experience / 2 : 0,
+    `${level}-level experience may be a stretch for a job rated ${difficulty}`,
+  );
+};
+
+const scoreAvailability = (job, profile) => {
+  if (profile.availabilityStatus === "FULL_TIME") {
+    return reason("availability", MATCH_WEIGHTS.availability, "Available full time");
+  }
+  if (profile.availabilityStatus === "PART_TIME") {
+    // Part-time availability is enough for short projects
+    return job.projectLength === "SHORT_TERM"
+      ? reason("availability", MATCH_WEIGHTS.availability, "Available part time, enough for a short project")
+      : reason("availability", MATCH_WEIGHTS.availability * 0.6, `Available part time${profile.weeklyHours ? ` (${profile.weeklyHours} h a week)` : ""} for a longer project`);
+  }
+  return reason("availability", 0, "Not available for new work");
+};
+
+const scoreRating = (profile) => {
+  if (!profile.rating) {
+    return reason("rating", MATCH_WEIGHTS.rating / 2, "No rating yet");
+  }
+  return reason("rating", MATCH_WEIGHTS.rating * profile.rating / 5, `Rated ${profile.rating.toFixed(1)} out of 5`);
+};
+
+const scoreLocation = (job, profile) => {
+  const location = normalize(job.location || "Remote");
+  if (location === "remote") {
+    return reason("location", MATCH_WEIGHTS.location, "The job is remote");
+  }
+  const places = [profile.city, profile.state, profile.user?.country].filter(Boolean).map(normalize);
+  if (places.some(place => location.includes(place))) {
+    return reason("location", MATCH_WEIGHTS.location, `Based in ${job.location}`);
+  }
+  return reason("location", 0, `Not based in ${job.location}`);
+};
+
+/**
+ * Scores how well a freelancer fits a job out of 100, with the points and the reason
+ * behind each signal
+ * @param {Object} job - Job
+ * @param {Object} profile - FreelancerProfile with MATCH_PROFILE_INCLUDE
+ * @param {number} budgetRate - Rate from the job's currency into the platform currency
+ * @returns {Object} { score, reasons }
+ */
+const scoreMatch = (job, profile, budgetRate) => {
+  const reasons = [
+    scoreSkills(job, profile),
+    scoreBudget(job, profile, budgetRate),
+    scoreExperience(job, profile),
+    scoreAvailability(job, profile),
+    scoreRating(profile),
+    scoreLocation(job, profile),
+  ];
+  return {
+    score: Math.round(reasons.reduce((sum, { points }) => sum + points, 0)),
+    reasons,
+  };
+};
+
+// Ranks scored candidates and cuts out the requested page
+const rankMatches = (matches, { page, limit, minScore }) => {
+  const ranked = matches
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+  const skip = (page - 1) * limit;
+  return {
+    matches: ranked.slice(skip, skip + limit),
+    total: ranked.length,
+  };
+};
+
+/**
+ * Open jobs ranked by how well they fit a freelancer. Jobs the freelancer posted or
+ * already applied to are left out.
+ * @param {Object} profile - FreelancerProfile with MATCH_PROFILE_INCLUDE
+ * @param {Object} options - { page, limit, minScore }
+ * @returns {Promise<Object>} { matches: [{ job, score, reasons }], total }
+ */
+const recommendJobs = async (profile, options) => {
+  const jobs = await prisma.job.findMany({
+    where: {
+      isVerified: true,
+      status: "OPEN",
+      deadline: { gt: new Date() },
+      postedById: { not: profile.userId },
+      applications: { none: { freelancerId: profile.userId, withdrawnAt: null } },
+    },
+    include: { postedBy: { select: { firstname: true, lastname: true } } },
+    orderBy: { postedTime: "desc" },
+    take: MATCH_CANDIDATE_LIMIT,
+  });
+
+  const rates = new Map();
+  for (const currency of new Set(jobs.map(job => job.currency))) {
+    rates.set(currency, (await getRate(currency, PLATFORM_CURRENCY)).rate);
+  }
+
+  return rankMatches(
+    jobs.map(job => ({ job, ...scoreMatch(job, profile, rates.get(job.currency)) })),
+    options,
+  );
+};
+
+/**
+ * Available freelancers ranked by how well they fit a job. Candidates need at least one
+ * of the job's skills or tools; anyone who already applied or was invited is left out.
+ * @param {Object} job - Job
+ * @param {Object} options - { page, limit, minScore }
+ * @returns {Promise<Object>} { matches: [{ freelancer, score, reasons }], total }
+ */
+const suggestFreelancers = async (job, options) => {
+  const terms = [...job.requiredSkills, ...job.tools];
+  // Array filters match exactly, so the terms are tried as written and in lower case
+  const variants = [...new Set([...terms, ...terms.map(normalize)])];
+
+  const profiles = await prisma.freelancerProfile.findMany({
+    where: {
+      userId: { not: job.postedById },
+      availabilityStatus: { not: "UNAVAILABLE" },
+      user: {
+        isActive: true,
+        applications: { none: { jobId: job.id, withdrawnAt: null } },
+        jobInvitations: { none: { jobId: job.id } },
+      },
+      OR: [
+        { skills: { hasSome: variants } },
+        { tools: { hasSome: variants } },
+        { software: { some: { name: { in: terms, mode: "insensitive" } } } },
+        { freelancerSkills: { some: { skill: { name: { in: terms, mode: "insensitive" } } } } },
+      ],
+    },
+    include: MATCH_PROFILE_INCLUDE,
+    orderBy: { rating: "desc" },
+    take: MATCH_CANDIDATE_LIMIT,
+  });
+
+  const { rate } = await getRate(job.currency, PLATFORM_CURRENCY);
+  return rankMatches(
+    profiles.map(({ software, freelancerSkills, ...freelancer }) => ({
+      freelancer,
+      ...scoreMatch(job, { ...freelancer, software, freelancerSkills }, rate),
+    })),
+    options,
+  );
+};
+
+export { MATCH_WEIGHTS, MATCH_PROFILE_INCLUDE, scoreMatch, recommendJobs, suggestFreelancers };
@@ -0,0 +1,153 @@
+// src/services/milestoneService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { getEscrowSummary, releaseEscrow } from "./escrowService.js";
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Checks a milestone plan against the order price and numbers its milestones.
+ * The amounts must add up to the price and the due dates must be in order.
+ * @param {number} totalPrice - Order total price
+ * @param {Array} milestones - [{ title, description, amount, dueDate }]
+ * @returns {Array} OrderMilestone create data
+ */
+const buildMilestones = (totalPrice, milestones) => {
+  const total = roundCurrency(milestones.reduce((sum, milestone) => sum + milestone.amount, 0));
+  if (Math.abs(total - totalPrice) >= 0.01) {
+    throw new ApiError(400, `Milestone amounts add up to $${total.toFixed(2)} but the order price is $${totalPrice.toFixed(2)}`);
+  }
+
+  const now = new Date();
+  return milestones.map((milestone, index) => {
+    const dueDate = new Date(milestone.dueDate);
+    if (dueDate <= now) {
+      throw new ApiError(400, "Milestone due dates must be in the future");
+    }
+    if (index > 0 && dueDate < new Date(milestones[index - 1].dueDate)) {
+      throw new ApiError(400, "Milestones must be listed in the order they are due");
+    }
+    return {
+      sequence: index + 1,
+      title: milestone.title,
+      description: milestone.description,
+      amount: roundCurrency(milestone.amount),
+      dueDate,
+    };
+  });
+};
+
+/**
+ * Order progress on a milestone order: the share of the price whose milestones are approved
+ * @param {number} totalPrice - Order total price
+ * @param {Array} milestones - The order's milestones
+ * @returns {number} Percentage (0-100)
+ */
+const getMilestoneProgress = (totalPrice, milestones) => {
+  const approved = milestones
+    .filter(milestone => milestone.status === "APPROVED")
+    .reduce((sum, milestone) => sum + milestone.amount, 0);
+  return totalPrice > 0 ? Math.min(Math.round((approved / totalPrice) * 100), 100) : 0;
+};
+
+/**
+ * Approves a delivered milestone: recalculates the order's progress, completes the
+ * order once every milestone is approved and releases what is held for the milestone
+ * to the freelancer. Only applies while the milestone is still DELIVERED and the order
+ * IN_PROGRESS, and only the approval that claims it releases the funds. The approval is
+ * undone if the release fails.
+ * @param {Object} milestone - OrderMilestone with its order and the order's freelancer
+ * @param {Object} [options]
+ * @param {number} [options.changedBy] - Approving client; omitted when the scheduler approves it
+ * @returns {Promise<boolean>} Whether the milestone was approved
+ */
+const approveMilestone = async (milestone, { changedBy = null } = {}) => {
+  const { order } = milestone;
+
+  const now = new Date();
+  const completed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.orderMilestone.updateMany({
+      where: { id: milestone.id, status: "DELIVERED", order: { status: "IN_PROGRESS" } },
+      data: { status: "APPROVED", approvedAt: now },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const milestones = await tx.orderMilestone.findMany({ where: { orderId: order.id } });
+    const allApproved = milestones.every(m => m.status === "APPROVED");
+    const orderData = { progress: getMilestoneProgress(order.totalPrice, milestones) };
+    if (allApproved) {
+      orderData.status = "COMPLETED";
+      orderData.completedAt = now;
+    }
+
+    // A dispute or cancellation landing in the meantime takes precedence over the approval
+    const { count: orderCount } = await tx.order.updateMany({
+      where: { id: order.id, status: "IN_PROGRESS" },
+      data: orderData,
+    });
+    if (orderCount === 0) {
+      throw new ApiError(409, "The order was changed in the meantime; please try again");
+    }
+    await tx.orderStatusHistory.create({
+      data: {
+        orderId: order.id,
+        status: orderData.status || order.status,
+        note: `Milestone ${milestone.sequence} "${milestone.title}" approved${changedBy ? "" : " automatically after the review window"}`,
+        ...(changedBy ? { changedBy } : { actorType: "SYSTEM" }),
+      },
+    });
+    return allApproved;
+  });
+  if (completed === null) {
+    return false;
+  }
+
+  try {
+    await releaseEscrow(order.id, { milestone });
+  } catch (error) {
+    await prisma.$transaction([
+      prisma.orderMilestone.update({
+        where: { id: milestone.id },
+        data: { status: "DELIVERED", approvedAt: null },
+      }),
+      prisma.order.update({
+        where: { id: order.id },
+        data: { status: order.status, completedAt: order.completedAt, progress: order.progress },
+      }),
+      prisma.orderStatusHistory.create({
+        data: {
+          orderId: order.id,
+          status: order.status,
+          note: `Release failed, so milestone ${milestone.sequence} "${milestone.title}" was not approved`,
+          ...(changedBy ? { changedBy } : { actorType: "SYSTEM" }),
+        },
+      }),
+    ]);
+    throw error;
+  }
+  // The order's escrow only counts as released once the last milestone's funds have gone out
+  if (completed) {
+    const { refunded } = await getEscrowSummary(order.id);
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { escrowStatus: refunded > 0 ? "SPLIT" : "RELEASED" },
+    });
+  }
+
+  const content = `Milestone "${milestone.title}" of order ${order.orderNumber} was approved${completed ? " and the order is complete" : ""}`;
+  const recipients = changedBy ? [order.freelancer.userId] : [order.clientId, order.freelancer.userId];
+  await prisma.notification.createMany({
+    data: recipients.map(userId => ({
+      userId,
+      type: "ORDER_UPDATE",
+      content,
+      entityType: "ORDER",
+      entityId: order.id,
+    })),
+  });
+  return true;
+};
+
+export { buildMilestones, getMilestoneProgress, approveMilestone };
@@ -0,0 +1,41 @@
+// src/services/offerService.js
+import prisma from "../prismaClient.js";
+
+/**
+ * Scheduler task: expires custom offers the client didn't answer in time and
+ * tells the freelancer who sent them
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} Number of offers expired
+ */
+const expireCustomOffers = async (now) => {
+  const offers = await prisma.customOffer.findMany({
+    where: { status: "PENDING", expiresAt: { lte: now } },
+    include: { gig: { select: { title: true } }, message: { select: { senderId: true } } },
+  });
+
+  let expired = 0;
+  for (const offer of offers) {
+    try {
+      const { count } = await prisma.customOffer.updateMany({
+        where: { id: offer.id, status: "PENDING" },
+        data: { status: "EXPIRED" },
+      });
+      if (count === 0) continue;
+      await prisma.notification.create({
+        data: {
+          userId: offer.message.senderId,
+          type: "MESSAGE",
+          content: `Your custom offer for "${offer.gig.title}" expired without a response`,
+          entityType: "MESSAGE",
+          entityId: offer.messageId,
+        },
+      });
+      expired += 1;
+    } catch (error) {
+      console.error(`Scheduler failed to expire custom offer ${offer.id}:`, error);
+    }
+  }
+  return { expired };
+};
+
+export { expireCustomOffers };
@@ -0,0 +1,301 @@
+// src/services/orderLifecycleService.js
+import prisma from "../prismaClient.js";
+import { settleOrderEscrow } from "./escrowService.js";
+import { approveMilestone } from "./milestoneService.js";
+
+const ORDER_ACCEPTANCE_HOURS = parseInt(process.env.ORDER_ACCEPTANCE_HOURS || "72");
+const ORDER_REQUIREMENTS_DAYS = parseInt(process.env.ORDER_REQUIREMENTS_DAYS || "7");
+const ORDER_REVIEW_DAYS = parseInt(process.env.ORDER_REVIEW_DAYS || "3");
+const ORDER_REMINDER_HOURS = parseInt(process.env.ORDER_REMINDER_HOURS || "24");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const orderInclude = { freelancer: { select: { userId: true } } };
+
+// A failed refund or release puts the order back, so the next run picks it up again
+const SYSTEM_ACTOR = { actorType: "SYSTEM" };
+
+const notifyParties = (order, content, priority = "NORMAL") => {
+  return prisma.notification.createMany({
+    data: [order.clientId, order.freelancer.userId].map(userId => ({
+      userId,
+      type: "ORDER_UPDATE",
+      content,
+      entityType: "ORDER",
+      entityId: order.id,
+      priority,
+    })),
+  });
+};
+
+/**
+ * Applies a scheduler-driven change to an order and records it in its history
+ * with a SYSTEM actor. The update only applies while the order is still in
+ * `fromStatus`, so a user acting at the same time wins.
+ * @param {Object} order - Order
+ * @param {string} fromStatus - Status the order must still be in
+ * @param {Object} data - Order update
+ * @param {string} note - History note
+ * @returns {Promise<boolean>} Whether the order was updated
+ */
+const applySystemChange = async (order, fromStatus, data, note) => {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: fromStatus },
+      data,
+    });
+    if (count === 0) {
+      return false;
+    }
+    await tx.orderStatusHistory.create({
+      data: { orderId: order.id, status: data.status || fromStatus, note, actorType: "SYSTEM" },
+    });
+    return true;
+  });
+};
+
+/**
+ * Sends a deadline reminder to both parties unless it was already sent for this deadline
+ * @returns {Promise<boolean>} Whether the reminder was sent
+ */
+const sendReminder = async (order, kind, deadline, content) => {
+  try {
+    await prisma.orderReminder.create({ data: { orderId: order.id, kind, deadline } });
+  } catch (error) {
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+  await notifyParties(order, content);
+  return true;
+};
+
+// Runs `handler` for each order, so one failing order doesn't stop the rest
+const forEachOrder = async (orders, label, handler) => {
+  let processed = 0;
+  for (const order of orders) {
+    try {
+      if (await handler(order)) processed += 1;
+    } catch (error) {
+      console.error(`Scheduler failed to ${label} order ${order.orderNumber}:`, error);
+    }
+  }
+  return processed;
+};
+
+// Orders the client never answered the required questions for can't be accepted, so
+// they get their own, longer window before being cancelled
+const cancelUnansweredOrders = async (now) => {
+  const orders = await prisma.order.findMany({
+    where: {
+      status: "PENDING",
+      requirementsCompletedAt: null,
+      createdAt: { lte: new Date(now.getTime() - ORDER_REQUIREMENTS_DAYS * DAY_MS) },
+    },
+    include: orderInclude,
+  });
+
+  return forEachOrder(orders, "auto-cancel unanswered", async (order) => {
+    const reason = `Required questions not answered within ${ORDER_REQUIREMENTS_DAYS} days`;
+    const cancelled = await applySystemChange(order, "PENDING", {
+      status: "CANCELLED",
+      cancellationReason: reason,
+      cancellationDate: now,
+    }, reason);
+    if (!cancelled) {
+      return false;
+    }
+    await settleOrderEscrow(order, "CANCELLED", SYSTEM_ACTOR, { reason });
+    await notifyParties(order, `Order ${order.orderNumber} was cancelled because the required questions were not answered in time`, "HIGH");
+    return true;
+  });
+};
+
+// The freelancer's acceptance window only starts once the requirements are in
+const cancelUnacceptedOrders = async (now) => {
+  const orders = await prisma.order.findMany({
+    where: { status: "PENDING", requirementsCompletedAt: { lte: new Date(now.getTime() - ORDER_ACCEPTANCE_HOURS * HOUR_MS) } },
+    include: orderInclude,
+  });
+
+  return forEachOrder(orders, "auto-cancel", async (order) => {
+    const reason = `Not accepted within ${ORDER_ACCEPTANCE_HOURS} hours`;
+    const cancelled = await applySystemChange(order, "PENDING", {
+      status: "CANCELLED",
+      cancellationReason: reason,
+      cancellationDate: now,
+    }, reason);
+    if (!cancelled) {
+      return false;
+    }
+    await settleOrderEscrow(order, "CANCELLED", SYSTEM_ACTOR, { reason });
+    await notifyParties(order, `Order ${order.orderNumber} was cancelled because it was not accepted in time`, "HIGH");
+    return true;
+  });
+};
+
+const flagLateOrders = async (now) => {
+  const orders = await prisma.order.findMany({
+    where: { status: { in: ["ACCEPTED", "IN_PROGRESS"] }, isLate: false, deliveryDeadline: { lt: now } },
+    include: orderInclude,
+  });
+
+  return forEachOrder(orders, "flag late", async (order) => {
+    const flagged = await applySystemChange(order, order.status, { isLate: true }, "Delivery deadline passed");
+    if (flagged) {
+      await notifyParties(order, `Order ${order.orderNumber} is past its delivery deadline`, "HIGH");
+    }
+    return flagged;
+  });
+};
+
+const completeReviewedOrders = async (now) => {
+  const orders = await prisma.order.findMany({
+    where: { status: "DELIVERED", deliveredAt: { lte: new Date(now.getTime() - ORDER_REVIEW_DAYS * DAY_MS) } },
+    include: orderInclude,
+  });
+
+  return forEachOrder(orders, "auto-complete", async (order) => {
+    const completed = await applySystemChange(order, "DELIVERED", {
+      status: "COMPLETED",
+      completedAt: now,
+    }, `Completed automatically after the ${ORDER_REVIEW_DAYS}-day review window`);
+    if (!completed) {
+      return false;
+    }
+    await settleOrderEscrow(order, "COMPLETED", SYSTEM_ACTOR);
+    await notifyParties(order, `Order ${order.orderNumber} was completed automatically after the review period`);
+    return true;
+  });
+};
+
+// Milestones get the same review window as whole orders
+const approveReviewedMilestones = async (now) => {
+  const milestones = await prisma.orderMilestone.findMany({
+    where: {
+      status: "DELIVERED",
+      deliveredAt: { lte: new Date(now.getTime() - ORDER_REVIEW_DAYS * DAY_MS) },
+      order: { status: "IN_PROGRESS" },
+    },
+    include: { order: { include: orderInclude } },
+  });
+
+  let approved = 0;
+  for (const milestone of milestones) {
+    try {
+      if (await approveMilestone(milestone)) approved += 1;
+    } catch (error) {
+      console.error(`Scheduler failed to auto-approve milestone ${milestone.id} of order ${milestone.order.orderNumber}:`, error);
+    }
+  }
+  return approved;
+};
+
+const sendDeadlineReminders = async (now) => {
+  const reminderWindow = ORDER_REMINDER_HOURS * HOUR_MS;
+
+  const [unanswered, unaccepted, inProgress, inReview] = await Promise.all([
+    prisma.order.findMany({
+      where: {
+        status: "PENDING",
+        requirementsCompletedAt: null,
+        createdAt: { lte: new Date(now.getTime() - ORDER_REQUIREMENTS_DAYS * DAY_MS + reminderWindow) },
+      },
+      include: orderInclude,
+    }),
+    prisma.order.findMany({
+      where: { status: "PENDING", requirementsCompletedAt: { lte: new Date(now.getTime() - ORDER_ACCEPTANCE_HOURS * HOUR_MS + reminderWindow) } },
+      include: orderInclude,
+    }),
+    prisma.order.findMany({
+      where: {
+        status: { in: ["ACCEPTED", "IN_PROGRESS"] },
+        deliveryDeadline: { gt: now, lte: new Date(now.getTime() + reminderWindow) },
+      },
+      include: orderInclude,
+    }),
+    prisma.order.findMany({
+      where: { status: "DELIVERED", deliveredAt: { lte: new Date(now.getTime() - ORDER_REVIEW_DAYS * DAY_MS + reminderWindow) } },
+      include: orderInclude,
+    }),
+  ]);
+
+  const sent = await Promise.all([
+    forEachOrder(unanswered, "remind requirements for", (order) => {
+      const deadline = new Date(order.createdAt.getTime() + ORDER_REQUIREMENTS_DAYS * DAY_MS);
+      return sendReminder(order, "REQUIREMENTS", deadline, `Order ${order.orderNumber} will be cancelled on ${deadline.toUTCString()} unless the client answers the required questions`);
+    }),
+    forEachOrder(unaccepted, "remind acceptance for", (order) => {
+      const deadline = new Date(order.requirementsCompletedAt.getTime() + ORDER_ACCEPTANCE_HOURS * HOUR_MS);
+      return sendReminder(order, "ACCEPTANCE", deadline, `Order ${order.orderNumber} will be cancelled on ${deadline.toUTCString()} unless the freelancer accepts it`);
+    }),
+    forEachOrder(inProgress, "remind delivery for", (order) =>
+      sendReminder(order, "DELIVERY", order.deliveryDeadline, `Order ${order.orderNumber} is due on ${order.deliveryDeadline.toUTCString()}`)),
+    forEachOrder(inReview, "remind review for", (order) => {
+      const deadline = new Date(order.deliveredAt.getTime() + ORDER_REVIEW_DAYS * DAY_MS);
+      return sendReminder(order, "REVIEW", deadline, `Order ${order.orderNumber} will be completed automatically on ${deadline.toUTCString()} unless a revision is requested`);
+    }),
+  ]);
+  return sent.reduce((sum, count) => sum + count, 0);
+};
+
+// Extension requests the client didn't answer in time lapse, and the freelancer is told
+const expireExtensionRequests = async (now) => {
+  const extensions = await prisma.extensionRequest.findMany({
+    where: { status: "PENDING", expiresAt: { lte: now } },
+    include: { order: true },
+  });
+
+  let expired = 0;
+  for (const extension of extensions) {
+    try {
+      const { count } = await prisma.extensionRequest.updateMany({
+        where: { id: extension.id, status: "PENDING" },
+        data: { status: "EXPIRED" },
+      });
+      if (count === 0) continue;
+      await prisma.notification.create({
+        data: {
+          userId: extension.requestedBy,
+          type: "ORDER_UPDATE",
+          content: `Your extension request on order ${extension.order.orderNumber} expired without an answer from the client`,
+          entityType: "ORDER",
+          entityId: extension.orderId,
+        },
+      });
+      expired += 1;
+    } catch (error) {
+      console.error(`Scheduler failed to expire extension request ${extension.id}:`, error);
+    }
+  }
+  return expired;
+};
+
+// Keeps the stored daysLeft in step with deliveryDeadline for open orders
+const refreshDaysLeft = () => {
+  return prisma.$executeRaw`
+    UPDATE "Order"
+    SET "daysLeft" = GREATEST(0, CEIL(EXTRACT(EPOCH FROM ("deliveryDeadline" - NOW())) / 86400))::int
+    WHERE "deliveryDeadline" IS NOT NULL AND "status" IN ('PENDING', 'ACCEPTED', 'IN_PROGRESS', 'DELIVERED')`;
+};
+
+/**
+ * Scheduler task: reminds, flags, cancels and completes orders whose deadlines are
+ * near or have passed, and expires unanswered extension requests
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} Number of orders affected by each step
+ */
+const runOrderLifecycle = async (now) => {
+  // Transitions run first so orders that were just cancelled or completed aren't reminded
+  const unanswered = await cancelUnansweredOrders(now);
+  const cancelled = await cancelUnacceptedOrders(now);
+  const extensionsExpired = await expireExtensionRequests(now);
+  const late = await flagLateOrders(now);
+  const completed = await completeReviewedOrders(now);
+  const milestonesApproved = await approveReviewedMilestones(now);
+  const reminders = await sendDeadlineReminders(now);
+  await refreshDaysLeft();
+  return { unanswered, cancelled, extensionsExpired, late, completed, milestonesApproved, reminders };
+};
+
+export { runOrderLifecycle };
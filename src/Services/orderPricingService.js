@@ -0,0 +1,78 @@
+// src/services/orderPricingService.js
+import { ApiError } from "../Utils/ApiError.js";
+import { convertAmount } from "./fxService.js";
+
+const URGENT_MULTIPLIER = 1.5;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Prices an order for a gig package from the gig's own definition. Prices, delivery
+ * days and revisions all come from the gig and its extras, never from the client.
+ * Prices are converted from the gig's currency to the platform currency at `fxRate`.
+ * @param {Object} gig - Gig with its extras
+ * @param {Object} selection
+ * @param {string} selection.selectedPackage - Name of a package in the gig's pricing
+ * @param {boolean} [selection.isUrgent] - Urgent orders pay 1.5x the package price
+ * @param {Array} [selection.extras] - [{ extraId, quantity }]
+ * @param {number} [selection.fxRate] - Gig currency -> platform currency
+ * @returns {Object} { packagePrice, priorityFee, extrasPrice, totalPrice, listingPrice, deliveryDays, revisionsIncluded, extras }
+ *   where `extras` is OrderExtra create data and `listingPrice` is the total in the gig's currency
+ */
+const priceGigOrder = (gig, { selectedPackage, isUrgent = false, extras = [], fxRate = 1 }) => {
+  const pricingData = typeof gig.pricing === "string" ? JSON.parse(gig.pricing) : gig.pricing;
+  const packageData = (pricingData || []).find(pkg => pkg.name === selectedPackage);
+  if (!packageData) {
+    throw new ApiError(400, "Invalid package selected");
+  }
+
+  const seen = new Set();
+  const orderExtras = extras.map(({ extraId, quantity = 1 }) => {
+    const extra = (gig.extras || []).find(e => e.id === extraId && e.isActive);
+    if (!extra) {
+      throw new ApiError(400, `Extra ${extraId} is not offered on this gig`);
+    }
+    if (seen.has(extra.id)) {
+      throw new ApiError(400, `Extra "${extra.title}" was selected more than once`);
+    }
+    seen.add(extra.id);
+    if (extra.packages.length > 0 && !extra.packages.includes(selectedPackage)) {
+      throw new ApiError(400, `Extra "${extra.title}" is only available with the ${extra.packages.join(", ")} package(s)`);
+    }
+    if (quantity > extra.maxQuantity) {
+      throw new ApiError(400, `Extra "${extra.title}" can be added at most ${extra.maxQuantity} time(s)`);
+    }
+    return {
+      gigExtraId: extra.id,
+      type: extra.type,
+      title: extra.title,
+      price: convertAmount(extra.price, fxRate),
+      listPrice: extra.price,
+      quantity,
+      deliveryDays: extra.deliveryDays,
+      revisions: extra.revisions,
+    };
+  });
+
+  const listPriorityFee = isUrgent ? roundCurrency(packageData.price * (URGENT_MULTIPLIER - 1)) : 0;
+  const listExtrasPrice = orderExtras.reduce((sum, extra) => sum + extra.listPrice * extra.quantity, 0);
+  const packagePrice = convertAmount(packageData.price, fxRate);
+  const priorityFee = isUrgent ? convertAmount(listPriorityFee, fxRate) : null;
+  const extrasPrice = roundCurrency(orderExtras.reduce((sum, extra) => sum + extra.price * extra.quantity, 0));
+  const extraDays = orderExtras.reduce((sum, extra) => sum + extra.deliveryDays * extra.quantity, 0);
+  const extraRevisions = orderExtras.reduce((sum, extra) => sum + extra.revisions * extra.quantity, 0);
+
+  return {
+    packagePrice,
+    priorityFee,
+    extrasPrice,
+    totalPrice: roundCurrency(packagePrice + (priorityFee || 0) + extrasPrice),
+    listingPrice: roundCurrency(packageData.price + listPriorityFee + listExtrasPrice),
+    // Faster delivery can shorten the deadline, but never below a day
+    deliveryDays: Math.max((gig.deliveryTime || 0) + extraDays, 1),
+    revisionsIncluded: (parseInt(packageData.revisions ?? gig.revisionCount ?? 0) || 0) + extraRevisions,
+    extras: orderExtras.map(({ listPrice, ...extra }) => extra),
+  };
+};
+
+export { priceGigOrder };
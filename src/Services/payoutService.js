@@ -0,0 +1,125 @@
+// src/services/payoutService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { getAccountBalance, getWalletAccount, postPayout } from "./ledgerService.js";
+
+const PAYOUT_MINIMUM_AMOUNT = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT || "50");
+const PAYOUT_CLEARANCE_DAYS = parseInt(process.env.PAYOUT_CLEARANCE_DAYS || "14");
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Locks the freelancer's profile row until the transaction ends, so their available
+ * balance is checked and spent by one payout at a time
+ * @param {Object} tx - Interactive transaction client
+ * @param {number} freelancerId - FreelancerProfile ID
+ */
+const lockPayoutBalance = (tx, freelancerId) =>
+  tx.$queryRaw`SELECT "id" FROM "FreelancerProfile" WHERE "id" = ${freelancerId} FOR UPDATE`;
+
+/**
+ * Breaks a freelancer's wallet down into what can be withdrawn right now.
+ * Escrow releases stay in clearance for PAYOUT_CLEARANCE_DAYS after the order
+ * completes, and pending payout requests are reserved until they are reviewed.
+ * @param {number} userId - User ID of the freelancer
+ * @param {number} freelancerId - FreelancerProfile ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<Object>} { balance, pendingClearance, reserved, available, minimumPayout, clearanceDays }
+ */
+const getPayoutBalance = async (userId, freelancerId, client = prisma) => {
+  const wallet = await getWalletAccount(userId, client);
+  const clearanceStart = new Date(Date.now() - PAYOUT_CLEARANCE_DAYS * 24 * 60 * 60 * 1000);
+
+  const [balance, pendingClearance, reservedStats] = await Promise.all([
+    getAccountBalance(wallet.id, {}, client),
+    getAccountBalance(wallet.id, { entry: { kind: "ESCROW_RELEASE", createdAt: { gt: clearanceStart } } }, client),
+    client.payoutRequest.aggregate({
+      where: { freelancerId, status: "PENDING" },
+      _sum: { amount: true },
+    }),
+  ]);
+  const reserved = roundCurrency(reservedStats._sum.amount || 0);
+
+  return {
+    balance,
+    pendingClearance,
+    reserved,
+    available: Math.max(roundCurrency(balance - pendingClearance - reserved), 0),
+    minimumPayout: PAYOUT_MINIMUM_AMOUNT,
+    clearanceDays: PAYOUT_CLEARANCE_DAYS,
+  };
+};
+
+/**
+ * Approves a pending payout request: creates the PAYOUT transaction, debits the
+ * freelancer's wallet in the ledger and notifies the freelancer. The request is
+ * claimed under the freelancer's balance lock, so it is only ever paid out once.
+ * @param {number} payoutId - PayoutRequest ID
+ * @param {number} adminId - Reviewing admin's user ID
+ * @returns {Promise<Object>} Updated PayoutRequest with its transaction
+ */
+const approvePayout = async (payoutId, adminId) => {
+  return prisma.$transaction(async (tx) => {
+    const payout = await tx.payoutRequest.findUnique({
+      where: { id: payoutId },
+      include: { freelancer: true, paymentSetting: true },
+    });
+    if (!payout) {
+      throw new ApiError(404, "Payout request not found");
+    }
+    if (payout.status !== "PENDING") {
+      throw new ApiError(400, `Payout request is already ${payout.status.toLowerCase()}`);
+    }
+    // Details changed after the request reset verification, so they are checked again here
+    if (!payout.paymentSetting.isVerified) {
+      throw new ApiError(400, "The payout method hasn't been verified; verify it before approving the payout");
+    }
+
+    // Claim the request first, so a second approval can't pay it out again
+    await lockPayoutBalance(tx, payout.freelancerId);
+    const { count } = await tx.payoutRequest.updateMany({
+      where: { id: payoutId, status: "PENDING" },
+      data: { status: "APPROVED", reviewedBy: adminId, reviewedAt: new Date() },
+    });
+    if (count === 0) {
+      throw new ApiError(409, "The payout request was reviewed in the meantime");
+    }
+
+    // The claimed request is no longer reserved, so its amount has to fit what is available
+    const { available } = await getPayoutBalance(payout.freelancer.userId, payout.freelancerId, tx);
+    if (payout.amount > available) {
+      throw new ApiError(400, "Freelancer no longer has enough available balance for this payout");
+    }
+
+    const transaction = await tx.transaction.create({
+      data: {
+        userId: payout.freelancer.userId,
+        amount: payout.amount,
+        type: "PAYOUT",
+        paymentMethod: payout.paymentSetting.method,
+        status: "COMPLETED",
+      },
+    });
+    await postPayout(transaction, tx);
+
+    const updatedPayout = await tx.payoutRequest.update({
+      where: { id: payoutId },
+      data: { transactionId: transaction.id },
+      include: { transaction: true, paymentSetting: true },
+    });
+
+    await tx.notification.create({
+      data: {
+        userId: payout.freelancer.userId,
+        type: "PAYMENT",
+        content: `Your withdrawal of $${payout.amount.toFixed(2)} via ${payout.paymentSetting.method} has been approved`,
+        entityType: "TRANSACTION",
+        entityId: transaction.id,
+      },
+    });
+
+    return updatedPayout;
+  });
+};
+
+export { PAYOUT_MINIMUM_AMOUNT, PAYOUT_CLEARANCE_DAYS, lockPayoutBalance, getPayoutBalance, approvePayout };
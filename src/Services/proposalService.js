@@ -0,0 +1,201 @@
+// src/services/proposalService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+
+// What a proposal is shown with, to the client and to the freelancer who sent it
+const PROPOSAL_INCLUDE = {
+  videos: { include: { portfolioVideo: true } },
+  answers: { include: { question: { select: { question: true, position: true } } } },
+};
+
+/**
+ * Checks a proposal's screening answers against the job's questions: every answer
+ * must be for one of the job's questions, and every required question answered
+ * @param {Array} questions - The job's JobScreeningQuestions
+ * @param {Array} answers - [{ questionId, answer }]
+ * @returns {Array} ApplicationAnswer create data
+ */
+const buildScreeningAnswers = (questions, answers = []) => {
+  const questionIds = new Set(questions.map(question => question.id));
+  const answered = new Map();
+  for (const { questionId, answer } of answers) {
+    if (!questionIds.has(questionId)) {
+      throw new ApiError(400, `Question ${questionId} isn't one of this job's screening questions`);
+    }
+    if (answered.has(questionId)) {
+      throw new ApiError(400, `Question ${questionId} was answered more than once`);
+    }
+    answered.set(questionId, answer.trim());
+  }
+
+  const missing = questions.filter(question => question.isRequired && !answered.get(question.id));
+  if (missing.length > 0) {
+    throw new ApiError(400, `Answer the required screening questions: ${missing.map(question => `"${question.question}"`).join(", ")}`);
+  }
+  return [...answered.entries()]
+    .filter(([, answer]) => answer)
+    .map(([questionId, answer]) => ({ questionId, answer }));
+};
+
+/**
+ * Checks that every portfolio video attached to a proposal is the freelancer's own
+ * @param {number} freelancerProfileId - FreelancerProfile ID
+ * @param {Array<number>} videoIds - PortfolioVideo IDs
+ * @returns {Promise<Array>} ApplicationVideo create data
+ */
+const buildProposalVideos = async (freelancerProfileId, videoIds = []) => {
+  const ids = [...new Set(videoIds)];
+  if (ids.length === 0) return [];
+  const count = await prisma.portfolioVideo.count({
+    where: { id: { in: ids }, freelancerId: freelancerProfileId },
+  });
+  if (count !== ids.length) {
+    throw new ApiError(400, "You can only attach videos from your own portfolio");
+  }
+  return ids.map(portfolioVideoId => ({ portfolioVideoId }));
+};
+
+/**
+ * Recounts the job's proposals that haven't been withdrawn
+ * @param {number} jobId - Job ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<number>} Number of proposals
+ */
+const syncProposalCount = async (jobId, client = prisma) => {
+  const proposals = await client.application.count({
+    where: { jobId, withdrawnAt: null },
+  });
+  await client.job.update({
+    where: { id: jobId },
+    data: { proposals },
+  });
+  return proposals;
+};
+
+/**
+ * Flags whether a proposal's bid is within the job's budget
+ * @param {Object} application - Application
+ * @param {Object} job - Job
+ * @returns {Object} The application with `isWithinBudget`
+ */
+const withBudgetFit = (application, job) => ({
+  ...application,
+  isWithinBudget: application.bidAmount !== null
+    && application.bidAmount >= job.budgetMin
+    && application.bidAmount <= job.budgetMax,
+});
+
+/**
+ * Sends a freelancer's proposal for a job, or sends it again after a withdrawal, and
+ * lets the client know. A pending invitation to the job is accepted along with it.
+ * @param {Object} job - Job with its screening questions
+ * @param {Object} freelancer - User with their freelancer profile
+ * @param {Object} proposal - { coverLetter, bidAmount, estimatedDays, portfolioVideoIds, answers }
+ * @returns {Promise<Object>} { application, invitation } where `invitation` is the one accepted, if any
+ */
+const submitProposal = async (job, freelancer, { coverLetter, bidAmount, estimatedDays, portfolioVideoIds, answers }) => {
+  if (job.postedById === freelancer.id) {
+    throw new ApiError(400, "You can't apply to your own job");
+  }
+  if (job.status === "DRAFT") {
+    throw new ApiError(404, "Job not found");
+  }
+  if (job.status !== "OPEN") {
+    throw new ApiError(400, `This job is ${job.status.toLowerCase()} and isn't taking proposals`);
+  }
+
+  // A withdrawn proposal can be sent again; any other one only once
+  const existingApplication = await prisma.application.findUnique({
+    where: { jobId_freelancerId: { jobId: job.id, freelancerId: freelancer.id } },
+  });
+  if (existingApplication && !existingApplication.withdrawnAt) {
+    throw new ApiError(400, "You have already applied to this job");
+  }
+
+  const answerData = buildScreeningAnswers(job.screeningQuestions, answers);
+  const videoData = await buildProposalVideos(freelancer.freelancerProfile.id, portfolioVideoIds);
+  const proposal = { coverLetter, bidAmount, estimatedDays };
+
+  let result;
+  try {
+    result = await prisma.$transaction(async (tx) => {
+      let sent;
+      if (existingApplication) {
+        // Claim the withdrawn proposal so two resubmissions can't both go through
+        const { count } = await tx.application.updateMany({
+          where: { id: existingApplication.id, withdrawnAt: { not: null } },
+          data: { withdrawnAt: null },
+        });
+        if (count === 0) {
+          throw new ApiError(400, "You have already applied to this job");
+        }
+        await tx.applicationVideo.deleteMany({ where: { applicationId: existingApplication.id } });
+        await tx.applicationAnswer.deleteMany({ where: { applicationId: existingApplication.id } });
+        sent = await tx.application.update({
+          where: { id: existingApplication.id },
+          data: {
+            ...proposal,
+            viewedAt: null,
+            withdrawalReason: null,
+            status: "NEW",
+            statusUpdatedAt: null,
+            rejectionReason: null,
+            createdAt: new Date(),
+            videos: { create: videoData },
+            answers: { create: answerData },
+          },
+          include: PROPOSAL_INCLUDE,
+        });
+      } else {
+        sent = await tx.application.create({
+          data: {
+            ...proposal,
+            freelancer: { connect: { id: freelancer.id } },
+            job: { connect: { id: job.id } },
+            videos: { create: videoData },
+            answers: { create: answerData },
+          },
+          include: PROPOSAL_INCLUDE,
+        });
+      }
+      await syncProposalCount(job.id, tx);
+
+      const { count } = await tx.jobInvitation.updateMany({
+        where: { jobId: job.id, freelancerId: freelancer.id, status: "PENDING" },
+        data: { status: "ACCEPTED", respondedAt: new Date(), applicationId: sent.id },
+      });
+      const accepted = count > 0
+        ? await tx.jobInvitation.findUnique({ where: { jobId_freelancerId: { jobId: job.id, freelancerId: freelancer.id } } })
+        : null;
+      return { application: sent, invitation: accepted };
+    });
+  } catch (error) {
+    // Sent at the same time from another request; the unique (job, freelancer) pair rejected this one
+    if (error.code === "P2002") {
+      throw new ApiError(400, "You have already applied to this job");
+    }
+    throw error;
+  }
+  const { application, invitation } = result;
+
+  await prisma.notification.create({
+    data: {
+      userId: job.postedById,
+      type: "JOB",
+      content: `${freelancer.firstname} ${freelancer.lastname} ${invitation ? "accepted your invitation and sent" : "sent"} a proposal for "${job.title}" (${job.currency} ${bidAmount.toFixed(2)}, ${estimatedDays} day${estimatedDays === 1 ? "" : "s"})`,
+      entityType: "JOB",
+      entityId: job.id,
+    },
+  });
+
+  return { application, invitation };
+};
+
+export {
+  PROPOSAL_INCLUDE,
+  buildScreeningAnswers,
+  buildProposalVideos,
+  syncProposalCount,
+  withBudgetFit,
+  submitProposal,
+};
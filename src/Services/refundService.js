@@ -0,0 +1,202 @@
+// src/services/refundService.js
+import prisma from "../prismaClient.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { getEscrowSummary, refundEscrow } from "./escrowService.js";
+
+// Until the work is delivered the freelancer decides; after that it takes a neutral admin
+const FREELANCER_APPROVED_STATUSES = ["PENDING", "ACCEPTED", "IN_PROGRESS"];
+const ADMIN_APPROVED_STATUSES = ["DELIVERED"];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Who has to approve a refund on an order in its current status
+ * @param {Object} order - Order
+ * @returns {string|null} "FREELANCER", "ADMIN", or null when refunds can't be requested
+ */
+const getRefundApprover = (order) => {
+  if (FREELANCER_APPROVED_STATUSES.includes(order.status)) return "FREELANCER";
+  if (ADMIN_APPROVED_STATUSES.includes(order.status)) return "ADMIN";
+  return null;
+};
+
+// Lets the approver know there's a refund waiting on them
+const notifyApprover = async (order, request) => {
+  const content = `Refund of $${request.amount.toFixed(2)} requested for order ${order.orderNumber}: ${request.reason}`;
+  const recipients = request.approver === "FREELANCER"
+    ? [{ id: order.freelancer.userId }]
+    : await prisma.user.findMany({ where: { role: "ADMIN" }, select: { id: true } });
+  await prisma.notification.createMany({
+    data: recipients.map(user => ({
+      userId: user.id,
+      type: "PAYMENT",
+      content,
+      entityType: "ORDER",
+      entityId: order.id,
+      priority: "HIGH",
+    })),
+  });
+};
+
+/**
+ * Files a client's refund request for (part of) the money still held for an order
+ * @param {Object} order - Order with its freelancer
+ * @param {Object} request
+ * @param {number} request.requestedBy - Client's user ID
+ * @param {number} [request.amount] - Amount to refund (defaults to everything still refundable)
+ * @param {string} request.reason - Why the client wants the money back
+ * @returns {Promise<Object>} RefundRequest
+ */
+const requestRefund = async (order, { requestedBy, amount, reason }) => {
+  if (order.status === "DISPUTED") {
+    throw new ApiError(400, "Refunds for disputed orders are settled through the dispute");
+  }
+  const approver = getRefundApprover(order);
+  if (!approver) {
+    throw new ApiError(400, `Refunds can't be requested for ${order.status.toLowerCase()} orders`);
+  }
+
+  const pending = await prisma.refundRequest.findFirst({
+    where: { orderId: order.id, status: "PENDING" },
+  });
+  if (pending) {
+    throw new ApiError(400, "A refund request for this order is already awaiting a decision");
+  }
+
+  // Only what is still held can go back; released funds and service fees can't
+  const { held } = await getEscrowSummary(order.id);
+  const refundAmount = roundCurrency(amount === undefined ? held : amount);
+  if (held <= 0) {
+    throw new ApiError(400, "Nothing is left to refund on this order");
+  }
+  if (refundAmount > held) {
+    throw new ApiError(400, `Refund amount exceeds the $${held.toFixed(2)} still refundable on this order`);
+  }
+
+  const request = await prisma.refundRequest.create({
+    data: { orderId: order.id, requestedBy, amount: refundAmount, reason, approver },
+  });
+  await notifyApprover(order, request);
+  return request;
+};
+
+/**
+ * Settles the order once an approved refund has gone through. A full refund cancels
+ * the order; a partial one lowers its price (and the refunded milestones' amounts) by
+ * what went back, so the client isn't asked to pay it again, and its commission in proportion.
+ * @returns {Promise<string>} Note for the order history
+ */
+const applyRefundToOrder = async (order, request, refunds, reviewerId) => {
+  const summary = await getEscrowSummary(order.id);
+  const isFullRefund = summary.held <= 0 && summary.released === 0;
+  const note = isFullRefund
+    ? `Refund of $${request.amount.toFixed(2)} approved; order cancelled`
+    : `Partial refund of $${request.amount.toFixed(2)} approved`;
+
+  await prisma.$transaction(async (tx) => {
+    if (isFullRefund) {
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          status: "CANCELLED",
+          cancellationReason: `Refunded: ${request.reason}`,
+          cancellationDate: new Date(),
+        },
+      });
+    } else {
+      const byMilestone = new Map();
+      for (const refund of refunds.filter(r => r.milestoneId)) {
+        byMilestone.set(refund.milestoneId, (byMilestone.get(refund.milestoneId) || 0) + Math.abs(refund.amount));
+      }
+      for (const [milestoneId, refunded] of byMilestone) {
+        await tx.orderMilestone.update({
+          where: { id: milestoneId },
+          data: { amount: { decrement: roundCurrency(refunded) } },
+        });
+      }
+      // The commission is a share of the price, so it comes down with it and the rate stays the same
+      const current = await tx.order.findUnique({
+        where: { id: order.id },
+        select: { totalPrice: true, commissionFee: true },
+      });
+      const totalPrice = roundCurrency(current.totalPrice - request.amount);
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          totalPrice,
+          ...(current.commissionFee !== null && current.totalPrice > 0 && {
+            commissionFee: roundCurrency(current.commissionFee * (totalPrice / current.totalPrice)),
+          }),
+        },
+      });
+    }
+    await tx.orderStatusHistory.create({
+      data: {
+        orderId: order.id,
+        status: isFullRefund ? "CANCELLED" : order.status,
+        changedBy: reviewerId,
+        note: `${note}: ${request.reason}`,
+      },
+    });
+  });
+  return note;
+};
+
+/**
+ * Approves a pending refund request: refunds the amount out of escrow (which posts the
+ * refund to the ledger) and updates the order. The request goes back to pending if
+ * the refund itself fails, e.g. because less is held now than when it was filed.
+ * @param {Object} request - RefundRequest with its order (and the order's freelancer)
+ * @param {Object} review
+ * @param {number} review.reviewerId - Freelancer's or admin's user ID
+ * @param {string} [review.note] - Note for the client
+ * @returns {Promise<Object>} { request, refunds }
+ */
+const approveRefundRequest = async (request, { reviewerId, note }) => {
+  const { order } = request;
+  const { count } = await prisma.refundRequest.updateMany({
+    where: { id: request.id, status: "PENDING" },
+    data: { status: "APPROVED", reviewedBy: reviewerId, reviewNote: note, reviewedAt: new Date() },
+  });
+  if (count === 0) {
+    throw new ApiError(409, "Refund request is no longer pending");
+  }
+
+  let refunds;
+  try {
+    refunds = await refundEscrow(order.id, {
+      amount: request.amount,
+      reason: request.reason,
+      refundRequestId: request.id,
+    });
+  } catch (error) {
+    await prisma.refundRequest.update({
+      where: { id: request.id },
+      data: { status: "PENDING", reviewedBy: null, reviewNote: null, reviewedAt: null },
+    });
+    throw error;
+  }
+
+  const historyNote = await applyRefundToOrder(order, request, refunds, reviewerId);
+
+  // The client already hears about the money from refundEscrow
+  if (reviewerId !== order.freelancer.userId) {
+    await prisma.notification.create({
+      data: {
+        userId: order.freelancer.userId,
+        type: "PAYMENT",
+        content: `${historyNote} on order ${order.orderNumber} by an admin`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+  }
+
+  const updatedRequest = await prisma.refundRequest.findUnique({
+    where: { id: request.id },
+    include: { refunds: true },
+  });
+  return { request: updatedRequest, refunds };
+};
+
+export { getRefundApprover, requestRefund, approveRefundRequest };
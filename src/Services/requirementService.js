@@ -0,0 +1,139 @@
+// src/services/requirementService.js
+import prisma from "../prismaClient.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a gig's questionnaire has questions the client must answer before work starts
+ * @param {number} gigId - Gig ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<boolean>}
+ */
+const hasRequiredQuestions = async (gigId, client = prisma) => {
+  const count = await client.gigRequirementQuestion.count({
+    where: { gigId, isActive: true, isRequired: true },
+  });
+  return count > 0;
+};
+
+/**
+ * Order fields that start the delivery clock: orders for gigs with required questions
+ * wait in PENDING without a deadline until the client has answered them
+ * @param {number|null} gigId - Gig ID (null on orders hired from a job, which have no questions)
+ * @param {number|null} deliveryDays - Days until delivery once the clock starts (null when the deadline
+ *   is fixed, or when there is none, as on hourly orders)
+ * @param {Date} [fixedDeadline] - Deadline that doesn't depend on the clock, e.g. the last milestone's due date
+ * @returns {Promise<Object>} { deliveryDays, deliveryDeadline, requirementsCompletedAt }
+ */
+const getDeadlineFields = async (gigId, deliveryDays, fixedDeadline = null) => {
+  const waiting = gigId ? await hasRequiredQuestions(gigId) : false;
+  const now = new Date();
+  return {
+    deliveryDays: fixedDeadline ? null : deliveryDays,
+    deliveryDeadline: fixedDeadline || (waiting || deliveryDays === null ? null : new Date(now.getTime() + deliveryDays * DAY_MS)),
+    requirementsCompletedAt: waiting ? null : now,
+  };
+};
+
+/**
+ * The gig's active required questions the order has no answer for yet
+ * @param {Object} order - Order
+ * @returns {Promise<Array>} GigRequirementQuestions
+ */
+const getMissingRequirements = async (order) => {
+  if (!order.gigId) return [];
+  return prisma.gigRequirementQuestion.findMany({
+    where: {
+      gigId: order.gigId,
+      isActive: true,
+      isRequired: true,
+      answers: { none: { orderId: order.id } },
+    },
+    orderBy: [{ position: "asc" }, { id: "asc" }],
+  });
+};
+
+/**
+ * Marks the order's requirements as complete once every required question is
+ * answered, and starts the delivery clock. Only applies once per order.
+ * @param {Object} order - Order with its freelancer
+ * @param {number} userId - Client who answered the last question, or freelancer who dropped it
+ * @param {Object} [options]
+ * @param {string} [options.note] - Status history note
+ * @param {string} [options.reason] - What the freelancer is told happened
+ * @returns {Promise<boolean>} Whether the requirements were just completed
+ */
+const completeRequirementsIfReady = async (order, userId, {
+  note = "Requirements submitted; delivery clock started",
+  reason = "The client answered the requirements",
+} = {}) => {
+  if (order.requirementsCompletedAt) {
+    return false;
+  }
+  const missing = await getMissingRequirements(order);
+  if (missing.length > 0) {
+    return false;
+  }
+
+  const now = new Date();
+  const deliveryDeadline = order.deliveryDays !== null
+    ? new Date(now.getTime() + order.deliveryDays * DAY_MS)
+    : order.deliveryDeadline;
+  const completed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, requirementsCompletedAt: null },
+      data: { requirementsCompletedAt: now, deliveryDeadline },
+    });
+    if (count === 0) {
+      return false;
+    }
+    await tx.orderStatusHistory.create({
+      data: {
+        orderId: order.id,
+        status: order.status,
+        changedBy: userId,
+        note,
+      },
+    });
+    return true;
+  });
+
+  if (completed) {
+    await prisma.notification.create({
+      data: {
+        userId: order.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `${reason} for order ${order.orderNumber}${deliveryDeadline ? `; it is due on ${deliveryDeadline.toUTCString()}` : ""}`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    });
+  }
+  return completed;
+};
+
+/**
+ * Starts the delivery clock on the gig's orders that were only waiting on questions
+ * the freelancer has since dropped, deactivated or made optional
+ * @param {number} gigId - Gig ID
+ * @param {number} userId - Freelancer who changed the questions
+ * @returns {Promise<number>} Number of orders started
+ */
+const completeWaitingRequirements = async (gigId, userId) => {
+  const orders = await prisma.order.findMany({
+    where: { gigId, requirementsCompletedAt: null, status: { notIn: ["COMPLETED", "CANCELLED"] } },
+    include: { freelancer: true },
+  });
+
+  let started = 0;
+  for (const order of orders) {
+    const completed = await completeRequirementsIfReady(order, userId, {
+      note: "Remaining requirements are no longer required; delivery clock started",
+      reason: "The remaining requirements are no longer required",
+    });
+    if (completed) started += 1;
+  }
+  return started;
+};
+
+export { getDeadlineFields, getMissingRequirements, completeRequirementsIfReady, completeWaitingRequirements };
@@ -0,0 +1,57 @@
+// src/services/scheduler.js
+import { runOrderLifecycle } from "./orderLifecycleService.js";
+import { expireCustomOffers } from "./offerService.js";
+import { expireJobs } from "./jobService.js";
+import { runDueSubscriptions } from "./subscriptionService.js";
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || "300000"); // 5 minutes
+
+// Tasks run one after another on every tick. Each must be safe to re-run after a
+// failure: work is picked up by querying for what is still due.
+const tasks = [
+  { name: "order-lifecycle", run: runOrderLifecycle },
+  { name: "custom-offer-expiry", run: expireCustomOffers },
+  { name: "subscription-cycles", run: runDueSubscriptions },
+  { name: "job-expiry", run: expireJobs },
+];
+
+let timer = null;
+let isRunning = false;
+
+const runTasks = async () => {
+  // Skip the tick if the previous one is still going
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    for (const task of tasks) {
+      try {
+        const result = await task.run(new Date());
+        if (result && Object.values(result).some(Boolean)) {
+          console.log(`Scheduled task ${task.name}:`, result);
+        }
+      } catch (error) {
+        console.error(`Scheduled task ${task.name} failed:`, error);
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Starts running the background tasks every SCHEDULER_INTERVAL_MS.
+ * Set SCHEDULER_ENABLED=false on instances that should not run them.
+ */
+const startScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === "false") return;
+  timer = setInterval(runTasks, SCHEDULER_INTERVAL_MS);
+  runTasks();
+  console.log(`⏱️ Scheduler running every ${SCHEDULER_INTERVAL_MS / 1000}s`);
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export { startScheduler, stopScheduler, runTasks };
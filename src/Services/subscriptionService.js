@@ -0,0 +1,404 @@
+// src/services/subscriptionService.js
+import prisma from "../prismaClient.js";
+import stripe from "../Config/stripe.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { chargeOrder, fundEscrow, getAmountDue, refundEscrow } from "./escrowService.js";
+import { quoteOrderFees, toOrderFeeFields } from "./feeService.js";
+import { getOrderFxFields } from "./fxService.js";
+import { priceGigOrder } from "./orderPricingService.js";
+import { getDeadlineFields } from "./requirementService.js";
+import { generateOrderNumber } from "../Utils/orderUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "cycles:percent" tiers: committing to at least that many cycles up front takes the
+// percentage off each committed cycle. The platform funds the discount, like a promo code.
+const COMMITMENT_DISCOUNTS = (process.env.SUBSCRIPTION_COMMITMENT_DISCOUNTS || "4:5,12:10")
+  .split(",")
+  .map(tier => {
+    const [cycles, percentage] = tier.split(":").map(Number);
+    return { cycles, percentage };
+  })
+  .filter(tier => tier.cycles > 0 && tier.percentage > 0)
+  .sort((a, b) => b.cycles - a.cycles);
+
+// What every cycle needs to place and notify about its order
+const SUBSCRIPTION_INCLUDE = {
+  client: { select: { stripeCustomerId: true } },
+  freelancer: { select: { userId: true } },
+  gig: { select: { title: true } },
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Discount earned by committing to a number of cycles up front
+ * @param {number|null} committedCycles - Cycles committed to, if any
+ * @returns {number} Percentage taken off each committed cycle
+ */
+const getCommitmentDiscount = (committedCycles) => {
+  if (!committedCycles) return 0;
+  const tier = COMMITMENT_DISCOUNTS.find(t => committedCycles >= t.cycles);
+  return tier ? tier.percentage : 0;
+};
+
+/**
+ * When the cycle after `from` is due: a week later, or the same day next month
+ * (the last day of the month when it is shorter)
+ * @param {Date} from - When the current cycle was due
+ * @param {string} interval - WEEKLY or MONTHLY
+ * @returns {Date}
+ */
+const getNextCycleAt = (from, interval) => {
+  if (interval === "WEEKLY") {
+    return new Date(from.getTime() + 7 * DAY_MS);
+  }
+  const next = new Date(from);
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + 1);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, lastDay));
+  return next;
+};
+
+/**
+ * Saves a card to the client's Stripe customer so later cycles can be charged
+ * while they aren't there. The customer is created on first use.
+ * @param {number} clientId - Client's user ID
+ * @param {string} paymentMethodId - Stripe payment method ID
+ * @returns {Promise<string>} Stripe customer ID
+ */
+const saveSubscriptionCard = async (clientId, paymentMethodId) => {
+  const client = await prisma.user.findUnique({
+    where: { id: clientId },
+    select: { email: true, firstname: true, lastname: true, stripeCustomerId: true },
+  });
+  let customerId = client.stripeCustomerId;
+  if (!customerId) {
+    const customer = await stripe.customers.create({
+      email: client.email,
+      name: [client.firstname, client.lastname].filter(Boolean).join(" ") || undefined,
+      metadata: { userId: clientId.toString() },
+    });
+    customerId = customer.id;
+    await prisma.user.update({
+      where: { id: clientId },
+      data: { stripeCustomerId: customerId },
+    });
+  }
+
+  try {
+    await stripe.paymentMethods.attach(paymentMethodId, { customer: customerId });
+  } catch (error) {
+    throw new ApiError(400, "The card could not be saved for recurring payments", error.message);
+  }
+  return customerId;
+};
+
+/**
+ * Requirement answers from the subscription's latest order that has them, to carry
+ * over to the next cycle so the client isn't asked the same questions every time
+ * @param {Object} subscription - OrderSubscription
+ * @returns {Promise<Object>} { answers, complete } - complete when they cover every
+ *   question the gig requires now
+ */
+const getCarriedAnswers = async (subscription) => {
+  const previous = await prisma.order.findFirst({
+    where: { subscriptionId: subscription.id, requirementAnswers: { some: {} } },
+    include: { requirementAnswers: { include: { files: true } } },
+    orderBy: { subscriptionCycle: "desc" },
+  });
+  const answers = previous ? previous.requirementAnswers : [];
+
+  const required = await prisma.gigRequirementQuestion.findMany({
+    where: { gigId: subscription.gigId, isActive: true, isRequired: true },
+    select: { id: true },
+  });
+  const answered = new Set(answers.map(answer => answer.questionId));
+  return {
+    answers,
+    complete: required.every(question => answered.has(question.id)),
+  };
+};
+
+/**
+ * Places and pays for one cycle's order: the subscribed package is priced from the
+ * gig as it is now, at today's exchange rate, and charged to the saved card. Committed
+ * cycles get the subscription's discount. Requirement answers from an earlier cycle are
+ * copied over, and start the delivery clock when they are complete. If the charge fails the order is cancelled
+ * and the discount goes back to the platform.
+ * @param {Object} subscription - OrderSubscription with its client
+ * @param {number} cycle - Cycle number, starting at 1
+ * @returns {Promise<Object>} The cycle's order
+ */
+const placeCycleOrder = async (subscription, cycle) => {
+  const gig = await prisma.gig.findUnique({
+    where: { id: subscription.gigId },
+    include: { extras: true },
+  });
+  if (!gig || gig.status !== "ACTIVE") {
+    throw new ApiError(400, "The gig is no longer available");
+  }
+
+  const { clientId } = subscription;
+  const fxFields = await getOrderFxFields(gig.currency, subscription.clientCurrency);
+  const pricing = priceGigOrder(gig, {
+    selectedPackage: subscription.package,
+    extras: subscription.extras,
+    fxRate: fxFields.listingFxRate,
+  });
+  const feeQuote = await quoteOrderFees({
+    amount: pricing.totalPrice,
+    category: gig.category,
+    clientId,
+    freelancerId: gig.freelancerId,
+  });
+  const deadlineFields = await getDeadlineFields(gig.id, pricing.deliveryDays);
+  const carried = await getCarriedAnswers(subscription);
+  if (!deadlineFields.requirementsCompletedAt && carried.complete) {
+    const now = new Date();
+    deadlineFields.requirementsCompletedAt = now;
+    deadlineFields.deliveryDeadline = new Date(now.getTime() + pricing.deliveryDays * DAY_MS);
+  }
+
+  const order = await prisma.order.create({
+    data: {
+      gigId: gig.id,
+      clientId,
+      freelancerId: gig.freelancerId,
+      package: subscription.package,
+      totalPrice: pricing.totalPrice,
+      requirements: subscription.requirements,
+      extrasPrice: pricing.extrasPrice,
+      listingPrice: pricing.listingPrice,
+      ...fxFields,
+      revisionsIncluded: pricing.revisionsIncluded,
+      orderNumber: generateOrderNumber(),
+      subscriptionId: subscription.id,
+      subscriptionCycle: cycle,
+      ...deadlineFields,
+      ...(pricing.extras.length > 0 && { extras: { create: pricing.extras } }),
+      ...(carried.answers.length > 0 && {
+        requirementAnswers: {
+          create: carried.answers.map(({ questionId, question, answerText, selectedOptions, files }) => ({
+            questionId,
+            question,
+            answerText,
+            selectedOptions,
+            files: { create: files.map(({ fileUrl, fileType, fileName, fileSize }) => ({ fileUrl, fileType, fileName, fileSize })) },
+          })),
+        },
+      }),
+      ...toOrderFeeFields(feeQuote),
+      statusHistory: {
+        create: { status: "PENDING", actorType: "SYSTEM", note: `Cycle ${cycle} of subscription #${subscription.id}` },
+      },
+    },
+  });
+
+  // Committed cycles are discounted the same way a promo code is: the platform
+  // pays the difference into escrow, so the freelancer still earns the full price
+  const isCommitted = subscription.committedCycles && cycle <= subscription.committedCycles;
+  const discount = isCommitted ? roundCurrency(pricing.totalPrice * (subscription.discountPercentage / 100)) : 0;
+  if (discount > 0) {
+    await prisma.transaction.create({
+      data: {
+        orderId: order.id,
+        userId: clientId,
+        amount: discount,
+        type: "PAYMENT",
+        paymentMethod: "promo",
+        status: "COMPLETED",
+        description: `${subscription.discountPercentage}% subscription commitment discount`,
+      },
+    });
+    order.discountAmount = discount;
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { discountAmount: discount },
+    });
+    await fundEscrow(order.id);
+  }
+
+  const amountDue = await getAmountDue(order);
+  try {
+    if (amountDue.total > 0) {
+      const transaction = await chargeOrder(order, {
+        userId: clientId,
+        paymentMethodId: subscription.paymentMethodId,
+        price: amountDue.price,
+        serviceFee: amountDue.serviceFee,
+        description: `Subscription cycle ${cycle}`,
+        stripeCustomerId: subscription.client.stripeCustomerId,
+      });
+      if (transaction.status !== "COMPLETED") {
+        await stripe.paymentIntents.cancel(transaction.stripePaymentIntentId);
+        await prisma.transaction.update({
+          where: { id: transaction.id },
+          data: { status: "FAILED" },
+        });
+        throw new ApiError(402, "Payment for the subscription cycle could not be completed");
+      }
+    }
+  } catch (error) {
+    await refundEscrow(order.id, { reason: "Subscription payment failed" });
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        status: "CANCELLED",
+        cancellationReason: "Subscription payment failed",
+        cancellationDate: new Date(),
+        statusHistory: { create: { status: "CANCELLED", actorType: "SYSTEM", note: "Subscription payment failed" } },
+      },
+    });
+    if (error instanceof ApiError) throw error;
+    // Off-session charges that are declined come back as errors rather than an unpaid intent
+    if (error.type === "StripeCardError") {
+      throw new ApiError(402, "Payment for the subscription cycle could not be completed", error.message);
+    }
+    throw error;
+  }
+
+  return prisma.order.findUnique({
+    where: { id: order.id },
+    include: { extras: true, statusHistory: true },
+  });
+};
+
+/**
+ * Creates a subscription and places its first cycle straight away. The subscription
+ * is cancelled again if that first order can't be placed.
+ * @param {Object} data - OrderSubscription create data (without the cycle fields)
+ * @returns {Promise<Object>} { subscription, order }
+ */
+const startSubscription = async (data) => {
+  const now = new Date();
+  const subscription = await prisma.orderSubscription.create({
+    data: { ...data, nextCycleAt: getNextCycleAt(now, data.interval), cyclesBilled: 1 },
+    include: SUBSCRIPTION_INCLUDE,
+  });
+
+  try {
+    const order = await placeCycleOrder(subscription, 1);
+    return { subscription, order };
+  } catch (error) {
+    await prisma.orderSubscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: "CANCELLED",
+        cyclesBilled: 0,
+        cancelledAt: new Date(),
+        cancellationReason: `The first order could not be placed: ${error.message}`,
+      },
+    });
+    throw error;
+  }
+};
+
+/**
+ * Places the subscription's due cycle. The cycle is claimed first, so two runs
+ * can't bill it twice. If the order can't be placed (the card was declined, the
+ * gig was paused) the subscription is paused for the client to sort out and resume.
+ * @param {Object} subscription - ACTIVE OrderSubscription with its client, freelancer and gig
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object|null>} The cycle's order, or null if another run claimed it
+ */
+const runSubscriptionCycle = async (subscription, now) => {
+  const cycle = subscription.cyclesBilled + 1;
+  // Cycles missed while the scheduler was down aren't caught up on
+  let nextCycleAt = getNextCycleAt(subscription.nextCycleAt, subscription.interval);
+  while (nextCycleAt <= now) {
+    nextCycleAt = getNextCycleAt(nextCycleAt, subscription.interval);
+  }
+
+  const { count } = await prisma.orderSubscription.updateMany({
+    where: { id: subscription.id, status: "ACTIVE", nextCycleAt: subscription.nextCycleAt },
+    data: { nextCycleAt, cyclesBilled: { increment: 1 } },
+  });
+  if (count === 0) {
+    return null;
+  }
+
+  let order;
+  try {
+    order = await placeCycleOrder(subscription, cycle);
+  } catch (error) {
+    await prisma.orderSubscription.update({
+      where: { id: subscription.id },
+      data: {
+        status: "PAUSED",
+        pausedAt: new Date(),
+        pauseReason: `Cycle ${cycle} could not be placed: ${error.message}`,
+        cyclesBilled: { decrement: 1 },
+        nextCycleAt: subscription.nextCycleAt,
+      },
+    });
+    await prisma.notification.create({
+      data: {
+        userId: subscription.clientId,
+        type: "PAYMENT",
+        content: `Your subscription to "${subscription.gig.title}" was paused because cycle ${cycle} could not be placed: ${error.message}. Update your card and resume it to continue.`,
+        entityType: "SUBSCRIPTION",
+        entityId: subscription.id,
+        priority: "HIGH",
+      },
+    });
+    throw error;
+  }
+
+  await prisma.notification.createMany({
+    data: [
+      {
+        userId: subscription.clientId,
+        type: "ORDER_UPDATE",
+        content: `Order ${order.orderNumber} was placed for cycle ${cycle} of your subscription to "${subscription.gig.title}"`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+      {
+        userId: subscription.freelancer.userId,
+        type: "ORDER_UPDATE",
+        content: `New subscription order ${order.orderNumber} for "${subscription.gig.title}" (cycle ${cycle})`,
+        entityType: "ORDER",
+        entityId: order.id,
+      },
+    ],
+  });
+  return order;
+};
+
+/**
+ * Scheduler task: places the orders for every active subscription whose next cycle is due
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} Number of cycles placed and failed
+ */
+const runDueSubscriptions = async (now) => {
+  const subscriptions = await prisma.orderSubscription.findMany({
+    where: { status: "ACTIVE", nextCycleAt: { lte: now } },
+    include: SUBSCRIPTION_INCLUDE,
+    orderBy: { nextCycleAt: "asc" },
+  });
+
+  let placed = 0;
+  let failed = 0;
+  for (const subscription of subscriptions) {
+    try {
+      const order = await runSubscriptionCycle(subscription, now);
+      if (order) placed += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Scheduler failed to place a cycle for subscription ${subscription.id}:`, error);
+    }
+  }
+  return { placed, failed };
+};
+
+export {
+  COMMITMENT_DISCOUNTS,
+  getCommitmentDiscount,
+  getNextCycleAt,
+  saveSubscriptionCard,
+  startSubscription,
+  runDueSubscriptions,
+};
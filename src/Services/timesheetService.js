@@ -0,0 +1,278 @@
+// src/services/timesheetService.js
+import prisma from "../prismaClient.js";
+import stripe from "../Config/stripe.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { chargeOrder, recordStripeRefund, releaseEscrow } from "./escrowService.js";
+import { quoteOrderFees, toOrderFeeFields } from "./feeService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Start of the (Monday to Sunday, UTC) week a moment falls in
+ * @param {Date|string} date
+ * @returns {Date} Monday, midnight UTC
+ */
+const getWeekStart = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const formatHours = (minutes) => `${Math.round((minutes / 60) * 100) / 100} h`;
+
+// Locks the order's row until the transaction ends, so its weeks are checked and billed one request at a time
+const lockOrder = (tx, orderId) => tx.$queryRaw`SELECT "id" FROM "Order" WHERE "id" = ${orderId} FOR UPDATE`;
+
+/**
+ * Throws unless time can still be logged or changed for the week: once its
+ * timesheet is submitted or approved the week is locked; a disputed one reopens it.
+ * @param {number} orderId - Order ID
+ * @param {Date} weekStart - Start of the week
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ */
+const assertWeekOpen = async (orderId, weekStart, client = prisma) => {
+  const timesheet = await client.timesheet.findUnique({
+    where: { orderId_weekStart: { orderId, weekStart } },
+  });
+  if (timesheet && timesheet.status !== "DISPUTED") {
+    throw new ApiError(400, `The timesheet for the week of ${formatDay(weekStart)} is already ${timesheet.status.toLowerCase()}`);
+  }
+};
+
+/**
+ * Checks that logging `minutes` on `workDate` keeps the week within the order's
+ * weekly hour limit and that the week is still open. The order stays locked until
+ * the transaction ends, so the entry has to be written in the same transaction.
+ * @param {Object} tx - Interactive transaction client
+ * @param {Object} order - Hourly order
+ * @param {Date} workDate - Day the work was done
+ * @param {number} minutes - Minutes being logged
+ * @param {number} [excludeEntryId] - Entry being edited, whose current minutes don't count
+ */
+const assertCanLogTime = async (tx, order, workDate, minutes, excludeEntryId = null) => {
+  await lockOrder(tx, order.id);
+  const weekStart = getWeekStart(workDate);
+  await assertWeekOpen(order.id, weekStart, tx);
+
+  const { _sum } = await tx.timeEntry.aggregate({
+    where: {
+      orderId: order.id,
+      workDate: { gte: weekStart, lt: new Date(weekStart.getTime() + WEEK_MS) },
+      ...(excludeEntryId && { id: { not: excludeEntryId } }),
+    },
+    _sum: { minutes: true },
+  });
+  const logged = _sum.minutes || 0;
+  if (logged + minutes > order.weeklyHourLimit * 60) {
+    throw new ApiError(
+      400,
+      `This would take the week of ${formatDay(weekStart)} over the ${order.weeklyHourLimit} h weekly limit (${formatHours(logged)} logged)`,
+    );
+  }
+};
+
+/**
+ * Submits (or, after a dispute, resubmits) the week's logged time for the client to
+ * approve, locking the week's entries
+ * @param {Object} order - Hourly order with its freelancer
+ * @param {Date} weekStart - Start of the week
+ * @returns {Promise<Object>} Timesheet with its entries
+ */
+const submitTimesheet = async (order, weekStart) => {
+  const timesheet = await prisma.$transaction(async (tx) => {
+    // Time can't be logged for the week while it is being totalled
+    await lockOrder(tx, order.id);
+    const existing = await tx.timesheet.findUnique({
+      where: { orderId_weekStart: { orderId: order.id, weekStart } },
+    });
+    if (existing && existing.status !== "DISPUTED") {
+      throw new ApiError(400, `The timesheet for the week of ${formatDay(weekStart)} is already ${existing.status.toLowerCase()}`);
+    }
+
+    const entries = await tx.timeEntry.findMany({
+      where: { orderId: order.id, workDate: { gte: weekStart, lt: new Date(weekStart.getTime() + WEEK_MS) } },
+      select: { id: true, minutes: true },
+    });
+    const minutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+    if (minutes === 0) {
+      throw new ApiError(400, `No time has been logged for the week of ${formatDay(weekStart)}`);
+    }
+
+    const data = {
+      minutes,
+      amount: roundCurrency((minutes / 60) * order.hourlyRate),
+      status: "SUBMITTED",
+      submittedAt: new Date(),
+      reviewedBy: null,
+      reviewedAt: null,
+    };
+    const saved = existing
+      ? await tx.timesheet.update({ where: { id: existing.id }, data })
+      : await tx.timesheet.create({ data: { ...data, orderId: order.id, weekStart } });
+    await tx.timeEntry.updateMany({
+      where: { id: { in: entries.map(entry => entry.id) } },
+      data: { timesheetId: saved.id },
+    });
+    return tx.timesheet.findUnique({
+      where: { id: saved.id },
+      include: { entries: { orderBy: { workDate: "asc" } } },
+    });
+  });
+
+  await prisma.notification.create({
+    data: {
+      userId: order.clientId,
+      type: "ORDER_UPDATE",
+      content: `A timesheet of ${formatHours(timesheet.minutes)} ($${timesheet.amount.toFixed(2)}) for the week of ${formatDay(weekStart)} on order ${order.orderNumber} is waiting for your approval`,
+      entityType: "ORDER",
+      entityId: order.id,
+    },
+  });
+  return timesheet;
+};
+
+/**
+ * Recalculates a freelancer's total hours from their approved timesheets
+ * @param {number} userId - Freelancer's user ID
+ * @param {Object} [client] - Prisma client (or interactive transaction client)
+ * @returns {Promise<number>} Total hours
+ */
+const syncTotalHours = async (userId, client = prisma) => {
+  const { _sum } = await client.timesheet.aggregate({
+    where: { status: "APPROVED", order: { freelancer: { userId } } },
+    _sum: { minutes: true },
+  });
+  const totalHours = Math.floor((_sum.minutes || 0) / 60);
+  await client.user.update({
+    where: { id: userId },
+    data: { totalHours },
+  });
+  return totalHours;
+};
+
+/**
+ * Approves a submitted timesheet and bills it: charges the client for the hours
+ * (plus the service fee on them), adds them to the order price and releases them to
+ * the freelancer straight away. The timesheet goes back to submitted if the charge fails,
+ * or, with the charge refunded, if it can't be recorded on the order.
+ * @param {Object} timesheet - Timesheet with its order (and the order's gig and freelancer)
+ * @param {Object} review
+ * @param {number} review.reviewerId - Client's user ID
+ * @param {string} review.paymentMethodId - Stripe payment method ID
+ * @returns {Promise<Object>} { timesheet, transaction, payout }
+ */
+const approveTimesheet = async (timesheet, { reviewerId, paymentMethodId }) => {
+  const { order } = timesheet;
+  const { count } = await prisma.timesheet.updateMany({
+    where: { id: timesheet.id, status: "SUBMITTED" },
+    data: { status: "APPROVED", reviewedBy: reviewerId, reviewedAt: new Date(), disputeReason: null },
+  });
+  if (count === 0) {
+    throw new ApiError(409, "Timesheet is no longer awaiting approval");
+  }
+
+  // The hours are added to the order price, so the fees are re-quoted on the new total.
+  // Other weeks may have been billed since the order was loaded, so it is read again.
+  const current = await prisma.order.findUnique({
+    where: { id: order.id },
+    select: { totalPrice: true, serviceFee: true },
+  });
+  const quote = await quoteOrderFees({
+    amount: current.totalPrice + timesheet.amount,
+    category: order.gig.category,
+    clientId: order.clientId,
+    freelancerId: order.freelancerId,
+  });
+  const serviceFee = Math.max(roundCurrency(quote.serviceFee.amount - current.serviceFee), 0);
+  const weekOf = formatDay(timesheet.weekStart);
+  // Puts the timesheet back for approval when it couldn't be billed
+  const resetTimesheet = () => prisma.timesheet.update({
+    where: { id: timesheet.id },
+    data: { status: "SUBMITTED", reviewedBy: null, reviewedAt: null },
+  });
+
+  let transaction;
+  try {
+    transaction = await chargeOrder(order, {
+      userId: reviewerId,
+      paymentMethodId,
+      price: timesheet.amount,
+      serviceFee,
+      description: `Timesheet for the week of ${weekOf} (${formatHours(timesheet.minutes)} at $${order.hourlyRate.toFixed(2)}/h)`,
+    });
+    if (transaction.status !== "COMPLETED") {
+      await stripe.paymentIntents.cancel(transaction.stripePaymentIntentId);
+      await prisma.transaction.update({
+        where: { id: transaction.id },
+        data: { status: "FAILED" },
+      });
+      throw new ApiError(402, "Payment for the timesheet could not be completed");
+    }
+  } catch (error) {
+    await resetTimesheet();
+    throw error;
+  }
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      // The commission is quoted on the total as it stands once the order is locked; the
+      // service fee goes up by exactly what was charged
+      await lockOrder(tx, order.id);
+      const { totalPrice } = await tx.order.findUnique({ where: { id: order.id }, select: { totalPrice: true } });
+      const finalQuote = await quoteOrderFees({
+        amount: totalPrice + timesheet.amount,
+        category: order.gig.category,
+        clientId: order.clientId,
+        freelancerId: order.freelancerId,
+      }, tx);
+
+      await tx.timesheet.update({
+        where: { id: timesheet.id },
+        data: { transactionId: transaction.id },
+      });
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          ...toOrderFeeFields(finalQuote),
+          serviceFee: { increment: serviceFee },
+          totalPrice: { increment: timesheet.amount },
+          statusHistory: {
+            create: {
+              status: order.status,
+              changedBy: reviewerId,
+              note: `Timesheet for the week of ${weekOf} approved (${formatHours(timesheet.minutes)})`,
+            },
+          },
+        },
+      });
+    });
+  } catch (error) {
+    // The client has paid for hours that couldn't be billed, so the charge goes back
+    // and the timesheet waits for approval again
+    const stripeRefund = await stripe.refunds.create({
+      payment_intent: transaction.stripePaymentIntentId,
+      reason: "requested_by_customer",
+      metadata: { orderId: order.id.toString(), reason: `Timesheet for the week of ${weekOf} could not be billed` },
+    });
+    await recordStripeRefund(transaction, stripeRefund);
+    await resetTimesheet();
+    throw error;
+  }
+
+  // Approved hours are the freelancer's right away; releaseEscrow lets them know
+  const payout = await releaseEscrow(order.id);
+  await syncTotalHours(order.freelancer.userId);
+
+  const approved = await prisma.timesheet.findUnique({
+    where: { id: timesheet.id },
+    include: { entries: { orderBy: { workDate: "asc" } } },
+  });
+  return { timesheet: approved, transaction, payout };
+};
+
+export { getWeekStart, lockOrder, assertWeekOpen, assertCanLogTime, submitTimesheet, syncTotalHours, approveTimesheet };
@@ -0,0 +1,116 @@
+// src/services/tipService.js
+import prisma from "../prismaClient.js";
+import stripe from "../Config/stripe.js";
+import { ApiError } from "../Utils/ApiError.js";
+import { convertAmount, toMinorUnits } from "./fxService.js";
+import { postTip } from "./ledgerService.js";
+
+// Share of a tip the platform keeps; tips go to the freelancer in full by default
+const TIP_COMMISSION_PERCENTAGE = parseFloat(process.env.TIP_COMMISSION_PERCENTAGE || "0");
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Charges the client's card for a tip on a completed order and credits it to the
+ * freelancer's wallet. Tips never pass through escrow, so they can't be refunded
+ * or disputed with the order. The card is charged in the order's client currency.
+ * @param {Object} order - COMPLETED order with its freelancer
+ * @param {Object} tip
+ * @param {number} tip.userId - Paying client's user ID
+ * @param {string} tip.paymentMethodId - Stripe payment method ID
+ * @param {number} tip.amount - Tip in the platform currency
+ * @param {string} [tip.message] - Note for the freelancer
+ * @returns {Promise<Object>} TIP transaction with its platformFee
+ */
+const sendTip = async (order, { userId, paymentMethodId, amount, message = null }) => {
+  const tipAmount = roundCurrency(amount);
+  const commission = roundCurrency(tipAmount * (TIP_COMMISSION_PERCENTAGE / 100));
+  const currencyAmount = convertAmount(tipAmount, order.clientFxRate, order.clientCurrency);
+
+  // Record the tip before charging so a charge never goes untracked
+  const pending = await prisma.transaction.create({
+    data: {
+      orderId: order.id,
+      userId,
+      amount: tipAmount,
+      currency: order.clientCurrency,
+      currencyAmount,
+      fxRate: order.clientFxRate,
+      fxRatesAsOf: order.fxRatesAsOf,
+      type: "TIP",
+      paymentMethod: "stripe",
+      status: "PENDING",
+      description: message,
+      ...(commission > 0 && {
+        platformFee: {
+          create: {
+            amount: commission,
+            percentage: TIP_COMMISSION_PERCENTAGE,
+            side: "FREELANCER",
+          },
+        },
+      }),
+    },
+  });
+  const markFailed = () => prisma.transaction.update({ where: { id: pending.id }, data: { status: "FAILED" } });
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: toMinorUnits(currencyAmount, order.clientCurrency),
+      currency: order.clientCurrency.toLowerCase(),
+      payment_method: paymentMethodId,
+      confirmation_method: "manual",
+      confirm: true,
+      metadata: { orderId: order.id.toString(), userId: userId.toString(), type: "tip", transactionId: pending.id.toString() },
+    });
+  } catch (error) {
+    await markFailed();
+    // Declined cards come back as errors rather than an unpaid intent
+    if (error.type === "StripeCardError") {
+      throw new ApiError(402, "Payment for the tip could not be completed", error.message);
+    }
+    throw error;
+  }
+  if (paymentIntent.status !== "succeeded") {
+    await stripe.paymentIntents.cancel(paymentIntent.id);
+    await markFailed();
+    throw new ApiError(402, "Payment for the tip could not be completed");
+  }
+
+  let transaction;
+  try {
+    transaction = await prisma.$transaction(async (tx) => {
+      const completed = await tx.transaction.update({
+        where: { id: pending.id },
+        data: { status: "COMPLETED", stripePaymentIntentId: paymentIntent.id },
+        include: { platformFee: true },
+      });
+      await postTip(completed, order.freelancer.userId, tx);
+      return completed;
+    });
+  } catch (error) {
+    // The tip couldn't be credited to the freelancer, so give the client their money back
+    await stripe.refunds.create({ payment_intent: paymentIntent.id });
+    await prisma.transaction.update({
+      where: { id: pending.id },
+      data: { status: "FAILED", stripePaymentIntentId: paymentIntent.id },
+    });
+    throw error;
+  }
+
+  const received = roundCurrency(tipAmount - commission);
+  await prisma.notification.create({
+    data: {
+      userId: order.freelancer.userId,
+      type: "PAYMENT",
+      content: `You received a $${received.toFixed(2)} tip for order ${order.orderNumber}${message ? `: "${message}"` : ""}`,
+      entityType: "TRANSACTION",
+      entityId: transaction.id,
+    },
+  });
+
+  return transaction;
+};
+
+export { TIP_COMMISSION_PERCENTAGE, sendTip };
@@ -0,0 +1,109 @@
+// Renders issued invoices and refund receipts as PDF documents.
+// Everything printed comes from the invoice snapshot, so a document renders the same every time.
+import PDFDocument from "pdfkit";
+
+const PLATFORM_NAME = process.env.PLATFORM_NAME || "Marketplace";
+
+const TITLES = { INVOICE: "Invoice", REFUND_RECEIPT: "Refund receipt" };
+
+const MARGIN = 50;
+
+// Currency codes rather than symbols, which the built-in fonts can't all draw
+const formatMoney = (amount, currency) => new Intl.NumberFormat("en-US", {
+  style: "currency",
+  currency,
+  currencyDisplay: "code",
+}).format(amount);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Prints a billing party's details as a block of lines, skipping what the account doesn't have
+const partyLines = (party) => [
+  party.company,
+  party.name,
+  party.address,
+  party.country,
+  party.email,
+].filter(Boolean);
+
+/**
+ * Renders an invoice or refund receipt
+ * @param {Object} invoice - Invoice with its order and, for receipts, the original invoice
+ * @returns {Promise<Buffer>} PDF document
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: "A4", margin: MARGIN });
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+
+  const width = doc.page.width - MARGIN * 2;
+  const right = MARGIN + width;
+
+  doc.fontSize(20).font("Helvetica-Bold").text(PLATFORM_NAME, MARGIN, MARGIN);
+  doc.fontSize(14).text(TITLES[invoice.kind], MARGIN, MARGIN, { width, align: "right" });
+  doc.moveDown(0.5).fontSize(10).font("Helvetica");
+  [
+    `Number: ${invoice.number}`,
+    `Issued: ${formatDate(invoice.issuedAt)}`,
+    `Order: ${invoice.order.orderNumber}`,
+    ...(invoice.originalInvoice ? [`Refund of: ${invoice.originalInvoice.number}`] : []),
+  ].forEach(text => doc.text(text, { width, align: "right" }));
+
+  // Freelancer on the left, client on the right
+  const partiesTop = doc.y + 20;
+  const columnWidth = width / 2 - 10;
+  doc.font("Helvetica-Bold").text("From", MARGIN, partiesTop);
+  doc.font("Helvetica").text(partyLines(invoice.billFrom).join("\n"), MARGIN, doc.y, { width: columnWidth });
+  const fromBottom = doc.y;
+  doc.font("Helvetica-Bold").text("Bill to", MARGIN + width / 2, partiesTop);
+  doc.font("Helvetica").text(partyLines(invoice.billTo).join("\n"), MARGIN + width / 2, doc.y, { width: columnWidth });
+  let y = Math.max(fromBottom, doc.y) + 30;
+
+  const columns = [
+    { label: "Description", x: MARGIN, width: width - 230, align: "left" },
+    { label: "Qty", x: right - 230, width: 50, align: "right" },
+    { label: "Unit price", x: right - 180, width: 90, align: "right" },
+    { label: "Amount", x: right - 90, width: 90, align: "right" },
+  ];
+  const row = (values, font = "Helvetica") => {
+    doc.font(font);
+    const heights = values.map((value, index) => doc.heightOfString(value, { width: columns[index].width }));
+    values.forEach((value, index) => {
+      const { x, width: columnWidth, align } = columns[index];
+      doc.text(value, x, y, { width: columnWidth, align });
+    });
+    y += Math.max(...heights) + 6;
+  };
+
+  row(columns.map(column => column.label), "Helvetica-Bold");
+  doc.moveTo(MARGIN, y - 3).lineTo(right, y - 3).stroke();
+  invoice.lineItems.forEach(item => row([
+    item.description,
+    String(item.quantity),
+    formatMoney(item.unitPrice, invoice.currency),
+    formatMoney(item.amount, invoice.currency),
+  ]));
+  doc.moveTo(MARGIN, y).lineTo(right, y).stroke();
+  y += 10;
+
+  // The service fee is already one of the lines, so only the total is repeated here
+  doc.font("Helvetica-Bold");
+  doc.text(invoice.kind === "INVOICE" ? "Total paid" : "Total refunded", right - 230, y, { width: 140, align: "right" });
+  doc.text(formatMoney(invoice.total, invoice.currency), right - 90, y, { width: 90, align: "right" });
+  y += 16;
+
+  doc.font("Helvetica").fontSize(8).fillColor("#666666").text(
+    invoice.kind === "INVOICE"
+      ? `Paid by card through ${PLATFORM_NAME}. The service fee is charged by ${PLATFORM_NAME}.`
+      : "Refunded to the card the original payment was made with. Service fees are not refunded.",
+    MARGIN,
+    y + 30,
+    { width },
+  );
+
+  doc.end();
+});
+
+export { renderInvoicePdf };
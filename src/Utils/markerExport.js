@@ -0,0 +1,103 @@
+// Exports delivery review comments as timeline markers that editing software can import.
+// Timecodes are non-drop-frame; fractional rates such as 29.97 use the rounded timebase.
+
+/**
+ * Converts a frame count to an HH:MM:SS:FF timecode
+ * @param {number} frames - Frame count
+ * @param {number} fps - Frames per second
+ * @returns {string} Timecode
+ */
+const framesToTimecode = (frames, fps) => {
+  const timebase = Math.round(fps);
+  const pad = (value) => String(value).padStart(2, "0");
+  const ff = frames % timebase;
+  const totalSeconds = Math.floor(frames / timebase);
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(ff)}`;
+};
+
+/**
+ * Parses an HH:MM:SS:FF timecode into a frame count
+ * @param {string} timecode - Timecode (";" is accepted as the frame separator)
+ * @param {number} fps - Frames per second
+ * @returns {number} Frame count
+ */
+const timecodeToFrames = (timecode, fps) => {
+  const [hh, mm, ss, ff] = timecode.split(/[:;]/).map(Number);
+  return ((hh * 60 + mm) * 60 + ss) * Math.round(fps) + ff;
+};
+
+// Resolves a comment's anchor to an in/out frame pair, offset to the timeline start
+const toMarker = (comment, { fps, startFrame }) => {
+  const inFrame = comment.frameStart ?? Math.round((comment.timecode || 0) * fps);
+  const outFrame = Math.max(comment.frameEnd ?? inFrame + 1, inFrame + 1);
+  const replies = (comment.replies || []).map(reply => `Reply from ${reply.author.firstname}: ${reply.content}`);
+  return {
+    name: `#${comment.id} ${comment.author.firstname} ${comment.author.lastname}`,
+    description: [comment.content, ...replies].join(" / "),
+    inFrame: startFrame + inFrame,
+    outFrame: startFrame + outFrame,
+    status: comment.status,
+  };
+};
+
+// Marker text has to stay on one line, and "|" is the EDL field separator
+const singleLine = (text) => text.replace(/\s*[\r\n]+\s*/g, " ").replace(/\|/g, "/");
+
+/**
+ * Builds a marker EDL (CMX 3600 with DaVinci Resolve marker comments).
+ * Open comments are red markers, resolved ones green.
+ * @param {Array} comments - Top-level comments with author and replies (each with author)
+ * @param {Object} options
+ * @param {string} options.title - EDL title
+ * @param {number} options.fps - Frames per second
+ * @param {string} [options.startTimecode] - Timecode of the first frame of the timeline
+ * @returns {string} EDL document
+ */
+const toEdl = (comments, { title, fps, startTimecode = "00:00:00:00" }) => {
+  const startFrame = timecodeToFrames(startTimecode, fps);
+  const lines = [`TITLE: ${singleLine(title)}`, "FCM: NON-DROP FRAME", ""];
+
+  comments.forEach((comment, index) => {
+    const marker = toMarker(comment, { fps, startFrame });
+    const inTc = framesToTimecode(marker.inFrame, fps);
+    const outTc = framesToTimecode(marker.outFrame, fps);
+    const color = marker.status === "RESOLVED" ? "ResolveColorGreen" : "ResolveColorRed";
+    lines.push(`${String(index + 1).padStart(3, "0")}  001      V     C        ${inTc} ${outTc} ${inTc} ${outTc}`);
+    lines.push(` |C:${color} |M:${singleLine(`${marker.name}: ${marker.description}`)} |D:${marker.outFrame - marker.inFrame}`);
+    lines.push("");
+  });
+
+  return lines.join("\r\n");
+};
+
+const csvCell = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+/**
+ * Builds a marker CSV with the columns Premiere Pro uses for its marker lists
+ * @param {Array} comments - Top-level comments with author and replies (each with author)
+ * @param {Object} options
+ * @param {number} options.fps - Frames per second
+ * @param {string} [options.startTimecode] - Timecode of the first frame of the timeline
+ * @returns {string} CSV document
+ */
+const toCsv = (comments, { fps, startTimecode = "00:00:00:00" }) => {
+  const startFrame = timecodeToFrames(startTimecode, fps);
+  const rows = [["Marker Name", "Description", "In", "Out", "Duration", "Marker Type", "Status"]];
+
+  for (const comment of comments) {
+    const marker = toMarker(comment, { fps, startFrame });
+    rows.push([
+      marker.name,
+      singleLine(marker.description),
+      framesToTimecode(marker.inFrame, fps),
+      framesToTimecode(marker.outFrame, fps),
+      framesToTimecode(marker.outFrame - marker.inFrame, fps),
+      "Comment",
+      marker.status,
+    ]);
+  }
+
+  return rows.map(row => row.map(csvCell).join(",")).join("\r\n");
+};
+
+export { framesToTimecode, timecodeToFrames, toEdl, toCsv };
@@ -0,0 +1,8 @@
+// Order numbers look like ORD-20250516-K3F9
+const generateOrderNumber = () => {
+  const now = new Date();
+  const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, "0")}${String(now.getDate()).padStart(2, "0")}`;
+  return `ORD-${date}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+};
+
+export { generateOrderNumber };
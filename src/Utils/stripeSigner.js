@@ -0,0 +1,18 @@
+import crypto from "crypto";
+
+/**
+ * Signs a webhook payload the same way Stripe does, so the webhook route can be
+ * exercised locally (curl, Postman, integration tests) without the Stripe CLI.
+ * Send `body` as the raw request body and `header` as the `stripe-signature` header.
+ * @param {Object|string} payload - Stripe event object or its JSON string
+ * @param {string} [secret] - Webhook signing secret (defaults to STRIPE_WEBHOOK_SECRET)
+ * @param {number} [timestamp] - Unix timestamp in seconds (defaults to now)
+ * @returns {{ body: string, header: string }}
+ */
+const signStripePayload = (payload, secret = process.env.STRIPE_WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000)) => {
+  const body = typeof payload === "string" ? payload : JSON.stringify(payload);
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`, "utf8").digest("hex");
+  return { body, header: `t=${timestamp},v1=${signature}` };
+};
+
+export { signStripePayload };
@@ -21,6 +21,10 @@ import { errorHandler } from "./Middlewares/error.middleware.js";
 import freelancerRoutes from "./Routes/freelancer.routes.js";
 import portfolioRoutes from "./Routes/portfolio.routes.js";
 import contactRoutes from "./Routes/contact.routes.js"
+import webhookRouter from "./Routes/webhook.routes.js";
+import walletRouter from "./Routes/wallet.routes.js";
+import payoutRouter from "./Routes/payout.routes.js";
+import subscriptionRouter from "./Routes/subscription.routes.js";
 
 const app = express();
 
@@ -41,6 +45,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Webhooks need the raw request body, so they are mounted before the JSON parser
+app.use("/api/v1/webhooks", webhookRouter);
+
 app.use(express.json({ limit: "16kb" }));
 app.use(rateLimiter())
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
@@ -66,6 +73,9 @@ app.use("/api/v1/promotions", promotionRouter);
 app.use("/api/v1/freelancer", freelancerRoutes);
 app.use("/api/v1/portfolio", portfolioRoutes);
 app.use("/api/v1/contact", contactRoutes);
+app.use("/api/v1/wallet", walletRouter);
+app.use("/api/v1/payouts", payoutRouter);
+app.use("/api/v1/subscriptions", subscriptionRouter);
 
 
 
@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 import { app } from './app.js';
 import { PrismaClient } from '@prisma/client';
+import { startScheduler } from './Services/scheduler.js';
 
 dotenv.config({
     path: './.env',
@@ -20,6 +21,9 @@ const startServer = async () => {
         app.listen(PORT, () => {
             console.log(`⚙️ Server is running at port: ${PORT}`);
         });
+
+        // Background order deadlines, reminders and expiries
+        startScheduler();
     } catch (error) {
         console.error(" Error connecting to PostgreSQL:", error);
         process.exit(1); // Exit on failure to connect to the database